@@ -0,0 +1,167 @@
+const { createHash } = require('node:crypto');
+const Database = require('better-sqlite3');
+
+// Acesso à API publicada: origens CORS, chaves de API (header X-API-Key) com cota própria e limite de requisições
+// por janela fixa, com contadores em memória ou em arquivo SQLite (preservados entre reinícios e compartilhados entre processos)
+
+const ORIGENS_PADRAO = ['https://ewandrotab.github.io'];
+const JANELA_PADRAO_SEGUNDOS = 60;
+const CABECALHO_CHAVE = 'X-API-Key';
+// Janelas vencidas são descartadas a cada tantos registros
+const LIMPEZA_A_CADA = 1000;
+
+function lerInteiroPositivo(valor, nome) {
+	if (!/^\d+$/.test(valor) || Number(valor) <= 0) {
+		throw new Error(`${nome} deve ser um inteiro positivo (recebido: ${valor}).`);
+	}
+	return Number(valor);
+}
+
+function lerLista(valor) {
+	return (valor ?? '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// CHAVES_API: "chave" ou "chave:cota" separados por vírgula; sem cota, vale LIMITE_REQUISICOES
+function lerChaves(valor) {
+	const chaves = new Map();
+	for (const item of lerLista(valor)) {
+		const separador = item.lastIndexOf(':');
+		const chave = separador === -1 ? item : item.slice(0, separador);
+		const cota = separador === -1 ? null : lerInteiroPositivo(item.slice(separador + 1), 'Cota da chave em CHAVES_API');
+		if (chave === '') throw new Error('CHAVES_API contém uma chave vazia.');
+		if (chaves.has(chave)) throw new Error('CHAVES_API contém uma chave repetida.');
+		chaves.set(chave, cota);
+	}
+	return chaves;
+}
+
+// TRUST_PROXY: número de proxies à frente da API, true/false ou sub-redes aceitas pelo Express (ex.: loopback)
+function lerTrustProxy(valor) {
+	if (valor === undefined || valor.trim() === '') return null;
+	if (/^\d+$/.test(valor)) return Number(valor);
+	if (valor === 'true' || valor === 'false') return valor === 'true';
+	return valor;
+}
+
+/**
+ * Lê a configuração de acesso das variáveis de ambiente; valores inválidos impedem a API de iniciar.
+ * CORS_ORIGENS (lista separada por vírgula ou *), CHAVES_API, LIMITE_REQUISICOES, JANELA_LIMITE_SEGUNDOS,
+ * LIMITE_DB (arquivo SQLite dos contadores; sem ela, em memória) e TRUST_PROXY.
+ * @param {Record<string, string | undefined>} env
+ */
+function lerConfiguracaoAcesso(env) {
+	const origens = lerLista(env.CORS_ORIGENS);
+	return {
+		origens: origens.includes('*') ? '*' : origens.length > 0 ? origens : ORIGENS_PADRAO,
+		chaves: lerChaves(env.CHAVES_API),
+		limite: env.LIMITE_REQUISICOES ? lerInteiroPositivo(env.LIMITE_REQUISICOES, 'LIMITE_REQUISICOES') : null,
+		janelaSegundos: env.JANELA_LIMITE_SEGUNDOS ? lerInteiroPositivo(env.JANELA_LIMITE_SEGUNDOS, 'JANELA_LIMITE_SEGUNDOS') : JANELA_PADRAO_SEGUNDOS,
+		arquivoLimites: env.LIMITE_DB || null,
+		trustProxy: lerTrustProxy(env.TRUST_PROXY)
+	};
+}
+
+// Contadores: registrar(identidade, janelaMs, agora) soma uma requisição e devolve { inicio, contagem } da janela atual
+function criarContadorMemoria() {
+	const janelas = new Map();
+	let registros = 0;
+
+	function registrar(identidade, janelaMs, agora) {
+		if (++registros % LIMPEZA_A_CADA === 0) {
+			for (const [id, janela] of janelas) {
+				if (janela.inicio + janelaMs <= agora) janelas.delete(id);
+			}
+		}
+		let janela = janelas.get(identidade);
+		if (!janela || janela.inicio + janelaMs <= agora) {
+			janela = { inicio: agora, contagem: 0 };
+			janelas.set(identidade, janela);
+		}
+		janela.contagem++;
+		return { inicio: janela.inicio, contagem: janela.contagem };
+	}
+
+	return { registrar, fechar: () => janelas.clear() };
+}
+
+function criarContadorArquivo(caminho) {
+	const db = new Database(caminho);
+	db.pragma('journal_mode = WAL');
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS limites (
+			identidade TEXT PRIMARY KEY,
+			inicio INTEGER NOT NULL,
+			contagem INTEGER NOT NULL
+		);
+	`);
+	// Janela vencida recomeça a contagem; o SET enxerga os valores anteriores da linha
+	const incrementar = db.prepare(`
+		INSERT INTO limites (identidade, inicio, contagem) VALUES (@identidade, @agora, 1)
+		ON CONFLICT (identidade) DO UPDATE SET
+			contagem = CASE WHEN inicio + @janela <= @agora THEN 1 ELSE contagem + 1 END,
+			inicio = CASE WHEN inicio + @janela <= @agora THEN @agora ELSE inicio END
+		RETURNING inicio, contagem
+	`);
+	const limpar = db.prepare('DELETE FROM limites WHERE inicio + @janela <= @agora');
+	let registros = 0;
+
+	function registrar(identidade, janelaMs, agora) {
+		if (++registros % LIMPEZA_A_CADA === 0) limpar.run({ janela: janelaMs, agora });
+		return incrementar.get({ identidade, janela: janelaMs, agora });
+	}
+
+	return { registrar, fechar: () => db.close() };
+}
+
+// A chave não é gravada nos contadores: só um resumo dela
+function identidadeChave(chave) {
+	return `chave:${createHash('sha256').update(chave).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Middleware Express de acesso. Com chaves configuradas, exige X-API-Key válida (401) e aplica a cota da chave;
+ * sem chaves, aplica LIMITE_REQUISICOES por IP. Acima do limite responde 429 com Retry-After (segundos).
+ * Toda resposta limitada traz RateLimit-Limit, RateLimit-Remaining e RateLimit-Reset.
+ * @param {ReturnType<typeof lerConfiguracaoAcesso>} configuracao
+ * @param {{ caminhosLivres?: string[] }} [opcoes] caminhos sem chave nem limite (ex.: documentação)
+ */
+function criarControleAcesso(configuracao, { caminhosLivres = [] } = {}) {
+	const { chaves, limite, janelaSegundos, arquivoLimites } = configuracao;
+	const janelaMs = janelaSegundos * 1000;
+	const limitado = limite !== null || [...chaves.values()].some(cota => cota !== null);
+	const contador = limitado ? (arquivoLimites ? criarContadorArquivo(arquivoLimites) : criarContadorMemoria()) : null;
+	const livre = caminho => caminhosLivres.some(prefixo => caminho === prefixo || caminho.startsWith(`${prefixo}/`));
+
+	function controlarAcesso(req, res, next) {
+		if (livre(req.path)) return next();
+		let identidade = `ip:${req.ip}`;
+		let cota = limite;
+		if (chaves.size > 0) {
+			const chave = req.get(CABECALHO_CHAVE);
+			if (!chave || !chaves.has(chave)) {
+				return res.status(401).json({ erro: `Chave de API ausente ou inválida: envie uma chave válida no header ${CABECALHO_CHAVE}.` });
+			}
+			identidade = identidadeChave(chave);
+			cota = chaves.get(chave) ?? limite;
+		}
+		if (cota === null) return next();
+
+		const agora = Date.now();
+		const { inicio, contagem } = contador.registrar(identidade, janelaMs, agora);
+		const reinicio = Math.max(1, Math.ceil((inicio + janelaMs - agora) / 1000));
+		res.set({
+			'RateLimit-Limit': String(cota),
+			'RateLimit-Remaining': String(Math.max(0, cota - contagem)),
+			'RateLimit-Reset': String(reinicio)
+		});
+		if (contagem > cota) {
+			res.set('Retry-After', String(reinicio));
+			return res.status(429).json({ erro: `Limite de ${cota} requisições a cada ${janelaSegundos} s excedido. Tente novamente em ${reinicio} s.` });
+		}
+		return next();
+	}
+
+	return { controlarAcesso, exigeChave: chaves.size > 0, limitado, fechar: () => contador?.fechar() };
+}
+
+module.exports = { CABECALHO_CHAVE, lerConfiguracaoAcesso, criarControleAcesso };
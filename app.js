@@ -1,254 +1,306 @@
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const cors = require('cors');
+const {
+	calcularINSS,
+	calcularIRRF,
+	calcularIRRFV2,
+	calcularLote,
+	calcularSalarioLiquido,
+	calcularFerias,
+	calcularPLR,
+	calcularRRA,
+	calcularAjusteAnual,
+	calcularBruto,
+	calcularCurvaIRRF,
+	errosDoMotor,
+	MOTIVOS_REDUCAO_PL_1087_25,
+	REGRAS_IRRF,
+	obterRegras,
+	isCompetenciaValida,
+	serializarRegrasIRRF
+} = require('./engine');
+const { gerarDemonstrativoPdf } = require('./demonstrativo');
+const { criarHistorico, POR_PAGINA_MAXIMO } = require('./historico');
+const { criarValidador } = require('./validacao');
+const { CABECALHO_CHAVE, lerConfiguracaoAcesso, criarControleAcesso } = require('./acesso');
+
+// Origens CORS, chaves de API e limite de requisições vêm do ambiente (veja acesso.js)
+const configuracaoAcesso = lerConfiguracaoAcesso(process.env);
+const acesso = criarControleAcesso(configuracaoAcesso, { caminhosLivres: ['/docs', '/openapi.json'] });
 
 const app = express();
-app.use(express.json());
+if (configuracaoAcesso.trustProxy !== null) app.set('trust proxy', configuracaoAcesso.trustProxy);
+// Limite ampliado para comportar folhas inteiras em /calcular-irrf/lote
+app.use(express.json({ limit: '2mb' }));
 
 app.use(cors({
-	origin: [
-	  'https://ewandrotab.github.io'
-	]
-	}));
+	origin: configuracaoAcesso.origens,
+	exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Content-Disposition']
+}));
+app.use(acesso.controlarAcesso);
 
-// Constantes de regras
-const DEDUCAO_POR_DEPENDENTE = 189.59;
-const DESCONTO_SIMPLIFICADO_MINIMO = 607.20;
+// Histórico opcional: HISTORICO_DB aponta para o arquivo SQLite; sem ela, nada é gravado
+const historico = process.env.HISTORICO_DB ? criarHistorico(process.env.HISTORICO_DB) : null;
+const TIPOS_CALCULO = ['inss', 'irrf', 'salario-liquido', 'ferias', 'plr', 'rra', 'ajuste-anual', 'bruto'];
 
-function round2(value) {
-	return Math.round((value + Number.EPSILON) * 100) / 100;
+// Rotas cuja entrada é validada pelo schema do openApiSpec antes do motor (compilado no primeiro uso)
+const ROTAS_VALIDADAS = ['/calcular-irrf'];
+const validadores = new Map();
+
+function validarEntrada(rota, entrada) {
+	if (!ROTAS_VALIDADAS.includes(rota)) return [];
+	if (!validadores.has(rota)) {
+		const { schema } = openApiSpec.paths[rota].post.requestBody.content['application/json'];
+		validadores.set(rota, criarValidador(schema, openApiSpec.components.schemas));
+	}
+	return validadores.get(rota)(entrada);
 }
 
-// Tabela IRRF vigente a partir de 05/2025
-// Faixas mensais: limite (inclusive), aliquota (%) e parcela a deduzir (R$)
-const TABELA_IRRF_052025 = [
-	{ limite: 2428.80, aliquota: 0.0, deducao: 0.0 },
-	{ limite: 2826.65, aliquota: 7.5, deducao: 182.16 },
-	{ limite: 3751.05, aliquota: 15.0, deducao: 394.16 },
-	{ limite: 4664.68, aliquota: 22.5, deducao: 675.49 },
-	{ limite: Infinity, aliquota: 27.5, deducao: 908.73 }
-];
-
-function isFiniteNumber(value) {
-	return typeof value === 'number' && Number.isFinite(value);
+// Resposta 400 das rotas de cálculo: erros por campo e, em erro, o resumo legível
+function respostaErros(erros) {
+	return { erro: erros.map(e => e.mensagem).join(' '), erros };
 }
 
-function escolherFaixa(base) {
-	for (const faixa of TABELA_IRRF_052025) {
-		if (base <= faixa.limite) return faixa;
+// Responde uma rota de cálculo; com o histórico habilitado, grava entrada e resposta e devolve id_calculo.
+// id_funcionario (opcional) só identifica o cálculo no histórico e não é repassado ao motor.
+function responderCalculo(res, tipo, corpo, calcular, rota = `/calcular-${tipo}`) {
+	const { id_funcionario, ...entrada } = corpo || {};
+	if (id_funcionario !== undefined && !['string', 'number'].includes(typeof id_funcionario)) {
+		return res.status(400).json(respostaErros([{ campo: 'id_funcionario', codigo: 'tipo_invalido', mensagem: 'id_funcionario deve ser texto ou número.' }]));
 	}
-	return TABELA_IRRF_052025[TABELA_IRRF_052025.length - 1];
+	const erros = validarEntrada(rota, entrada);
+	if (erros.length > 0) return res.status(400).json(respostaErros(erros));
+	const resultado = calcular(entrada);
+	if (resultado.erro) return res.status(400).json(respostaErros(errosDoMotor(resultado)));
+	if (!historico) return res.json(resultado);
+	const id_calculo = historico.registrar({ tipo, entrada, resultado, id_funcionario });
+	return res.json({ id_calculo, ...resultado });
 }
 
-app.post('/calcular-irrf', (req, res) => {
-	const {
-		rendimento_tributavel,
-		previdencia_oficial,
-		quantidade_dependentes
-	} = req.body || {};
-
-	// Suportar chave com espaço acidental: 'pensao_alimenticia '
-	const pensao_alimenticia = (req.body && (req.body.pensao_alimenticia ?? req.body['pensao_alimenticia '])) ?? 0;
-
-	// Validações básicas
-	if (!isFiniteNumber(rendimento_tributavel) ||
-		!isFiniteNumber(previdencia_oficial) ||
-		!isFiniteNumber(quantidade_dependentes) ||
-		!isFiniteNumber(pensao_alimenticia)) {
-		return res.status(400).json({
-			erro: 'Campos inválidos: envie números em rendimento_tributavel, previdencia_oficial, quantidade_dependentes e pensao_alimenticia.'
-		});
+app.post('/calcular-inss', (req, res) => responderCalculo(res, 'inss', req.body, calcularINSS));
+
+app.post('/calcular-irrf', (req, res) => responderCalculo(res, 'irrf', req.body, calcularIRRF));
+
+// Contrato estável v2: mesma entrada e validação de /calcular-irrf, resposta sempre completa (histórico como tipo irrf)
+app.post('/v2/calcular-irrf', (req, res) => responderCalculo(res, 'irrf', req.body, calcularIRRFV2, '/calcular-irrf'));
+
+// Cálculo em lote (folha de pagamento): JSON ou CSV de entrada, JSON ou CSV de saída
+const LIMITE_LINHAS_LOTE = 5000;
+const CAMPOS_NUMERICOS_LOTE = ['rendimento_tributavel', 'previdencia_oficial', 'quantidade_dependentes', 'pensao_alimenticia', 'salario_bruto', 'primeira_parcela', 'previdencia_complementar', 'rendimento_aposentadoria'];
+const CAMPOS_BOOLEANOS_LOTE = ['aposentado_65_anos', 'molestia_grave'];
+const COLUNAS_CSV_LOTE = ['linha', 'id_funcionario', 'status', 'competencia', 'rendimento_tributavel', 'base_liquida_irrf', 'aliquota_irrf', 'valor_irrf', 'reducao_pl_1087_25', 'irrf_retido', 'erro'];
+
+// Parser CSV (RFC 4180): aspas duplas, aspas escapadas ("") e quebras de linha dentro de campos
+function parseCsv(texto, separador) {
+	const linhas = [];
+	let linha = [];
+	let campo = '';
+	let entreAspas = false;
+	for (let i = 0; i < texto.length; i++) {
+		const c = texto[i];
+		if (entreAspas) {
+			if (c === '"' && texto[i + 1] === '"') {
+				campo += '"';
+				i++;
+			} else if (c === '"') {
+				entreAspas = false;
+			} else {
+				campo += c;
+			}
+		} else if (c === '"') {
+			entreAspas = true;
+		} else if (c === separador) {
+			linha.push(campo);
+			campo = '';
+		} else if (c === '\n' || c === '\r') {
+			if (c === '\r' && texto[i + 1] === '\n') i++;
+			linha.push(campo);
+			linhas.push(linha);
+			linha = [];
+			campo = '';
+		} else {
+			campo += c;
+		}
 	}
-	if (rendimento_tributavel < 0 || previdencia_oficial < 0 || pensao_alimenticia < 0) {
-		return res.status(400).json({ erro: 'rendimento_tributavel, previdencia_oficial e pensao_alimenticia não podem ser negativos.' });
+	if (campo !== '' || linha.length > 0) {
+		linha.push(campo);
+		linhas.push(linha);
 	}
-	if (!Number.isInteger(quantidade_dependentes) || quantidade_dependentes < 0) {
-		return res.status(400).json({ erro: 'quantidade_dependentes deve ser inteiro não negativo.' });
+	// Ignora linhas totalmente vazias (ex.: linha em branco no fim do arquivo)
+	return linhas.filter(l => l.some(v => v.trim() !== ''));
+}
+
+// Converte número do CSV; com vírgula, assume formato pt-BR (1.234,56). Valores não numéricos seguem como texto
+// (em vez de NaN) e o schema os rejeita com um único erro tipo_invalido
+function parseNumeroCsv(valor) {
+	const texto = valor.trim();
+	const numero = Number(texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto);
+	return Number.isFinite(numero) ? numero : valor;
+}
+
+// Converte sim/não do CSV; valores não reconhecidos seguem como texto e são rejeitados pelo motor
+function parseBooleanoCsv(valor) {
+	const texto = valor.trim().toLowerCase();
+	if (['true', 'sim', 's', '1'].includes(texto)) return true;
+	if (['false', 'nao', 'não', 'n', '0'].includes(texto)) return false;
+	return valor;
+}
+
+// Converte o CSV da folha em objetos de entrada; aceita ',' ou ';' como separador (detectado no cabeçalho)
+function csvParaFuncionarios(texto) {
+	const conteudo = texto.replace(/^\uFEFF/, '');
+	const cabecalhoBruto = conteudo.split(/\r?\n/, 1)[0];
+	const separador = cabecalhoBruto.includes(';') ? ';' : ',';
+	const [cabecalho = [], ...linhas] = parseCsv(conteudo, separador);
+	const colunas = cabecalho.map(c => c.trim().toLowerCase());
+	return linhas.map(valores => {
+		const funcionario = {};
+		colunas.forEach((coluna, indice) => {
+			const valor = (valores[indice] ?? '').trim();
+			if (coluna === '' || valor === '') return;
+			funcionario[coluna] = CAMPOS_NUMERICOS_LOTE.includes(coluna)
+				? parseNumeroCsv(valor)
+				: CAMPOS_BOOLEANOS_LOTE.includes(coluna) ? parseBooleanoCsv(valor) : valor;
+		});
+		return funcionario;
+	});
+}
+
+function escaparCsv(valor) {
+	if (valor === undefined || valor === null) return '';
+	const texto = String(valor);
+	return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function loteParaCsv(linhas) {
+	const registros = linhas.map(l => ({
+		linha: l.linha,
+		id_funcionario: l.id_funcionario,
+		status: l.status,
+		competencia: l.resultado?.competencia,
+		rendimento_tributavel: l.resultado?.rendimento_tributavel,
+		base_liquida_irrf: l.resultado?.base_liquida_irrf,
+		aliquota_irrf: l.resultado?.aliquota_irrf,
+		valor_irrf: l.resultado?.valor_irrf,
+		reducao_pl_1087_25: l.resultado?.reducao_pl_1087_25,
+		irrf_retido: l.irrf_retido,
+		erro: l.erro
+	}));
+	return [
+		COLUNAS_CSV_LOTE.join(','),
+		...registros.map(r => COLUNAS_CSV_LOTE.map(c => escaparCsv(r[c])).join(','))
+	].join('\r\n') + '\r\n';
+}
+
+app.post('/calcular-irrf/lote', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+	const formato = req.query.formato ?? 'json';
+	if (!['json', 'csv'].includes(formato)) {
+		return res.status(400).json(respostaErros([{ campo: 'formato', codigo: 'valor_nao_permitido', mensagem: 'formato deve ser json ou csv.' }]));
 	}
 
-	// Cálculo das deduções
-	const deducao_dependentes = round2(quantidade_dependentes * DEDUCAO_POR_DEPENDENTE);
-	const soma_deducoes = round2(previdencia_oficial + deducao_dependentes + round2(pensao_alimenticia));
-	// Aplica a MAIOR dedução entre a soma real e o mínimo simplificado (sem somar duas vezes)
-	const deducao_total_aplicada = round2(Math.max(soma_deducoes, DESCONTO_SIMPLIFICADO_MINIMO));
-	const simplificado_minimo_usado = DESCONTO_SIMPLIFICADO_MINIMO > soma_deducoes;
-
-	// Base líquida: rendimento menos a dedução total aplicada (sem dupla subtração)
-	const base_liquida_irrf = round2(rendimento_tributavel - deducao_total_aplicada);
-
-	// Seleção da faixa, alíquota e parcela a deduzir
-	const faixa = escolherFaixa(base_liquida_irrf);
-	const aliquota_irrf = faixa.aliquota;
-	const deducao_conforme_tabela = faixa.deducao;
-
-	// Cálculo do imposto
-	let valor_irrf = (base_liquida_irrf * (aliquota_irrf / 100)) - deducao_conforme_tabela;
-	if (!Number.isFinite(valor_irrf)) valor_irrf = 0;
-	if (valor_irrf < 0) valor_irrf = 0; // Não retornar IR negativo
-	valor_irrf = round2(valor_irrf); // 2 casas decimais
-
-	// Redução conforme PL 1087/25
-	let reducao_pl_formula;
-	if (rendimento_tributavel <= 5000) {
-		reducao_pl_formula = round2(Math.min(valor_irrf, 312.89));
-	} else if (rendimento_tributavel <= 7350) {
-		reducao_pl_formula = round2(978.62 - (0.133145 * rendimento_tributavel));
+	let funcionarios;
+	if (typeof req.body === 'string') {
+		funcionarios = csvParaFuncionarios(req.body);
+	} else if (Array.isArray(req.body)) {
+		funcionarios = req.body;
+	} else if (req.body && Array.isArray(req.body.funcionarios)) {
+		funcionarios = req.body.funcionarios;
 	} else {
-		reducao_pl_formula = 0;
+		return res.status(400).json(respostaErros([{ campo: null, codigo: 'tipo_invalido', mensagem: 'Envie um array JSON de funcionários, um objeto { funcionarios: [...] } ou um CSV (Content-Type: text/csv).' }]));
 	}
-	if (valor_irrf === 0) {
-		reducao_pl_formula = 0;
+	if (funcionarios.length === 0) {
+		return res.status(400).json(respostaErros([{ campo: null, codigo: 'valor_minimo', mensagem: 'O lote está vazio.' }]));
+	}
+	if (funcionarios.length > LIMITE_LINHAS_LOTE) {
+		return res.status(400).json(respostaErros([{ campo: null, codigo: 'valor_invalido', mensagem: `O lote excede o limite de ${LIMITE_LINHAS_LOTE} linhas.` }]));
 	}
-	reducao_pl_formula = round2(Math.max(0, Math.min(reducao_pl_formula, valor_irrf)));
-	// Redução aplicada ao imposto (limitada ao IR e não negativa)
-	const reducao_pl_aplicada = Math.max(0, Math.min(reducao_pl_formula, valor_irrf));
-	const valor_irrf_apos_pl_1087_25 = round2(valor_irrf - reducao_pl_aplicada);
-
-	// Memória de cálculo
-	const memoria_calculo = {
-		entradas: {
-			rendimento_tributavel: round2(rendimento_tributavel),
-			previdencia_oficial: round2(previdencia_oficial),
-			quantidade_dependentes,
-			pensao_alimenticia: round2(pensao_alimenticia)
-		},
-		etapas: [
-			{
-				ordem: 1,
-				titulo: 'Cálculo da dedução por dependentes',
-				descricao: 'Quantidade de dependentes multiplicada pelo valor de dedução por dependente.',
-				formula: 'quantidade_dependentes * 189,59',
-				valores: {
-					quantidade_dependentes,
-					valor_por_dependente: DEDUCAO_POR_DEPENDENTE
-				},
-				resultado: deducao_dependentes
-			},
-			{
-				ordem: 2,
-				titulo: 'Cálculo das deduções legais',
-				descricao: 'Soma da Previdência Oficial, pensão alimentícia e a dedução por dependentes.',
-				formula: 'previdencia_oficial + pensao_alimenticia + deducao_dependentes',
-				valores: {
-					previdencia_oficial: round2(previdencia_oficial),
-					pensao_alimenticia: round2(pensao_alimenticia),
-					deducao_dependentes
-				},
-				resultado: soma_deducoes
-			},
-			{
-				ordem: 3,
-				titulo: 'Escolha da dedução aplicada',
-				descricao: 'Maior valor entre soma das deduções legais e o desconto simplificado mínimo.',
-				formula: 'max(soma_deducoes, 607,20)',
-				valores: {
-					soma_deducoes,
-					desconto_simplificado_minimo: DESCONTO_SIMPLIFICADO_MINIMO,
-					utilizou_simplificado_minimo: simplificado_minimo_usado
-				},
-				resultado: deducao_total_aplicada
-			},
-			{
-				ordem: 4,
-				titulo: 'Base líquida do IRRF',
-				descricao: 'Rendimento tributável menos a dedução aplicada.',
-				formula: 'rendimento_tributavel - deducao_total_aplicada',
-				valores: {
-					rendimento_tributavel: round2(rendimento_tributavel),
-					deducao_total_aplicada
-				},
-				resultado: base_liquida_irrf
-			},
-			{
-				ordem: 5,
-				titulo: 'Faixa da tabela progressiva',
-				descricao: 'Determinação da alíquota e parcela a deduzir conforme a base líquida.',
-				formula: 'tabela progressiva mensal 05/2025',
-				valores: {
-					base_liquida_irrf,
-					aliquota: aliquota_irrf,
-					deducao_conforme_tabela: round2(deducao_conforme_tabela)
-				},
-				resultado: { aliquota: aliquota_irrf, deducao: round2(deducao_conforme_tabela) }
-			},
-			{
-				ordem: 6,
-				titulo: 'Imposto pela tabela progressiva',
-				descricao: 'Cálculo do IR pela base líquida.',
-				formula: 'base_liquida_irrf * (aliquota/100) - deducao_conforme_tabela',
-				valores: {
-					base_liquida_irrf,
-					aliquota: aliquota_irrf,
-					deducao_conforme_tabela: round2(deducao_conforme_tabela)
-				},
-				resultado: valor_irrf
-			},
-			{
-				ordem: 7,
-				titulo: 'Redução PL 1087/25 (regra aplicada)',
-				descricao: 'Cálculo da redução conforme a faixa de rendimento e limitações legais, limitada ao imposto devido.',
-				formula: rendimento_tributavel <= 5000
-					? 'min(valor_irrf, 312,89)'
-					: rendimento_tributavel <= 7350
-						? 'max(0, min(978,62 - 0,133145 * rendimento_tributavel, valor_irrf))'
-						: '0',
-				valores: {
-					rendimento_tributavel: round2(rendimento_tributavel),
-					valor_irrf,
-					limite_superior: 7350
-				},
-				resultado: reducao_pl_formula
-			},
-			{
-				ordem: 8,
-				titulo: 'Redução aplicada ao imposto',
-				descricao: 'Limitação da redução ao imposto devido (não negativa).',
-				formula: 'min(max(reducao_pl, 0), valor_irrf)',
-				valores: {
-					reducao_pl_calculada: reducao_pl_formula,
-					valor_irrf
-				},
-				resultado: reducao_pl_aplicada
-			},
-			{
-				ordem: 9,
-				titulo: 'IRRF após PL 1087/25',
-				descricao: 'Imposto final após aplicar a redução da PL, quando aplicável.',
-				formula: 'valor_irrf - reducao_pl_aplicada',
-				valores: {
-					valor_irrf,
-					reducao_pl_aplicada
-				},
-				resultado: valor_irrf_apos_pl_1087_25
-			}
-		]
-	};
 
-	const resposta = {
-		rendimento_tributavel,
-		...(!simplificado_minimo_usado ? {
-			previdencia_oficial,
-			quantidade_dependentes,
-			pensao_alimenticia: round2(pensao_alimenticia),
-			valor_deducoes_dependentes: round2(deducao_dependentes)
-		} : {}),
-		...(simplificado_minimo_usado ? { desconto_simplificado_aplicado: DESCONTO_SIMPLIFICADO_MINIMO } : {}),
-		base_liquida_irrf: round2(base_liquida_irrf),
-		aliquota_irrf,
-		deducao_conforme_tabela: round2(deducao_conforme_tabela),
-		valor_irrf,
-		reducao_pl_1087_25: reducao_pl_formula,
-		...(
-			rendimento_tributavel > 7350
-				? { mensagem: 'A dedução prevista na PL 1085/25 não se aplica porque o rendimento tributável ultrapassa R$ 7.350,00.' }
-				: { valor_irrf_apos_pl_1087_25 }
-		),
-		memoria_calculo
-	};
+	// Cada linha passa pelo mesmo schema de /calcular-irrf: campos desconhecidos (ex.: 'pensao_alimenticia ') não são ignorados
+	const lote = calcularLote(funcionarios, {
+		incluirMemoria: req.query.memoria === 'true',
+		validarEntrada: entrada => validarEntrada('/calcular-irrf', entrada)
+	});
+	if (formato === 'csv') {
+		res.set('Content-Disposition', 'attachment; filename="irrf-lote.csv"');
+		return res.type('text/csv; charset=utf-8').send(loteParaCsv(lote.linhas));
+	}
+	return res.json(lote);
+});
+
+app.post('/calcular-salario-liquido', (req, res) => responderCalculo(res, 'salario-liquido', req.body, calcularSalarioLiquido));
+
+app.post('/calcular-ferias', (req, res) => responderCalculo(res, 'ferias', req.body, calcularFerias));
+
+app.post('/calcular-plr', (req, res) => responderCalculo(res, 'plr', req.body, calcularPLR));
+
+app.post('/calcular-rra', (req, res) => responderCalculo(res, 'rra', req.body, calcularRRA));
+
+app.post('/calcular-ajuste-anual', (req, res) => responderCalculo(res, 'ajuste-anual', req.body, calcularAjusteAnual));
+
+app.post('/calcular-bruto', (req, res) => responderCalculo(res, 'bruto', req.body, calcularBruto));
+
+// Curva de alíquotas: amostragem de /calcular-irrf, sem histórico nem PDF
+app.post('/calcular-curva-irrf', (req, res) => {
+	const resultado = calcularCurvaIRRF(req.body || {});
+	if (resultado.erro) return res.status(400).json(respostaErros(errosDoMotor(resultado)));
+	return res.json(resultado);
+});
+
+// Regras do IRRF mensal (engine/regras-irrf.json, validado ao iniciar); vigente = vigência da competência ou a mais recente
+app.get('/tabelas', (req, res) => {
+	const { competencia } = req.query;
+	if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+		return res.status(400).json({ erro: 'competencia deve estar no formato AAAA-MM.' });
+	}
+	const regras = obterRegras(competencia);
+	if (!regras) {
+		return res.status(404).json({ erro: `Não há tabela de IRRF cadastrada para a competência ${competencia} (primeira vigência: ${REGRAS_IRRF[0].vigencia_inicio}).` });
+	}
+	return res.json({ vigente: regras.id, vigencias: REGRAS_IRRF.map(serializarRegrasIRRF) });
+});
 
-	return res.json(resposta);
+const HISTORICO_DESATIVADO = { erro: 'Histórico desativado: defina HISTORICO_DB (arquivo SQLite) para habilitar.' };
+
+app.get('/calculos', (req, res) => {
+	if (!historico) return res.status(503).json(HISTORICO_DESATIVADO);
+	const pagina = historico.listar(req.query, TIPOS_CALCULO);
+	if (pagina.erro) return res.status(400).json(pagina);
+	return res.json(pagina);
+});
+
+app.get('/calculos/:id', (req, res) => {
+	if (!historico) return res.status(503).json(HISTORICO_DESATIVADO);
+	const calculo = historico.obter(req.params.id);
+	if (!calculo) return res.status(404).json({ erro: 'Cálculo não encontrado.' });
+	return res.json(calculo);
 });
 
+// Demonstrativo em PDF: mesmo payload da rota de cálculo, em <rota>/pdf
+const DEMONSTRATIVOS = {
+	'/calcular-inss': { titulo: 'Contribuição ao INSS', calcular: calcularINSS },
+	'/calcular-irrf': { titulo: 'IRRF mensal', calcular: calcularIRRF },
+	'/calcular-salario-liquido': { titulo: 'Salário líquido (holerite)', calcular: calcularSalarioLiquido },
+	'/calcular-ferias': { titulo: 'Férias', calcular: calcularFerias },
+	'/calcular-plr': { titulo: 'IRRF sobre PLR', calcular: calcularPLR },
+	'/calcular-rra': { titulo: 'Rendimentos recebidos acumuladamente (RRA)', calcular: calcularRRA },
+	'/calcular-ajuste-anual': { titulo: 'Ajuste anual do IRPF', calcular: calcularAjusteAnual },
+	'/calcular-bruto': { titulo: 'Salário bruto a partir do líquido', calcular: calcularBruto }
+};
+
+for (const [rota, { titulo, calcular }] of Object.entries(DEMONSTRATIVOS)) {
+	app.post(`${rota}/pdf`, async (req, res) => {
+		const entrada = req.body || {};
+		const erros = validarEntrada(rota, entrada);
+		if (erros.length > 0) return res.status(400).json(respostaErros(erros));
+		const resultado = calcular(entrada);
+		if (resultado.erro) return res.status(400).json(respostaErros(errosDoMotor(resultado)));
+		const pdf = await gerarDemonstrativoPdf({ titulo, entrada, resultado });
+		res.set('Content-Disposition', `attachment; filename="demonstrativo${rota.replace('/calcular', '')}.pdf"`);
+		return res.type('application/pdf').send(pdf);
+	});
+}
+
 // OpenAPI 3.0 specification (Swagger)
 const openApiSpec = {
 	openapi: '3.0.3',
@@ -271,16 +323,45 @@ const openApiSpec = {
 						'application/json': {
 							schema: {
 								type: 'object',
+								description: 'Campos fora desta lista são rejeitados (erro campo_desconhecido)',
 								required: [
-									'rendimento_tributavel',
-									'previdencia_oficial',
-										'quantidade_dependentes'
+									'quantidade_dependentes'
 								],
+								additionalProperties: false,
 								properties: {
-									rendimento_tributavel: { type: 'number', example: 5000.0 },
-									previdencia_oficial: { type: 'number', example: 750.0 },
-										quantidade_dependentes: { type: 'integer', minimum: 0, example: 2 },
-										pensao_alimenticia: { type: 'number', example: 0 }
+									rendimento_tributavel: { type: 'number', minimum: 0, example: 5000.0, description: 'Obrigatório, exceto quando salario_bruto for informado (nesse caso o padrão é o próprio salário bruto)' },
+									previdencia_oficial: { type: 'number', minimum: 0, example: 750.0, description: 'Obrigatório, exceto quando salario_bruto for informado (nesse caso é calculada pela tabela do INSS)' },
+									salario_bruto: { type: 'number', minimum: 0, example: 5000.0, description: 'Opcional: deriva previdencia_oficial pela tabela progressiva do INSS da competência. Não pode ser enviado junto com previdencia_oficial' },
+									tipo_rendimento: { type: 'string', enum: ['mensal', '13_salario', 'ferias'], default: 'mensal', description: '13_salario: tributação exclusiva do 13º na quitação (2ª parcela), sobre o valor integral informado em rendimento_tributavel/salario_bruto, com deduções próprias. ferias: férias + 1/3 tributadas em separado no mês do pagamento (ver também /calcular-ferias)' },
+									primeira_parcela: { type: 'number', minimum: 0, example: 3000.0, description: 'Somente para 13_salario: 1ª parcela já adiantada, usada no líquido da 2ª parcela' },
+									modo_deducao: { type: 'string', enum: ['automatico', 'legal', 'simplificado'], default: 'automatico', description: 'automatico aplica a maior dedução; legal e simplificado forçam o cenário (simplificado exige vigência com desconto simplificado). Os dois cenários são sempre retornados em comparativo_deducoes' },
+									previdencia_complementar: { type: 'number', minimum: 0, example: 600.0, description: 'Contribuição a PGBL/Funpresp; dedutível até 12% do rendimento tributável (descontadas as parcelas isentas). Entra na soma das deduções legais' },
+									aposentado_65_anos: { type: 'boolean', default: false, description: 'Beneficiário com 65 anos ou mais: a parcela isenta mensal da vigência é excluída dos proventos de aposentadoria/pensão' },
+									molestia_grave: { type: 'boolean', default: false, description: 'Portador de moléstia grave: os proventos de aposentadoria/pensão são integralmente isentos' },
+									rendimento_aposentadoria: { type: 'number', minimum: 0, example: 4000.0, description: 'Parte de rendimento_tributavel que corresponde a proventos de aposentadoria/pensão. Só com aposentado_65_anos ou molestia_grave; padrão: todo o rendimento_tributavel' },
+									parametros_reducao_pl_1087_25: {
+										allOf: [{ $ref: '#/components/schemas/ParametrosReducaoPL108725' }],
+										description: 'Cenário hipotético (what-if): parâmetros da redução da PL 1087/25 que substituem os oficiais da vigência; os omitidos mantêm o valor oficial (em vigência sem a redução, informe todos). valor e fator devem manter a redução contínua nas bordas da janela; omitidos, são recalculados quando os limites ou reducao_maxima mudam. A resposta e as etapas da memoria_calculo que usam esses parâmetros são marcadas com cenario_hipotetico',
+										example: { limite_reducao_integral: 5500 }
+									},
+									pagamentos_anteriores: {
+										type: 'array',
+										description: 'Somente para mensal: pagamentos já feitos na mesma competência (adiantamento, comissão, rescisão...). O IRRF é recalculado sobre a base acumulada do mês e o imposto já retido é abatido. Não pode ser enviado junto com salario_bruto',
+										items: {
+											type: 'object',
+											required: ['rendimento_tributavel', 'irrf_retido'],
+											additionalProperties: false,
+											properties: {
+												rendimento_tributavel: { type: 'number', minimum: 0, example: 2000.0 },
+												previdencia_oficial: { type: 'number', minimum: 0, example: 0 },
+												pensao_alimenticia: { type: 'number', minimum: 0, example: 0 },
+												irrf_retido: { type: 'number', minimum: 0, example: 0 }
+											}
+										}
+									},
+									quantidade_dependentes: { type: 'integer', minimum: 0, example: 2 },
+									pensao_alimenticia: { type: 'number', minimum: 0, example: 0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05', description: 'Competência (AAAA-MM) que define a tabela, a dedução por dependente, o desconto simplificado e a aplicação da PL 1087/25. Padrão: vigência mais recente.' }
 								}
 							}
 						}
@@ -295,15 +376,36 @@ const openApiSpec = {
 									type: 'object',
 									properties: {
 										rendimento_tributavel: { type: 'number' },
-										previdencia_oficial: { type: 'number', description: 'Retornado somente quando o simplificado não for usado' },
-										quantidade_dependentes: { type: 'integer', description: 'Retornado somente quando o simplificado não for usado' },
-										pensao_alimenticia: { type: 'number', description: 'Retornado somente quando o simplificado não for usado' },
+										previdencia_oficial: { type: 'number' },
+										quantidade_dependentes: { type: 'integer' },
+										pensao_alimenticia: { type: 'number' },
 										base_liquida_irrf: { type: 'number' },
 										aliquota_irrf: { type: 'number', description: 'Percentual (ex.: 15 para 15%)' },
 										deducao_conforme_tabela: { type: 'number' },
 										valor_irrf: { type: 'number', description: 'Arredondado para 2 casas decimais' },
-										valor_deducoes_dependentes: { type: 'number', description: 'Retornado somente quando o simplificado não for usado' },
-										desconto_simplificado_aplicado: { type: 'number', description: 'Presente apenas quando o mínimo (R$ 607,20) foi aplicado' }
+										valor_deducoes_dependentes: { type: 'number' },
+										previdencia_complementar: { type: 'number', description: 'Presente apenas quando informada' },
+										previdencia_complementar_dedutivel: { type: 'number', description: 'Parcela dedutível da previdência complementar, limitada a 12% do rendimento tributável' },
+										parcela_isenta_65_anos: { type: 'number', description: 'Presente apenas com aposentado_65_anos: parcela isenta excluída da base (0 quando há isenção por moléstia grave)' },
+										isencao_molestia_grave: { type: 'number', description: 'Presente apenas com molestia_grave: proventos isentos excluídos da base' },
+										desconto_simplificado_aplicado: { type: 'number', description: 'Presente apenas quando o desconto simplificado mínimo da vigência foi aplicado' },
+										competencia: { type: 'string', description: 'Competência considerada no cálculo (AAAA-MM)' },
+										tabela_irrf: { type: 'string', description: 'Tabela progressiva utilizada (ex.: tabela progressiva mensal 05/2025)' },
+										tipo_rendimento: { type: 'string', description: 'Presente apenas quando diferente de mensal' },
+										primeira_parcela: { type: 'number', description: 'Somente para 13_salario' },
+										liquido_segunda_parcela: { type: 'number', description: 'Somente para 13_salario: valor integral menos 1ª parcela, INSS, pensão e IRRF' },
+										inss: { allOf: [{ $ref: '#/components/schemas/ResumoINSS' }], description: 'Presente apenas quando salario_bruto foi informado' },
+										reducao_pl_1087_25: { type: 'number', description: 'Redução da PL 1087/25 calculada (0 quando não se aplica)' },
+										valor_irrf_apos_pl_1087_25: { type: 'number', description: 'Presente apenas quando a redução da PL 1087/25 se aplica (no lugar de mensagem)' },
+										mensagem: { type: 'string', description: 'Presente apenas quando a redução da PL 1087/25 não se aplica (vigência, tipo de rendimento ou rendimento acima do limite), no lugar de valor_irrf_apos_pl_1087_25' },
+										comparativo_deducoes: { $ref: '#/components/schemas/ComparativoDeducoes' },
+										pagamentos_mes: { allOf: [{ $ref: '#/components/schemas/PagamentosMes' }], description: 'Presente apenas quando pagamentos_anteriores foi informado; os demais campos referem-se à base acumulada do mês' },
+										cenario_hipotetico: { type: 'boolean', description: 'Presente (true) apenas com parametros_reducao_pl_1087_25: o resultado não segue a regra oficial' },
+										parametros_reducao_pl_1087_25: {
+											allOf: [{ $ref: '#/components/schemas/ParametrosReducaoPL108725' }],
+											description: 'Presente apenas no cenário hipotético: parâmetros efetivamente usados (informados + oficiais, com valor e fator recalculados quando necessário)'
+										},
+										memoria_calculo: { $ref: '#/components/schemas/MemoriaCalculo' }
 									}
 								},
 									examples: {
@@ -324,23 +426,1102 @@ const openApiSpec = {
 							}
 						}
 					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/v2/calcular-irrf': {
+			post: {
+				summary: 'Calcula o IRRF mensal (contrato v2)',
+				description: 'Mesmo corpo e mesmas regras de /calcular-irrf, com resposta estável: todos os campos estão sempre presentes (null ou 0 quando não se aplicam), com flags explícitas e o código do motivo da aplicação (ou não) da redução da PL 1087/25. /calcular-irrf (v1) permanece inalterada.',
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: { $ref: '#/components/schemas/RespostaIRRFV2' }
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-inss': {
+			post: {
+				summary: 'Calcula a contribuição do empregado ao INSS',
+				description: 'Aplica a tabela progressiva do INSS da competência, faixa a faixa, limitada ao teto do salário de contribuição.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['salario_bruto'],
+								properties: {
+									salario_bruto: { type: 'number', example: 5000.0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05', description: 'Competência (AAAA-MM). Padrão: vigência mais recente. Tabelas progressivas a partir de 03/2020.' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										salario_bruto: { type: 'number' },
+										tabela_inss: { type: 'string' },
+										teto_inss: { type: 'number' },
+										teto_atingido: { type: 'boolean' },
+										base_contribuicao: { type: 'number', description: 'Salário de contribuição (limitado ao teto)' },
+										valor_inss: { type: 'number' },
+										aliquota_efetiva: { type: 'number', description: 'Percentual (ex.: 9.5 para 9,5%)' },
+										faixas: {
+											type: 'array',
+											items: {
+												type: 'object',
+												properties: {
+													faixa: { type: 'integer' },
+													de: { type: 'number' },
+													ate: { type: 'number' },
+													aliquota: { type: 'number' },
+													parcela_salario: { type: 'number' },
+													contribuicao: { type: 'number' }
+												}
+											}
+										},
+										competencia: { type: 'string' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-salario-liquido': {
+			post: {
+				summary: 'Calcula o salário líquido (holerite)',
+				description: 'Calcula INSS, IRRF (inclusive a redução da PL 1087/25) e demais descontos, retornando as linhas do holerite e o salário líquido.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['salario_bruto'],
+								properties: {
+									salario_bruto: { type: 'number', example: 5000.0 },
+									outros_proventos: { type: 'number', example: 0, description: 'Proventos tributáveis adicionais (horas extras, comissões etc.)' },
+									quantidade_dependentes: { type: 'integer', minimum: 0, example: 1 },
+									pensao_alimenticia: { type: 'number', example: 0 },
+									plano_saude: { type: 'number', example: 200.0 },
+									vale_transporte: { type: 'boolean', example: true, description: 'Desconta 6% do salário bruto' },
+									custo_vale_transporte: { type: 'number', description: 'Opcional: limita o desconto de vale-transporte ao custo do benefício' },
+									adiantamento: { type: 'number', example: 0 },
+									outros_descontos: { type: 'number', example: 0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										competencia: { type: 'string' },
+										proventos: { type: 'array', items: { $ref: '#/components/schemas/LinhaHolerite' } },
+										descontos: { type: 'array', items: { $ref: '#/components/schemas/LinhaHolerite' } },
+										total_proventos: { type: 'number' },
+										total_descontos: { type: 'number' },
+										salario_liquido: { type: 'number' },
+										valor_inss: { type: 'number' },
+										valor_irrf: { type: 'number', description: 'IRRF efetivamente descontado (após a PL 1087/25, quando aplicável)' },
+										irrf: { type: 'object', description: 'Resposta de /calcular-irrf, sem a memoria_calculo' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-ferias': {
+			post: {
+				summary: 'Calcula férias + 1/3 com INSS e IRRF',
+				description: 'Calcula a remuneração de férias e o 1/3 constitucional (tributáveis, em separado no mês do pagamento) e o abono pecuniário com o respectivo 1/3 (isentos), com INSS, IRRF e líquido.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['salario'],
+								properties: {
+									salario: { type: 'number', example: 6000.0 },
+									dias_ferias: { type: 'integer', minimum: 5, maximum: 30, default: 30, example: 20 },
+									dias_abono: { type: 'integer', minimum: 0, maximum: 10, default: 0, example: 10, description: 'Dias vendidos (abono pecuniário); dias_ferias + dias_abono <= 30' },
+									media_variaveis: { type: 'number', example: 300.0, description: 'Média das parcelas variáveis (horas extras, comissões etc.)' },
+									quantidade_dependentes: { type: 'integer', minimum: 0, example: 1 },
+									pensao_alimenticia: { type: 'number', example: 0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										competencia: { type: 'string' },
+										salario: { type: 'number' },
+										media_variaveis: { type: 'number' },
+										dias_ferias: { type: 'integer' },
+										dias_abono: { type: 'integer' },
+										valor_dia: { type: 'number' },
+										valor_ferias: { type: 'number' },
+										terco_constitucional: { type: 'number' },
+										abono_pecuniario: { type: 'number' },
+										terco_abono: { type: 'number' },
+										total_tributavel: { type: 'number', description: 'Férias + 1/3 constitucional' },
+										total_isento: { type: 'number', description: 'Abono pecuniário + 1/3 do abono' },
+										valor_bruto: { type: 'number' },
+										valor_inss: { type: 'number' },
+										valor_irrf: { type: 'number', description: 'Após a PL 1087/25, quando aplicável' },
+										valor_liquido: { type: 'number' },
+										irrf: { type: 'object', description: 'Resposta de /calcular-irrf (tipo_rendimento ferias), sem a memoria_calculo' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-plr': {
+			post: {
+				summary: 'Calcula o IRRF sobre PLR (tabela exclusiva anual)',
+				description: 'Aplica a tabela exclusiva da PLR sobre o total recebido no ano-calendário (pagamentos anteriores + atual), deduzida a pensão alimentícia, e subtrai o IRRF já retido no ano. A redução da PL 1087/25 não se aplica.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['valor_plr'],
+								properties: {
+									valor_plr: { type: 'number', example: 8000.0 },
+									pagamentos_anteriores: {
+										type: 'array',
+										description: 'PLR já pagas no mesmo ano-calendário',
+										items: {
+											type: 'object',
+											required: ['valor', 'irrf_retido'],
+											properties: {
+												valor: { type: 'number', example: 6000.0 },
+												irrf_retido: { type: 'number', example: 0 },
+												pensao_alimenticia: { type: 'number', example: 0 }
+											}
+										}
+									},
+									pensao_alimenticia: { type: 'number', example: 0, description: 'Pensão alimentícia relativa à parcela atual' },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-08', description: 'Competência do pagamento; define a tabela exclusiva vigente' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										competencia: { type: 'string' },
+										tabela_plr: { type: 'string' },
+										valor_plr: { type: 'number' },
+										plr_anteriores: { type: 'number' },
+										plr_acumulada: { type: 'number' },
+										pensao_acumulada: { type: 'number' },
+										base_calculo_acumulada: { type: 'number' },
+										aliquota_plr: { type: 'number' },
+										deducao_conforme_tabela: { type: 'number' },
+										imposto_acumulado: { type: 'number' },
+										irrf_retido_anteriormente: { type: 'number' },
+										valor_irrf: { type: 'number', description: 'IRRF devido nesta parcela' },
+										valor_liquido: { type: 'number' },
+										aplica_reducao_pl_1087_25: { type: 'boolean' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-rra': {
+			post: {
+				summary: 'Calcula o IRRF sobre Rendimentos Recebidos Acumuladamente (RRA)',
+				description: 'Tributação exclusiva no mês do recebimento pela tabela mensal da competência, com limites das faixas e parcelas a deduzir multiplicados pelo número de meses. Deduz previdência oficial, honorários advocatícios e pensão alimentícia.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['valor_total', 'numero_meses'],
+								properties: {
+									valor_total: { type: 'number', example: 60000.0 },
+									numero_meses: { type: 'integer', minimum: 1, example: 12 },
+									previdencia_oficial: { type: 'number', example: 3000.0 },
+									honorarios_advocaticios: { type: 'number', example: 6000.0, description: 'Despesas com a ação judicial pagas sem indenização' },
+									pensao_alimenticia: { type: 'number', example: 0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05', description: 'Mês do recebimento; define a tabela mensal multiplicada' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Cálculo efetuado com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										competencia: { type: 'string' },
+										tabela_irrf: { type: 'string' },
+										valor_total: { type: 'number' },
+										numero_meses: { type: 'integer' },
+										soma_deducoes: { type: 'number' },
+										base_calculo: { type: 'number' },
+										aliquota_irrf: { type: 'number' },
+										deducao_conforme_tabela: { type: 'number', description: 'Parcela a deduzir já multiplicada pelo número de meses' },
+										valor_irrf: { type: 'number' },
+										aliquota_efetiva: { type: 'number' },
+										valor_liquido: { type: 'number' },
+										aplica_reducao_pl_1087_25: { type: 'boolean' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-ajuste-anual': {
+			post: {
+				summary: 'Simula o ajuste anual (DIRPF): restituição ou imposto a pagar',
+				description: 'Consolida os meses do ano-calendário, aplica a tabela progressiva anual na declaração completa (deduções legais) e na simplificada (20% dos rendimentos, com limite) e compara o imposto devido no modelo mais vantajoso com o IRRF retido. Meses sem irrf_retido usam o IRRF calculado pela tabela mensal da competência.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['ano_calendario', 'meses'],
+								properties: {
+									ano_calendario: { type: 'integer', example: 2025, description: 'Define a tabela anual e as competências mensais' },
+									meses: {
+										type: 'array',
+										minItems: 1,
+										maxItems: 12,
+										items: {
+											type: 'object',
+											required: ['mes', 'rendimento_tributavel'],
+											properties: {
+												mes: { type: 'integer', minimum: 1, maximum: 12, example: 1 },
+												rendimento_tributavel: { type: 'number', example: 6000.0 },
+												previdencia_oficial: { type: 'number', example: 700.0 },
+												pensao_alimenticia: { type: 'number', example: 0 },
+												quantidade_dependentes: { type: 'integer', minimum: 0, description: 'Opcional: dependentes no mês (padrão: quantidade_dependentes do ano)' },
+												irrf_retido: { type: 'number', description: 'Opcional: IRRF retido no mês; sem ele, é calculado pela tabela mensal' }
+											}
+										}
+									},
+									quantidade_dependentes: { type: 'integer', minimum: 0, example: 1 },
+									despesas_medicas: { type: 'number', example: 3000.0 },
+									despesas_instrucao: { type: 'number', example: 0, description: 'Limitadas ao teto anual por pessoa (titular e dependentes)' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Simulação efetuada com sucesso',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										ano_calendario: { type: 'integer' },
+										tabela_anual: { type: 'string' },
+										meses: {
+											type: 'array',
+											items: {
+												type: 'object',
+												properties: {
+													mes: { type: 'integer' },
+													competencia: { type: 'string' },
+													rendimento_tributavel: { type: 'number' },
+													previdencia_oficial: { type: 'number' },
+													pensao_alimenticia: { type: 'number' },
+													irrf_retido: { type: 'number' },
+													irrf_origem: { type: 'string', enum: ['informado', 'calculado'] }
+												}
+											}
+										},
+										totais: {
+											type: 'object',
+											properties: {
+												rendimentos_tributaveis: { type: 'number' },
+												previdencia_oficial: { type: 'number' },
+												pensao_alimenticia: { type: 'number' },
+												irrf_retido: { type: 'number' }
+											}
+										},
+										declaracao_completa: {
+											type: 'object',
+											properties: {
+												total_deducoes: { type: 'number' },
+												base_calculo: { type: 'number' },
+												aliquota: { type: 'number' },
+												deducao_conforme_tabela: { type: 'number' },
+												imposto_devido: { type: 'number' }
+											}
+										},
+										declaracao_simplificada: {
+											type: 'object',
+											properties: {
+												desconto_simplificado: { type: 'number' },
+												base_calculo: { type: 'number' },
+												aliquota: { type: 'number' },
+												deducao_conforme_tabela: { type: 'number' },
+												imposto_devido: { type: 'number' }
+											}
+										},
+										modelo_escolhido: { type: 'string', enum: ['completa', 'simplificada'] },
+										economia: { type: 'number', description: 'Diferença de imposto entre os dois modelos' },
+										imposto_devido: { type: 'number' },
+										irrf_retido: { type: 'number' },
+										resultado: { type: 'string', enum: ['restituicao', 'imposto_a_pagar', 'sem_saldo'] },
+										valor_restituicao: { type: 'number' },
+										valor_a_pagar: { type: 'number' },
+										aplica_reducao_pl_1087_25: { type: 'boolean' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-bruto': {
+			post: {
+				summary: 'Calcula o valor bruto a partir de um valor líquido ou de IRRF desejado (gross-up)',
+				description: 'Resolve, por bisseção determinística em centavos, o menor valor bruto cujo cálculo direto atinge o valor alvo. A memoria_calculo é a do cálculo direto do bruto encontrado, acrescida da verificação do alvo.',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['valor_alvo'],
+								properties: {
+									tipo_alvo: { type: 'string', enum: ['salario_liquido', 'valor_liquido', 'valor_irrf'], default: 'salario_liquido', description: 'salario_liquido: líquido do holerite (aceita os campos de /calcular-salario-liquido, exceto salario_bruto); valor_liquido: bruto menos IRRF (e INSS com incluir_inss); valor_irrf: IRRF após a PL 1087/25' },
+									valor_alvo: { type: 'number', example: 4000.0 },
+									incluir_inss: { type: 'boolean', default: false, description: 'Somente para valor_liquido e valor_irrf: calcula o INSS sobre o bruto e o usa como previdência oficial' },
+									previdencia_oficial: { type: 'number', example: 0, description: 'Somente para valor_liquido e valor_irrf sem incluir_inss' },
+									quantidade_dependentes: { type: 'integer', minimum: 0, example: 0 },
+									pensao_alimenticia: { type: 'number', example: 0 },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Valor bruto encontrado',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										tipo_alvo: { type: 'string' },
+										valor_alvo: { type: 'number' },
+										bruto: { type: 'number', description: 'Menor valor bruto (em centavos) que atinge o alvo' },
+										valor_obtido: { type: 'number', description: 'Valor medido no cálculo direto do bruto encontrado' },
+										diferenca: { type: 'number', description: 'valor_obtido - valor_alvo (arredondamento em centavos)' },
+										convergiu: { type: 'boolean' },
+										iteracoes: { type: 'integer', description: 'Quantidade de cálculos diretos avaliados' },
+										metodo: { type: 'string' },
+										resultado: { type: 'object', description: 'Resposta do cálculo direto, sem a memoria_calculo' },
+										memoria_calculo: { type: 'object' }
+									}
+								}
+							}
+						}
+					},
 					'400': {
-					description: 'Erro de validação',
+						description: 'Erro de validação ou alvo inatingível',
+						content: {
+							'application/json': {
+								schema: { $ref: '#/components/schemas/ErroValidacao' }
+							}
+						}
+					}
+				}
+			}
+		},
+		'/calcular-curva-irrf': {
+			post: {
+				summary: 'Curva de alíquotas efetiva e marginal do IRRF mensal',
+				description: 'Calcula o IRRF de rendimento_inicial a rendimento_final, em passos de passo (até 2.000 pontos), com as mesmas deduções em todos os pontos. Cada ponto traz a faixa nominal, o IRRF antes e depois da redução da PL 1087/25 e as alíquotas efetiva (IRRF final / rendimento) e marginal (variação do IRRF final até o ponto seguinte / passo).',
+				requestBody: {
+					required: true,
 					content: {
 						'application/json': {
 							schema: {
 								type: 'object',
-								properties: { erro: { type: 'string' } }
+								description: 'Aceita também tipo_rendimento, primeira_parcela, aposentado_65_anos, molestia_grave, rendimento_aposentadoria e parametros_reducao_pl_1087_25 de /calcular-irrf. Outros campos (inclusive rendimento_tributavel, salario_bruto e pagamentos_anteriores) são rejeitados',
+								properties: {
+									rendimento_inicial: { type: 'number', minimum: 0, default: 0 },
+									rendimento_final: { type: 'number', default: 10000 },
+									passo: { type: 'number', default: 50, example: 50 },
+									previdencia_oficial: { type: 'number', default: 0, example: 500 },
+									quantidade_dependentes: { type: 'integer', minimum: 0, default: 0, example: 1 },
+									pensao_alimenticia: { type: 'number', default: 0 },
+									previdencia_complementar: { type: 'number', default: 0 },
+									modo_deducao: { type: 'string', enum: ['automatico', 'legal', 'simplificado'], default: 'automatico' },
+									competencia: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-05' }
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Pontos da curva',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										competencia: { type: 'string' },
+										tabela_irrf: { type: 'string' },
+										modo_deducao: { type: 'string' },
+										rendimento_inicial: { type: 'number' },
+										rendimento_final: { type: 'number' },
+										passo: { type: 'number' },
+										quantidade_pontos: { type: 'integer' },
+										limites_faixas: {
+											type: 'array',
+											description: 'Rendimento tributável em que cada faixa passa a incidir, com as deduções informadas',
+											items: {
+												type: 'object',
+												properties: {
+													faixa: { type: 'integer' },
+													aliquota: { type: 'number' },
+													rendimento_inicio: { type: 'number' }
+												}
+											}
+										},
+										janela_reducao_pl_1087_25: {
+											type: 'object',
+											nullable: true,
+											description: 'null quando a competência não tem a redução',
+											properties: {
+												reducao_integral_ate: { type: 'number', example: 5000 },
+												reducao_ate: { type: 'number', example: 7350 }
+											}
+										},
+										pontos: {
+											type: 'array',
+											items: {
+												type: 'object',
+												properties: {
+													rendimento_tributavel: { type: 'number' },
+													base_liquida_irrf: { type: 'number' },
+													faixa: { type: 'integer' },
+													aliquota_nominal: { type: 'number' },
+													irrf_antes_reducao: { type: 'number' },
+													reducao_pl_1087_25: { type: 'number' },
+													irrf_apos_reducao: { type: 'number' },
+													aliquota_efetiva: { type: 'number' },
+													aliquota_marginal: { type: 'number' }
+												}
+											}
+										}
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/ErroValidacao' }
+				}
+			}
+		},
+		'/calcular-irrf/lote': {
+			post: {
+				summary: 'Calcula o IRRF de uma folha inteira (lote)',
+				description: 'Recebe um array JSON (ou { funcionarios: [...] }) ou um CSV (Content-Type: text/csv, separador "," ou ";") com a coluna id_funcionario e os mesmos campos de /calcular-irrf. Cada linha é validada e calculada de forma independente: erros não interrompem o lote.',
+				parameters: [
+					{ name: 'formato', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' }, description: 'csv devolve um arquivo para download com uma linha por funcionário' },
+					{ name: 'memoria', in: 'query', schema: { type: 'boolean', default: false }, description: 'Inclui a memoria_calculo de cada linha (somente JSON)' }
+				],
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'array',
+								maxItems: LIMITE_LINHAS_LOTE,
+								items: {
+									type: 'object',
+									required: ['id_funcionario'],
+									properties: {
+										id_funcionario: { type: 'string', example: '000123' },
+										rendimento_tributavel: { type: 'number', example: 5000.0 },
+										previdencia_oficial: { type: 'number', example: 750.0 },
+										salario_bruto: { type: 'number' },
+										quantidade_dependentes: { type: 'integer', minimum: 0, example: 2 },
+										pensao_alimenticia: { type: 'number', example: 0 },
+										competencia: { type: 'string', example: '2025-05' }
+									}
+								}
+							}
+						},
+						'text/csv': {
+							schema: { type: 'string', example: 'id_funcionario,rendimento_tributavel,previdencia_oficial,quantidade_dependentes,pensao_alimenticia\n000123,5000,750,2,0' }
+						}
+					}
+				},
+				responses: {
+					'200': {
+						description: 'Lote processado (linhas com erro são reportadas individualmente)',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										linhas: {
+											type: 'array',
+											items: {
+												type: 'object',
+												properties: {
+													linha: { type: 'integer' },
+													id_funcionario: { type: 'string' },
+													status: { type: 'string', enum: ['ok', 'erro'] },
+													irrf_retido: { type: 'number', description: 'IRRF após a PL 1087/25, quando aplicável' },
+													resultado: { type: 'object', description: 'Resposta de /calcular-irrf (memoria_calculo somente com memoria=true)' },
+													erro: { type: 'string', description: 'Resumo das mensagens de erros (coluna erro do CSV)' },
+													erros: { type: 'array', items: { $ref: '#/components/schemas/ErroCampo' }, description: 'Somente com status erro: violações do schema de /calcular-irrf e erros do motor, por campo' }
+												}
+											}
+										},
+										totais: {
+											type: 'object',
+											properties: {
+												total_linhas: { type: 'integer' },
+												total_calculadas: { type: 'integer' },
+												total_erros: { type: 'integer' },
+												total_rendimento_tributavel: { type: 'number' },
+												total_irrf_tabela: { type: 'number' },
+												total_reducao_pl_1087_25: { type: 'number' },
+												total_irrf_retido: { type: 'number' },
+												quantidade_por_faixa: {
+													type: 'array',
+													items: {
+														type: 'object',
+														properties: {
+															aliquota: { type: 'number' },
+															quantidade: { type: 'integer' }
+														}
+													}
+												}
+											}
+										}
+									}
+								}
+							},
+							'text/csv': {
+								schema: { type: 'string' }
+							}
+						}
+					},
+					'400': {
+						description: 'Lote ausente, vazio ou acima do limite, ou formato inválido',
+						content: {
+							'application/json': {
+								schema: { $ref: '#/components/schemas/ErroValidacao' }
+							}
+						}
+					}
+				}
+			}
+		},
+		'/tabelas': {
+			get: {
+				summary: 'Regras do IRRF mensal por vigência',
+				description: 'Conteúdo do arquivo de regras (engine/regras-irrf.json), validado na inicialização da API: faixas da tabela progressiva (limite null na última), dedução por dependente, desconto simplificado mínimo, parcela isenta dos 65 anos e parâmetros da redução da PL 1087/25. vigente indica a vigência da competência informada (ou a mais recente).',
+				parameters: [
+					{ name: 'competencia', in: 'query', schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' }, description: 'Define a vigência indicada em vigente. Padrão: a mais recente.' }
+				],
+				responses: {
+					'200': {
+						description: 'Vigências cadastradas, em ordem cronológica',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										vigente: { type: 'string', example: '2025-05' },
+										vigencias: { type: 'array', items: { $ref: '#/components/schemas/VigenciaIRRF' } }
+									}
+								}
 							}
 						}
+					},
+					'400': { $ref: '#/components/responses/Erro' },
+					'404': { $ref: '#/components/responses/Erro' }
+				}
+			}
+		},
+		'/calculos': {
+			get: {
+				summary: 'Lista o histórico de cálculos',
+				description: 'Somente com o histórico habilitado (variável HISTORICO_DB). Mais recentes primeiro; os itens não trazem entrada e resposta (use /calculos/{id}).',
+				parameters: [
+					{ name: 'tipo', in: 'query', schema: { type: 'string', enum: TIPOS_CALCULO } },
+					{ name: 'competencia', in: 'query', schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' } },
+					{ name: 'id_funcionario', in: 'query', schema: { type: 'string' } },
+					{ name: 'de', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Data de criação inicial (UTC, inclusive)' },
+					{ name: 'ate', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Data de criação final (UTC, inclusive)' },
+					{ name: 'pagina', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+					{ name: 'por_pagina', in: 'query', schema: { type: 'integer', minimum: 1, maximum: POR_PAGINA_MAXIMO, default: 20 } }
+				],
+				responses: {
+					'200': {
+						description: 'Página do histórico',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										itens: { type: 'array', items: { $ref: '#/components/schemas/ResumoCalculo' } },
+										pagina: { type: 'integer' },
+										por_pagina: { type: 'integer' },
+										total: { type: 'integer' },
+										total_paginas: { type: 'integer' }
+									}
+								}
+							}
+						}
+					},
+					'400': { $ref: '#/components/responses/Erro' },
+					'503': { $ref: '#/components/responses/HistoricoDesativado' }
+				}
+			}
+		},
+		'/calculos/{id}': {
+			get: {
+				summary: 'Obtém um cálculo do histórico',
+				description: 'Entrada e resposta completa (com memoria_calculo) exatamente como gravadas.',
+				parameters: [
+					{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+				],
+				responses: {
+					'200': {
+						description: 'Cálculo encontrado',
+						content: {
+							'application/json': {
+								schema: {
+									allOf: [{ $ref: '#/components/schemas/ResumoCalculo' }],
+									type: 'object',
+									properties: {
+										entrada: { type: 'object', description: 'Corpo enviado à rota de cálculo (sem id_funcionario)' },
+										resposta: { type: 'object', description: 'Resposta completa da rota de cálculo' }
+									}
+								}
+							}
+						}
+					},
+					'404': { $ref: '#/components/responses/Erro' },
+					'503': { $ref: '#/components/responses/HistoricoDesativado' }
+				}
+			}
+		}
+	},
+	components: {
+		securitySchemes: {
+			ChaveApi: {
+				type: 'apiKey',
+				in: 'header',
+				name: CABECALHO_CHAVE,
+				description: 'Exigida somente quando a API é iniciada com CHAVES_API; cada chave pode ter cota própria de requisições por janela'
+			}
+		},
+		responses: {
+			Erro: {
+				description: 'Requisição inválida ou recurso inexistente',
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: { erro: { type: 'string' } }
+						}
 					}
+				}
+			},
+			ErroValidacao: {
+				description: 'Erro de validação',
+				content: {
+					'application/json': {
+						schema: { $ref: '#/components/schemas/ErroValidacao' }
 					}
 				}
+			},
+			NaoAutorizado: {
+				description: `Chave de API ausente ou inválida (header ${CABECALHO_CHAVE})`,
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: { erro: { type: 'string' } }
+						}
+					}
+				}
+			},
+			LimiteExcedido: {
+				description: 'Limite de requisições da janela excedido (por chave de API ou, sem chaves, por IP)',
+				headers: {
+					'Retry-After': { description: 'Segundos até o fim da janela atual', schema: { type: 'integer' } },
+					'RateLimit-Limit': { description: 'Requisições permitidas por janela', schema: { type: 'integer' } },
+					'RateLimit-Remaining': { description: 'Requisições restantes na janela', schema: { type: 'integer' } },
+					'RateLimit-Reset': { description: 'Segundos até o fim da janela', schema: { type: 'integer' } }
+				},
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: { erro: { type: 'string' } }
+						}
+					}
+				}
+			},
+			HistoricoDesativado: {
+				description: 'Histórico desativado (HISTORICO_DB não definida)',
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: { erro: { type: 'string' } }
+						}
+					}
+				}
+			}
+		},
+		schemas: {
+			VigenciaIRRF: {
+				type: 'object',
+				properties: {
+					id: { type: 'string', example: '2025-05' },
+					vigencia_inicio: { type: 'string', example: '2025-05' },
+					descricao: { type: 'string', example: 'tabela progressiva mensal 05/2025' },
+					tabela: {
+						type: 'array',
+						items: {
+							type: 'object',
+							properties: {
+								limite: { type: 'number', nullable: true, description: 'Inclusive; null na última faixa' },
+								aliquota: { type: 'number', example: 7.5 },
+								deducao: { type: 'number', example: 182.16 }
+							}
+						}
+					},
+					deducao_por_dependente: { type: 'number', example: 189.59 },
+					desconto_simplificado_minimo: { type: 'number', nullable: true, example: 607.2 },
+					parcela_isenta_65_anos: { type: 'number', example: 1903.98 },
+					aplica_reducao_pl_1087_25: { type: 'boolean' },
+					reducao_pl_1087_25: {
+						allOf: [{ $ref: '#/components/schemas/ParametrosReducaoPL108725' }],
+						nullable: true
+					}
+				}
+			},
+			ErroValidacao: {
+				type: 'object',
+				properties: {
+					erro: { type: 'string', description: 'Resumo legível: as mensagens de erros, em sequência' },
+					erros: { type: 'array', items: { $ref: '#/components/schemas/ErroCampo' } }
+				}
+			},
+			ErroCampo: {
+				type: 'object',
+				properties: {
+					campo: { type: 'string', nullable: true, example: 'quantidade_dependentes', description: 'Caminho do campo na entrada (ex.: pagamentos_anteriores[0].irrf_retido); null quando o erro é do corpo inteiro ou não se prende a um campo' },
+					codigo: { type: 'string', enum: ['obrigatorio', 'tipo_invalido', 'valor_minimo', 'valor_nao_permitido', 'formato_invalido', 'campo_desconhecido', 'valor_invalido'], example: 'tipo_invalido' },
+					mensagem: { type: 'string', example: 'quantidade_dependentes deve ser um número inteiro.' }
+				}
+			},
+			ParametrosReducaoPL108725: {
+				type: 'object',
+				description: 'Redução integral (até reducao_maxima) até limite_reducao_integral; entre os limites, valor - fator * rendimento tributável',
+				minProperties: 1,
+				additionalProperties: false,
+				properties: {
+					limite_reducao_integral: { type: 'number', minimum: 0, example: 5000 },
+					reducao_maxima: { type: 'number', minimum: 0, example: 312.89 },
+					limite_reducao: { type: 'number', minimum: 0, example: 7350 },
+					valor: { type: 'number', minimum: 0, example: 978.62 },
+					fator: { type: 'number', minimum: 0, example: 0.133145 }
+				}
+			},
+			ResumoCalculo: {
+				type: 'object',
+				properties: {
+					id: { type: 'string', format: 'uuid' },
+					tipo: { type: 'string', enum: TIPOS_CALCULO },
+					criado_em: { type: 'string', format: 'date-time' },
+					versao_regras: { type: 'string', nullable: true, description: 'Tabelas usadas no cálculo (ex.: tabela progressiva mensal 05/2025; tabela INSS empregado 01/2025)' },
+					competencia: { type: 'string', nullable: true },
+					id_funcionario: { type: 'string', nullable: true }
+				}
+			},
+			LinhaHolerite: {
+				type: 'object',
+				properties: {
+					codigo: { type: 'string', example: 'inss' },
+					descricao: { type: 'string', example: 'INSS' },
+					valor: { type: 'number', example: 509.59 }
+				}
+			},
+			CenarioDeducao: {
+				type: 'object',
+				required: ['deducao', 'base_liquida_irrf', 'aliquota_irrf', 'valor_irrf'],
+				properties: {
+					deducao: { type: 'number', example: 1129.18 },
+					base_liquida_irrf: { type: 'number', example: 3870.82 },
+					aliquota_irrf: { type: 'number', example: 22.5 },
+					valor_irrf: { type: 'number', description: 'Após a PL 1087/25, quando aplicável', example: 0 }
+				}
+			},
+			ComparativoDeducoes: {
+				type: 'object',
+				description: 'Deduções legais x desconto simplificado, lado a lado, com o IRRF de cada cenário (após a PL 1087/25, quando aplicável)',
+				required: ['modo_deducao', 'opcao_escolhida', 'legal', 'simplificado', 'economia'],
+				properties: {
+					modo_deducao: { type: 'string', enum: ['automatico', 'legal', 'simplificado'] },
+					opcao_escolhida: { type: 'string', enum: ['legal', 'simplificado'] },
+					legal: { $ref: '#/components/schemas/CenarioDeducao' },
+					simplificado: { allOf: [{ $ref: '#/components/schemas/CenarioDeducao' }], nullable: true, description: 'null quando a vigência não prevê desconto simplificado' },
+					economia: { type: 'number', description: 'IRRF do cenário não aplicado menos o do aplicado (negativo quando o modo informado é desfavorável)' }
+				}
+			},
+			ResumoINSS: {
+				type: 'object',
+				required: ['salario_bruto', 'tabela_inss', 'teto_atingido', 'valor_inss'],
+				properties: {
+					salario_bruto: { type: 'number' },
+					tabela_inss: { type: 'string' },
+					teto_atingido: { type: 'boolean' },
+					valor_inss: { type: 'number' }
+				}
+			},
+			PagamentosMes: {
+				type: 'object',
+				required: ['quantidade_pagamentos_anteriores', 'rendimento_anteriores', 'rendimento_pagamento_atual', 'rendimento_acumulado', 'irrf_acumulado', 'irrf_retido_anteriormente', 'irrf_devido_pagamento'],
+				properties: {
+					quantidade_pagamentos_anteriores: { type: 'integer' },
+					rendimento_anteriores: { type: 'number' },
+					rendimento_pagamento_atual: { type: 'number' },
+					rendimento_acumulado: { type: 'number' },
+					irrf_acumulado: { type: 'number', description: 'IRRF sobre a base acumulada (após a PL 1087/25, quando aplicável)' },
+					irrf_retido_anteriormente: { type: 'number' },
+					irrf_devido_pagamento: { type: 'number', description: 'IRRF a reter no pagamento atual: max(0, irrf_acumulado - irrf_retido_anteriormente)' }
+				}
+			},
+			EtapaMemoria: {
+				type: 'object',
+				required: ['ordem', 'titulo'],
+				properties: {
+					ordem: { type: 'integer', example: 1 },
+					titulo: { type: 'string', example: 'Base de cálculo' },
+					descricao: { type: 'string' },
+					formula: { type: 'string' },
+					valores: { type: 'object', additionalProperties: true, description: 'Valores usados na fórmula (número, texto, booleano ou null)' },
+					resultado: { description: 'Número ou objeto com os resultados da etapa' },
+					cenario_hipotetico: { type: 'boolean', description: 'Presente (true) apenas com parametros_reducao_pl_1087_25, nas etapas que usam esses parâmetros (redução da PL 1087/25, redução aplicada, IRRF após a PL e comparativo). Localize essas etapas pela marca: ordem muda com as etapas opcionais' }
+				}
+			},
+			MemoriaCalculo: {
+				type: 'object',
+				description: 'Memória de cálculo: entradas consideradas e cada etapa com fórmula, valores e resultado',
+				required: ['entradas', 'etapas'],
+				properties: {
+					entradas: { type: 'object', additionalProperties: true },
+					etapas: { type: 'array', items: { $ref: '#/components/schemas/EtapaMemoria' } }
+				}
+			},
+			SituacaoReducaoPL108725: {
+				type: 'object',
+				required: ['aplicavel', 'aplicada', 'motivo', 'mensagem', 'valor', 'cenario_hipotetico', 'parametros'],
+				properties: {
+					aplicavel: { type: 'boolean', description: 'Rendimento dentro da janela da redução, em vigência e tipo de rendimento que a admitem' },
+					aplicada: { type: 'boolean', description: 'A redução foi efetivamente descontada (valor > 0)' },
+					motivo: {
+						type: 'string',
+						enum: Object.keys(MOTIVOS_REDUCAO_PL_1087_25),
+						description: Object.entries(MOTIVOS_REDUCAO_PL_1087_25).map(([codigo, descricao]) => `${codigo}: ${descricao}`).join('; ')
+					},
+					mensagem: { type: 'string', description: 'Texto legível do motivo' },
+					valor: { type: 'number', description: 'Redução descontada do IRRF (0 quando não se aplica)' },
+					cenario_hipotetico: { type: 'boolean', description: 'true com parametros_reducao_pl_1087_25 na entrada' },
+					parametros: { allOf: [{ $ref: '#/components/schemas/ParametrosReducaoPL108725' }], nullable: true, description: 'Parâmetros usados (oficiais ou hipotéticos); null em vigência sem a redução' }
+				}
+			},
+			RespostaIRRFV2: {
+				type: 'object',
+				required: [
+					'versao', 'competencia', 'tabela_irrf', 'tipo_rendimento',
+					'rendimento_tributavel', 'previdencia_oficial', 'quantidade_dependentes', 'pensao_alimenticia', 'valor_deducoes_dependentes',
+					'previdencia_complementar', 'previdencia_complementar_dedutivel', 'parcela_isenta_65_anos', 'isencao_molestia_grave', 'rendimento_tributavel_liquido',
+					'deducao', 'base_liquida_irrf', 'aliquota_irrf', 'deducao_conforme_tabela', 'valor_irrf',
+					'reducao_pl_1087_25', 'valor_irrf_apos_pl_1087_25', 'irrf_a_reter',
+					'comparativo_deducoes', 'decimo_terceiro', 'inss', 'pagamentos_mes', 'memoria_calculo'
+				],
+				properties: {
+					id_calculo: { type: 'string', format: 'uuid', description: 'Presente apenas com o histórico habilitado (HISTORICO_DB); consulte em GET /calculos/{id}' },
+					versao: { type: 'integer', enum: [2] },
+					competencia: { type: 'string', example: '2025-05', description: 'Competência considerada no cálculo (AAAA-MM)' },
+					tabela_irrf: { type: 'string', example: 'tabela progressiva mensal 05/2025' },
+					tipo_rendimento: { type: 'string', enum: ['mensal', '13_salario', 'ferias'] },
+					rendimento_tributavel: { type: 'number', description: 'Com pagamentos_anteriores, o acumulado do mês' },
+					previdencia_oficial: { type: 'number' },
+					quantidade_dependentes: { type: 'integer' },
+					pensao_alimenticia: { type: 'number' },
+					valor_deducoes_dependentes: { type: 'number' },
+					previdencia_complementar: { type: 'number', description: '0 quando não informada' },
+					previdencia_complementar_dedutivel: { type: 'number', description: 'Limitada a 12% do rendimento tributável' },
+					parcela_isenta_65_anos: { type: 'number', description: '0 sem aposentado_65_anos (ou com isenção por moléstia grave)' },
+					isencao_molestia_grave: { type: 'number', description: '0 sem molestia_grave' },
+					rendimento_tributavel_liquido: { type: 'number', description: 'Rendimento tributável sem os proventos isentos; base dos limites da PL 1087/25' },
+					deducao: {
+						type: 'object',
+						required: ['modo_deducao', 'opcao_escolhida', 'simplificado_minimo_usado', 'desconto_simplificado_minimo', 'deducao_total_aplicada'],
+						properties: {
+							modo_deducao: { type: 'string', enum: ['automatico', 'legal', 'simplificado'] },
+							opcao_escolhida: { type: 'string', enum: ['legal', 'simplificado'] },
+							simplificado_minimo_usado: { type: 'boolean' },
+							desconto_simplificado_minimo: { type: 'number', nullable: true, description: 'Desconto da vigência; null quando ela não prevê o desconto simplificado mensal' },
+							deducao_total_aplicada: { type: 'number', description: 'Deduções legais ou desconto simplificado, conforme opcao_escolhida' }
+						}
+					},
+					base_liquida_irrf: { type: 'number' },
+					aliquota_irrf: { type: 'number', description: 'Percentual (ex.: 15 para 15%)' },
+					deducao_conforme_tabela: { type: 'number' },
+					valor_irrf: { type: 'number', description: 'IRRF antes da redução da PL 1087/25' },
+					reducao_pl_1087_25: { $ref: '#/components/schemas/SituacaoReducaoPL108725' },
+					valor_irrf_apos_pl_1087_25: { type: 'number', description: 'Igual a valor_irrf quando a redução não se aplica' },
+					irrf_a_reter: { type: 'number', description: 'Imposto a reter neste pagamento: valor_irrf_apos_pl_1087_25 ou, com pagamentos_anteriores, pagamentos_mes.irrf_devido_pagamento' },
+					comparativo_deducoes: { $ref: '#/components/schemas/ComparativoDeducoes' },
+					decimo_terceiro: {
+						type: 'object',
+						nullable: true,
+						description: 'null fora de tipo_rendimento 13_salario',
+						required: ['primeira_parcela', 'liquido_segunda_parcela'],
+						properties: {
+							primeira_parcela: { type: 'number' },
+							liquido_segunda_parcela: { type: 'number', description: 'Valor integral menos 1ª parcela, INSS, pensão e IRRF' }
+						}
+					},
+					inss: { allOf: [{ $ref: '#/components/schemas/ResumoINSS' }], nullable: true, description: 'null sem salario_bruto' },
+					pagamentos_mes: { allOf: [{ $ref: '#/components/schemas/PagamentosMes' }], nullable: true, description: 'null sem pagamentos_anteriores' },
+					memoria_calculo: { $ref: '#/components/schemas/MemoriaCalculo' }
+				}
 			}
 		}
 	}
 };
 
+// Histórico: todas as rotas de cálculo aceitam id_funcionario e, com HISTORICO_DB definida, devolvem id_calculo
+for (const tipo of TIPOS_CALCULO) {
+	const { requestBody, responses } = openApiSpec.paths[`/calcular-${tipo}`].post;
+	requestBody.content['application/json'].schema.properties.id_funcionario = { type: 'string', example: '000123', description: 'Opcional: identifica o funcionário no histórico de cálculos (filtro de GET /calculos)' };
+	const resposta = responses['200'].content['application/json'].schema;
+	resposta.properties = {
+		id_calculo: { type: 'string', format: 'uuid', description: 'Presente apenas com o histórico habilitado (HISTORICO_DB); consulte em GET /calculos/{id}' },
+		...resposta.properties
+	};
+}
+
+// /v2/calcular-irrf aceita exatamente o corpo de /calcular-irrf (inclusive id_funcionario)
+openApiSpec.paths['/v2/calcular-irrf'].post.requestBody = openApiSpec.paths['/calcular-irrf'].post.requestBody;
+
+// Rotas <rota>/pdf: reaproveitam o corpo de requisição e o erro 400 da rota de cálculo
+for (const [rota, { titulo }] of Object.entries(DEMONSTRATIVOS)) {
+	const { requestBody, responses } = openApiSpec.paths[rota].post;
+	openApiSpec.paths[`${rota}/pdf`] = {
+		post: {
+			summary: `Demonstrativo em PDF: ${titulo}`,
+			description: `Calcula com o mesmo payload de ${rota} e devolve um PDF para impressão com entradas, resultados, tabelas utilizadas, cada etapa da memória de cálculo (fórmula, valores e resultado) e a data/hora de geração.`,
+			requestBody,
+			responses: {
+				'200': {
+					description: 'Demonstrativo gerado (Content-Disposition: attachment)',
+					content: {
+						'application/pdf': {
+							schema: { type: 'string', format: 'binary' }
+						}
+					}
+				},
+				'400': responses['400']
+			}
+		}
+	};
+}
+
+// Segurança: com CHAVES_API todas as operações exigem a chave (401); com limite configurado, podem responder 429
+if (acesso.exigeChave) openApiSpec.security = [{ ChaveApi: [] }];
+for (const caminho of Object.values(openApiSpec.paths)) {
+	for (const operacao of Object.values(caminho)) {
+		if (acesso.exigeChave) operacao.responses['401'] = { $ref: '#/components/responses/NaoAutorizado' };
+		if (acesso.limitado) operacao.responses['429'] = { $ref: '#/components/responses/LimiteExcedido' };
+	}
+}
+
 app.get('/openapi.json', (req, res) => {
 	res.json(openApiSpec);
 });
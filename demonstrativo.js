@@ -0,0 +1,208 @@
+const PDFDocument = require('pdfkit');
+const { obterRegras } = require('./engine');
+
+// Demonstrativo em PDF de um cálculo: entradas, resultados, tabelas utilizadas e cada etapa da memória de cálculo
+
+const MARGEM = 50;
+const COR_TEXTO = '#1f2937';
+const COR_SECUNDARIA = '#6b7280';
+const COR_LINHA = '#e5e7eb';
+
+const ROTULOS = {
+	rendimento_tributavel: 'Rendimento tributável',
+	previdencia_oficial: 'Previdência oficial',
+	previdencia_complementar: 'Previdência complementar',
+	quantidade_dependentes: 'Quantidade de dependentes',
+	pensao_alimenticia: 'Pensão alimentícia',
+	base_liquida_irrf: 'Base líquida IRRF',
+	aliquota_irrf: 'Alíquota IRRF',
+	deducao_conforme_tabela: 'Dedução conforme tabela',
+	valor_irrf: 'Valor do IRRF',
+	valor_irrf_apos_pl_1087_25: 'IRRF após PL 1087/25',
+	reducao_pl_1087_25: 'Redução PL 1087/25',
+	competencia: 'Competência',
+	salario_bruto: 'Salário bruto',
+	valor_inss: 'Valor do INSS'
+};
+
+const formatoMoeda = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+function rotulo(chave) {
+	if (ROTULOS[chave]) return ROTULOS[chave];
+	const texto = chave.replace(/_/g, ' ');
+	return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+// Mesmo critério da memória no frontend: alíquotas em %, contagens inteiras, coeficientes e o fator da PL 1087/25 com 6 casas, demais valores em R$
+function formatarValor(chave, valor) {
+	if (valor === null || valor === undefined) return '—';
+	if (typeof valor === 'boolean') return valor ? 'Sim' : 'Não';
+	if (typeof valor !== 'number') return String(valor);
+	if (valor === Infinity) return 'sem limite';
+	if (/aliquota|percentual/.test(chave)) return `${valor.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`;
+	if (/coeficiente|^fator$/.test(chave)) return valor.toLocaleString('pt-BR', { maximumFractionDigits: 6 });
+	if (/^(quantidade|numero|ordem|mes|ano|dias|linha)/.test(chave)) return String(valor);
+	return formatoMoeda.format(valor);
+}
+
+// Transforma objetos e arrays aninhados em pares [rótulo, valor formatado]
+function achatar(dados, prefixo = '') {
+	if (dados === null || typeof dados !== 'object') return [[prefixo, formatarValor('', dados)]];
+	return Object.entries(dados).flatMap(([chave, valor]) => {
+		const nome = Array.isArray(dados) ? `${prefixo} ${Number(chave) + 1}` : (prefixo ? `${prefixo} / ${rotulo(chave)}` : rotulo(chave));
+		if (valor !== null && typeof valor === 'object') return achatar(valor, nome.trim());
+		return [[nome.trim(), formatarValor(Array.isArray(dados) ? '' : chave, valor)]];
+	});
+}
+
+// Nomes de tabela (tabela_irrf, tabela_inss, tabela_plr, tabela_anual...) em qualquer nível do resultado
+function tabelasUtilizadas(resultado, encontradas = new Map()) {
+	for (const [chave, valor] of Object.entries(resultado)) {
+		if (chave === 'memoria_calculo') continue;
+		if (chave.startsWith('tabela_') && typeof valor === 'string') encontradas.set(valor, chave);
+		else if (valor !== null && typeof valor === 'object') tabelasUtilizadas(valor, encontradas);
+	}
+	return encontradas;
+}
+
+function garantirEspaco(doc, altura) {
+	if (doc.y + altura > doc.page.height - MARGEM) doc.addPage();
+}
+
+function secao(doc, titulo) {
+	garantirEspaco(doc, 40);
+	doc.moveDown(0.8);
+	doc.font('Helvetica-Bold').fontSize(12).fillColor(COR_TEXTO).text(titulo, MARGEM);
+	const y = doc.y + 2;
+	doc.moveTo(MARGEM, y).lineTo(doc.page.width - MARGEM, y).strokeColor(COR_LINHA).stroke();
+	doc.moveDown(0.5);
+}
+
+// Linha rótulo/valor em duas colunas, com quebra de página quando necessário
+function linha(doc, nome, valor, recuo = 0) {
+	const largura = doc.page.width - MARGEM * 2 - recuo;
+	const larguraValor = 170;
+	doc.font('Helvetica').fontSize(9);
+	const altura = Math.max(
+		doc.heightOfString(nome, { width: largura - larguraValor - 10 }),
+		doc.heightOfString(valor, { width: larguraValor })
+	);
+	garantirEspaco(doc, altura + 4);
+	const y = doc.y;
+	doc.fillColor(COR_SECUNDARIA).text(nome, MARGEM + recuo, y, { width: largura - larguraValor - 10 });
+	doc.fillColor(COR_TEXTO).text(valor, MARGEM + recuo + largura - larguraValor, y, { width: larguraValor, align: 'right' });
+	doc.x = MARGEM;
+	doc.y = y + altura + 3;
+}
+
+function paresChaveValor(doc, dados, recuo = 0) {
+	for (const [nome, valor] of achatar(dados)) linha(doc, nome, valor, recuo);
+}
+
+function tabelaProgressiva(doc, competencia) {
+	const regras = obterRegras(competencia);
+	if (!regras) return;
+	doc.moveDown(0.3);
+	doc.font('Helvetica-Bold').fontSize(9).fillColor(COR_TEXTO).text(`Faixas da ${regras.descricao}`, MARGEM);
+	doc.moveDown(0.2);
+	regras.tabela.forEach((faixa, i) => {
+		const anterior = i > 0 ? regras.tabela[i - 1].limite : null;
+		const base = anterior === null
+			? `Até ${formatoMoeda.format(faixa.limite)}`
+			: faixa.limite === Infinity
+				? `Acima de ${formatoMoeda.format(anterior)}`
+				: `De ${formatoMoeda.format(anterior + 0.01)} até ${formatoMoeda.format(faixa.limite)}`;
+		linha(doc, `Faixa ${i + 1}: ${base}`, `${formatarValor('aliquota', faixa.aliquota)} | dedução ${formatoMoeda.format(faixa.deducao)}`, 10);
+	});
+}
+
+function etapa(doc, et) {
+	garantirEspaco(doc, 60);
+	doc.moveDown(0.4);
+	doc.font('Helvetica-Bold').fontSize(10).fillColor(COR_TEXTO).text(`${et.ordem}. ${et.titulo}`, MARGEM);
+	if (et.descricao) {
+		doc.font('Helvetica').fontSize(9).fillColor(COR_SECUNDARIA).text(et.descricao, MARGEM + 10);
+	}
+	if (et.formula) {
+		doc.font('Helvetica').fontSize(9).fillColor(COR_TEXTO).text('Fórmula: ', MARGEM + 10, doc.y, { continued: true })
+			.font('Courier').text(String(et.formula));
+	}
+	if (et.valores && Object.keys(et.valores).length > 0) {
+		doc.moveDown(0.2);
+		paresChaveValor(doc, et.valores, 10);
+	}
+	if (et.resultado !== undefined) {
+		if (et.resultado !== null && typeof et.resultado === 'object') {
+			for (const [nome, valor] of achatar(et.resultado, 'Resultado')) linha(doc, nome, valor, 10);
+		} else {
+			linha(doc, 'Resultado', formatarValor('', et.resultado), 10);
+		}
+	}
+	doc.x = MARGEM;
+}
+
+function rodapes(doc, geradoEm) {
+	const { start, count } = doc.bufferedPageRange();
+	for (let i = start; i < start + count; i++) {
+		doc.switchToPage(i);
+		const y = doc.page.height - MARGEM + 15;
+		// margem inferior zerada para o rodapé não abrir página nova
+		const margemInferior = doc.page.margins.bottom;
+		doc.page.margins.bottom = 0;
+		doc.font('Helvetica').fontSize(8).fillColor(COR_SECUNDARIA)
+			.text(`Gerado em ${geradoEm}`, MARGEM, y, { lineBreak: false })
+			.text(`Página ${i + 1} de ${count}`, MARGEM, y, { width: doc.page.width - MARGEM * 2, align: 'right', lineBreak: false });
+		doc.page.margins.bottom = margemInferior;
+	}
+}
+
+/**
+ * Gera o demonstrativo em PDF de um cálculo já efetuado.
+ * @param {{ titulo: string, entrada: object, resultado: object, geradoEm?: Date }} dados
+ * @returns {Promise<Buffer>}
+ */
+function gerarDemonstrativoPdf({ titulo, entrada, resultado, geradoEm = new Date() }) {
+	const carimbo = geradoEm.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }) + ' (horário de Brasília)';
+	const { memoria_calculo: memoria, ...resultados } = resultado;
+
+	const doc = new PDFDocument({
+		size: 'A4',
+		margin: MARGEM,
+		bufferPages: true,
+		info: { Title: `Demonstrativo - ${titulo}`, CreationDate: geradoEm }
+	});
+	const partes = [];
+	doc.on('data', parte => partes.push(parte));
+	const concluido = new Promise((resolve, reject) => {
+		doc.on('end', () => resolve(Buffer.concat(partes)));
+		doc.on('error', reject);
+	});
+
+	doc.font('Helvetica-Bold').fontSize(16).fillColor(COR_TEXTO).text('Demonstrativo de cálculo');
+	doc.font('Helvetica').fontSize(11).fillColor(COR_SECUNDARIA).text(titulo);
+	doc.fontSize(9).text(`Gerado em ${carimbo}`);
+
+	secao(doc, 'Entradas');
+	paresChaveValor(doc, memoria?.entradas ?? entrada);
+
+	secao(doc, 'Resultados');
+	paresChaveValor(doc, resultados);
+
+	const tabelas = tabelasUtilizadas(resultados);
+	if (tabelas.size > 0) {
+		secao(doc, 'Tabelas utilizadas');
+		for (const [descricao, chave] of tabelas) linha(doc, rotulo(chave), descricao);
+		if ([...tabelas.values()].includes('tabela_irrf')) tabelaProgressiva(doc, resultados.competencia ?? resultados.irrf?.competencia);
+	}
+
+	if (memoria?.etapas?.length) {
+		secao(doc, 'Memória de cálculo');
+		[...memoria.etapas].sort((a, b) => a.ordem - b.ordem).forEach(et => etapa(doc, et));
+	}
+
+	rodapes(doc, carimbo);
+	doc.end();
+	return concluido;
+}
+
+module.exports = { gerarDemonstrativoPdf, formatarValor };
@@ -0,0 +1,635 @@
+/**
+ * Tipos do motor de cálculo do IRRF (irrf-engine).
+ * Todas as funções calcular* retornam a resposta da rota correspondente da API ou { erro }.
+ */
+
+/** Competência no formato AAAA-MM (ex.: '2025-05'). */
+export type Competencia = string;
+
+/** Retorno de validação: a entrada foi rejeitada. */
+export interface Erro {
+  erro: string;
+  /** Entrada rejeitada, quando identificável (ex.: 'quantidade_dependentes', 'meses[2].mes'). */
+  campo?: string;
+  /** Código do erro por campo, quando diferente de valor_invalido (ex.: campo_desconhecido em calcularCurvaIRRF). */
+  codigo?: ErroCampo['codigo'];
+}
+
+/** Erro por campo, no formato dos 400 da API ({ erro, erros }). */
+export interface ErroCampo {
+  /** Caminho na entrada; null para o item inteiro. */
+  campo: string | null;
+  codigo: 'obrigatorio' | 'tipo_invalido' | 'valor_minimo' | 'valor_nao_permitido' | 'formato_invalido' | 'campo_desconhecido' | 'valor_invalido';
+  mensagem: string;
+}
+
+export type Resultado<T> = T | Erro;
+
+/** Faixa de tabela progressiva: limite superior (inclusive), alíquota (%) e parcela a deduzir (R$). */
+export interface FaixaTabela {
+  limite: number;
+  aliquota: number;
+  deducao: number;
+}
+
+/** Redução da PL 1087/25: integral (até reducao_maxima) até limite_reducao_integral; depois, valor - fator * rendimento até limite_reducao. */
+export interface ReducaoPL108725 {
+  limite_reducao_integral: number;
+  reducao_maxima: number;
+  limite_reducao: number;
+  valor: number;
+  fator: number;
+}
+
+export interface RegrasIRRF {
+  id: string;
+  vigencia_inicio: Competencia;
+  descricao: string;
+  tabela: FaixaTabela[];
+  deducao_por_dependente: number;
+  /** null quando a vigência não prevê desconto simplificado mensal. */
+  desconto_simplificado_minimo: number | null;
+  /** Parcela isenta mensal dos proventos de aposentadoria/pensão a partir dos 65 anos. */
+  parcela_isenta_65_anos: number;
+  /** null quando a vigência não tem a redução. */
+  reducao_pl_1087_25: ReducaoPL108725 | null;
+  aplica_reducao_pl_1087_25: boolean;
+}
+
+/** Formato de regras-irrf.json e de GET /tabelas: última faixa com limite null. */
+export interface RegrasIRRFSerializadas extends Omit<RegrasIRRF, 'tabela'> {
+  tabela: { limite: number | null; aliquota: number; deducao: number }[];
+}
+
+export interface TabelaINSS {
+  id: string;
+  vigencia_inicio: Competencia;
+  descricao: string;
+  faixas: Array<{ limite: number; aliquota: number }>;
+}
+
+export interface TabelaPLR {
+  id: string;
+  vigencia_inicio: Competencia;
+  descricao: string;
+  tabela: FaixaTabela[];
+}
+
+export interface TipoRendimento {
+  descricao: string;
+  memoria?: string;
+  aplica_reducao_pl_1087_25: boolean;
+}
+
+export type ValorMemoria = number | string | boolean | null;
+
+export interface EtapaMemoria {
+  ordem: number;
+  titulo: string;
+  descricao?: string;
+  formula?: string;
+  valores?: Record<string, ValorMemoria>;
+  resultado?: number | Record<string, ValorMemoria>;
+  /**
+   * Somente com parametros_reducao_pl_1087_25, nas etapas que usam esses parâmetros (redução, redução aplicada, IRRF após a PL e comparativo).
+   * Localize-as por esta marca: ordem muda com as etapas opcionais.
+   */
+  cenario_hipotetico?: true;
+}
+
+export interface MemoriaCalculo {
+  entradas: Record<string, ValorMemoria>;
+  etapas: EtapaMemoria[];
+}
+
+export type TipoRendimentoId = 'mensal' | '13_salario' | 'ferias';
+
+export type ModoDeducao = 'automatico' | 'legal' | 'simplificado';
+
+export interface EntradaIRRF {
+  /** Obrigatório, exceto quando salario_bruto for informado. */
+  rendimento_tributavel?: number;
+  /** Obrigatório, exceto quando salario_bruto for informado (não envie os dois). */
+  previdencia_oficial?: number;
+  /** Deriva previdencia_oficial pela tabela do INSS da competência. */
+  salario_bruto?: number;
+  quantidade_dependentes: number;
+  pensao_alimenticia?: number;
+  competencia?: Competencia;
+  tipo_rendimento?: TipoRendimentoId;
+  /** Somente para tipo_rendimento '13_salario'. */
+  primeira_parcela?: number;
+  /** Somente para 'mensal': pagamentos já feitos na competência; o IRRF é recalculado sobre a base acumulada. */
+  pagamentos_anteriores?: PagamentoMesAnterior[];
+  /** Padrão 'automatico' (maior dedução); 'simplificado' exige vigência com desconto simplificado. */
+  modo_deducao?: ModoDeducao;
+  /** PGBL/Funpresp; dedutível até 12% do rendimento tributável. */
+  previdencia_complementar?: number;
+  aposentado_65_anos?: boolean;
+  molestia_grave?: boolean;
+  /** Parte de rendimento_tributavel que é provento de aposentadoria/pensão (padrão: todo). Exige um dos flags acima. */
+  rendimento_aposentadoria?: number;
+  /**
+   * Cenário hipotético: substitui os parâmetros oficiais da redução (omitidos mantêm os da vigência; sem redução na vigência, informe todos).
+   * A redução deve ser contínua nas bordas da janela: valor e fator omitidos são recalculados a partir dos limites e de reducao_maxima.
+   */
+  parametros_reducao_pl_1087_25?: Partial<ReducaoPL108725>;
+}
+
+export interface PagamentoMesAnterior {
+  rendimento_tributavel: number;
+  previdencia_oficial?: number;
+  pensao_alimenticia?: number;
+  irrf_retido: number;
+}
+
+export interface OpcoesCalculoIRRF {
+  /** Padrão true; false omite memoria_calculo da resposta. */
+  incluirMemoria?: boolean;
+}
+
+export interface ResumoINSS {
+  salario_bruto: number;
+  tabela_inss: string;
+  teto_atingido: boolean;
+  valor_inss: number;
+}
+
+export interface PagamentosMes {
+  quantidade_pagamentos_anteriores: number;
+  rendimento_anteriores: number;
+  rendimento_pagamento_atual: number;
+  rendimento_acumulado: number;
+  irrf_acumulado: number;
+  irrf_retido_anteriormente: number;
+  /** IRRF a reter no pagamento atual: max(0, irrf_acumulado - irrf_retido_anteriormente). */
+  irrf_devido_pagamento: number;
+}
+
+export interface CenarioDeducao {
+  deducao: number;
+  base_liquida_irrf: number;
+  aliquota_irrf: number;
+  /** IRRF do cenário, após a PL 1087/25 quando aplicável. */
+  valor_irrf: number;
+}
+
+export interface ComparativoDeducoes {
+  modo_deducao: ModoDeducao;
+  opcao_escolhida: Exclude<ModoDeducao, 'automatico'>;
+  legal: CenarioDeducao;
+  /** null quando a vigência não prevê desconto simplificado mensal. */
+  simplificado: CenarioDeducao | null;
+  /** IRRF do cenário não aplicado menos o do aplicado (negativo quando o modo informado é desfavorável). */
+  economia: number;
+}
+
+export interface RespostaIRRF {
+  rendimento_tributavel: number;
+  previdencia_oficial: number;
+  quantidade_dependentes: number;
+  pensao_alimenticia: number;
+  valor_deducoes_dependentes: number;
+  previdencia_complementar?: number;
+  previdencia_complementar_dedutivel?: number;
+  parcela_isenta_65_anos?: number;
+  isencao_molestia_grave?: number;
+  /** Presente somente quando o desconto simplificado mínimo foi aplicado. */
+  desconto_simplificado_aplicado?: number;
+  base_liquida_irrf: number;
+  aliquota_irrf: number;
+  deducao_conforme_tabela: number;
+  valor_irrf: number;
+  competencia: Competencia;
+  tabela_irrf: string;
+  tipo_rendimento?: Exclude<TipoRendimentoId, 'mensal'>;
+  primeira_parcela?: number;
+  liquido_segunda_parcela?: number;
+  inss?: ResumoINSS;
+  reducao_pl_1087_25: number;
+  /** Presentes somente com parametros_reducao_pl_1087_25 (parâmetros efetivamente usados). */
+  cenario_hipotetico?: true;
+  parametros_reducao_pl_1087_25?: ReducaoPL108725;
+  comparativo_deducoes: ComparativoDeducoes;
+  /** Ausente quando a redução não se aplica (nesse caso há mensagem). */
+  valor_irrf_apos_pl_1087_25?: number;
+  mensagem?: string;
+  /** Presente quando pagamentos_anteriores foi informado; os demais campos referem-se ao acumulado do mês. */
+  pagamentos_mes?: PagamentosMes;
+  /** Ausente com incluirMemoria = false. */
+  memoria_calculo?: MemoriaCalculo;
+}
+
+/** Código estável da situação da redução da PL 1087/25 na resposta v2. */
+export type MotivoReducaoPL108725 =
+  | 'reducao_integral'
+  | 'reducao_parcial'
+  | 'acima_do_limite'
+  | 'vigencia_sem_reducao'
+  | 'tipo_rendimento_sem_reducao';
+
+/** Resposta v2 (/v2/calcular-irrf): todos os campos sempre presentes; null ou 0 quando não se aplicam. */
+export interface RespostaIRRFV2 {
+  versao: 2;
+  competencia: Competencia;
+  tabela_irrf: string;
+  tipo_rendimento: TipoRendimentoId;
+  rendimento_tributavel: number;
+  previdencia_oficial: number;
+  quantidade_dependentes: number;
+  pensao_alimenticia: number;
+  valor_deducoes_dependentes: number;
+  previdencia_complementar: number;
+  previdencia_complementar_dedutivel: number;
+  parcela_isenta_65_anos: number;
+  isencao_molestia_grave: number;
+  /** Rendimento tributável sem os proventos isentos (65 anos / moléstia grave); base dos limites da PL 1087/25. */
+  rendimento_tributavel_liquido: number;
+  deducao: {
+    modo_deducao: ModoDeducao;
+    opcao_escolhida: Exclude<ModoDeducao, 'automatico'>;
+    simplificado_minimo_usado: boolean;
+    /** null quando a vigência não prevê o desconto simplificado mensal. */
+    desconto_simplificado_minimo: number | null;
+    deducao_total_aplicada: number;
+  };
+  base_liquida_irrf: number;
+  aliquota_irrf: number;
+  deducao_conforme_tabela: number;
+  /** IRRF antes da redução da PL 1087/25. */
+  valor_irrf: number;
+  reducao_pl_1087_25: {
+    /** Rendimento dentro da janela da redução, em vigência e tipo de rendimento que a admitem. */
+    aplicavel: boolean;
+    /** Redução efetivamente descontada (valor > 0). */
+    aplicada: boolean;
+    motivo: MotivoReducaoPL108725;
+    mensagem: string;
+    valor: number;
+    cenario_hipotetico: boolean;
+    /** Parâmetros usados (oficiais ou hipotéticos); null em vigência sem a redução. */
+    parametros: ReducaoPL108725 | null;
+  };
+  /** Igual a valor_irrf quando a redução não se aplica. */
+  valor_irrf_apos_pl_1087_25: number;
+  /** Imposto a reter neste pagamento (descontado o já retido em pagamentos_anteriores). */
+  irrf_a_reter: number;
+  comparativo_deducoes: ComparativoDeducoes;
+  decimo_terceiro: { primeira_parcela: number; liquido_segunda_parcela: number } | null;
+  inss: ResumoINSS | null;
+  pagamentos_mes: PagamentosMes | null;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface FaixaContribuicaoINSS {
+  faixa: number;
+  de: number;
+  ate: number;
+  aliquota: number;
+  parcela_salario: number;
+  contribuicao: number;
+}
+
+export interface EntradaINSS {
+  salario_bruto: number;
+  competencia?: Competencia;
+}
+
+export interface RespostaINSS {
+  salario_bruto: number;
+  tabela_inss: string;
+  teto_inss: number;
+  teto_atingido: boolean;
+  base_contribuicao: number;
+  valor_inss: number;
+  aliquota_efetiva: number;
+  faixas: FaixaContribuicaoINSS[];
+  competencia: Competencia;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface EntradaSalarioLiquido {
+  salario_bruto: number;
+  quantidade_dependentes?: number;
+  competencia?: Competencia;
+  outros_proventos?: number;
+  pensao_alimenticia?: number;
+  plano_saude?: number;
+  vale_transporte?: boolean;
+  custo_vale_transporte?: number;
+  adiantamento?: number;
+  outros_descontos?: number;
+}
+
+export interface LinhaHolerite {
+  codigo: string;
+  descricao: string;
+  valor: number;
+}
+
+export interface RespostaSalarioLiquido {
+  competencia: Competencia;
+  proventos: LinhaHolerite[];
+  descontos: LinhaHolerite[];
+  total_proventos: number;
+  total_descontos: number;
+  salario_liquido: number;
+  valor_inss: number;
+  valor_irrf: number;
+  irrf: Omit<RespostaIRRF, 'memoria_calculo'>;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface EntradaFerias {
+  salario: number;
+  dias_ferias?: number;
+  dias_abono?: number;
+  media_variaveis?: number;
+  quantidade_dependentes?: number;
+  pensao_alimenticia?: number;
+  competencia?: Competencia;
+}
+
+export interface RespostaFerias {
+  competencia: Competencia;
+  salario: number;
+  media_variaveis: number;
+  dias_ferias: number;
+  dias_abono: number;
+  valor_dia: number;
+  valor_ferias: number;
+  terco_constitucional: number;
+  abono_pecuniario: number;
+  terco_abono: number;
+  total_tributavel: number;
+  total_isento: number;
+  valor_bruto: number;
+  valor_inss: number;
+  valor_irrf: number;
+  valor_liquido: number;
+  irrf: Omit<RespostaIRRF, 'memoria_calculo'>;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface PagamentoPLRAnterior {
+  valor: number;
+  irrf_retido: number;
+  pensao_alimenticia?: number;
+}
+
+export interface EntradaPLR {
+  valor_plr: number;
+  pagamentos_anteriores?: PagamentoPLRAnterior[];
+  pensao_alimenticia?: number;
+  competencia?: Competencia;
+}
+
+export interface RespostaPLR {
+  competencia: Competencia;
+  tabela_plr: string;
+  valor_plr: number;
+  plr_anteriores: number;
+  plr_acumulada: number;
+  pensao_acumulada: number;
+  base_calculo_acumulada: number;
+  aliquota_plr: number;
+  deducao_conforme_tabela: number;
+  imposto_acumulado: number;
+  irrf_retido_anteriormente: number;
+  valor_irrf: number;
+  valor_liquido: number;
+  aplica_reducao_pl_1087_25: false;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface EntradaRRA {
+  valor_total: number;
+  numero_meses: number;
+  previdencia_oficial?: number;
+  honorarios_advocaticios?: number;
+  pensao_alimenticia?: number;
+  competencia?: Competencia;
+}
+
+export interface RespostaRRA {
+  competencia: Competencia;
+  tabela_irrf: string;
+  valor_total: number;
+  numero_meses: number;
+  soma_deducoes: number;
+  base_calculo: number;
+  aliquota_irrf: number;
+  deducao_conforme_tabela: number;
+  valor_irrf: number;
+  aliquota_efetiva: number;
+  valor_liquido: number;
+  aplica_reducao_pl_1087_25: false;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export interface MesAjusteAnual {
+  mes: number;
+  rendimento_tributavel: number;
+  previdencia_oficial?: number;
+  pensao_alimenticia?: number;
+  /** Padrão: quantidade_dependentes do ano. */
+  quantidade_dependentes?: number;
+  /** Sem ele, o IRRF do mês é calculado pela tabela mensal da competência. */
+  irrf_retido?: number;
+}
+
+export interface EntradaAjusteAnual {
+  ano_calendario: number;
+  meses: MesAjusteAnual[];
+  quantidade_dependentes?: number;
+  despesas_medicas?: number;
+  despesas_instrucao?: number;
+}
+
+export interface TabelaAnual {
+  id: string;
+  vigencia_inicio: Competencia;
+  descricao: string;
+  tabela: FaixaTabela[];
+  deducao_por_dependente: number;
+  limite_desconto_simplificado: number;
+  limite_instrucao_por_pessoa: number;
+}
+
+export interface ImpostoAnual {
+  base_calculo: number;
+  aliquota: number;
+  deducao_conforme_tabela: number;
+  imposto_devido: number;
+}
+
+export interface RespostaAjusteAnual {
+  ano_calendario: number;
+  tabela_anual: string;
+  meses: Array<{
+    mes: number;
+    competencia: Competencia;
+    rendimento_tributavel: number;
+    previdencia_oficial: number;
+    pensao_alimenticia: number;
+    irrf_retido: number;
+    irrf_origem: 'informado' | 'calculado';
+  }>;
+  totais: {
+    rendimentos_tributaveis: number;
+    previdencia_oficial: number;
+    pensao_alimenticia: number;
+    irrf_retido: number;
+  };
+  declaracao_completa: ImpostoAnual & { total_deducoes: number };
+  declaracao_simplificada: ImpostoAnual & { desconto_simplificado: number };
+  modelo_escolhido: 'completa' | 'simplificada';
+  economia: number;
+  imposto_devido: number;
+  irrf_retido: number;
+  resultado: 'restituicao' | 'imposto_a_pagar' | 'sem_saldo';
+  valor_restituicao: number;
+  valor_a_pagar: number;
+  aplica_reducao_pl_1087_25: false;
+  memoria_calculo: MemoriaCalculo;
+}
+
+export type TipoAlvoBruto = 'salario_liquido' | 'valor_liquido' | 'valor_irrf';
+
+export interface EntradaBruto extends Omit<EntradaSalarioLiquido, 'salario_bruto'> {
+  tipo_alvo?: TipoAlvoBruto;
+  valor_alvo: number;
+  /** Somente para valor_liquido e valor_irrf. */
+  incluir_inss?: boolean;
+  previdencia_oficial?: number;
+}
+
+export interface RespostaBruto {
+  tipo_alvo: TipoAlvoBruto;
+  valor_alvo: number;
+  bruto: number;
+  valor_obtido: number;
+  diferenca: number;
+  convergiu: boolean;
+  iteracoes: number;
+  metodo: string;
+  resultado: Omit<RespostaSalarioLiquido, 'memoria_calculo'> | Omit<RespostaIRRF, 'memoria_calculo'>;
+  memoria_calculo: MemoriaCalculo;
+}
+
+/** Demais campos como em calcularIRRF; o rendimento tributável varia de rendimento_inicial a rendimento_final. */
+export interface EntradaCurvaIRRF extends Omit<EntradaIRRF, 'rendimento_tributavel' | 'salario_bruto' | 'pagamentos_anteriores' | 'quantidade_dependentes'> {
+  /** Padrão 0. */
+  rendimento_inicial?: number;
+  /** Padrão 10.000. */
+  rendimento_final?: number;
+  /** Padrão 50; no máximo 2.000 pontos por curva. */
+  passo?: number;
+  /** Padrão 0. */
+  quantidade_dependentes?: number;
+}
+
+export interface PontoCurvaIRRF {
+  rendimento_tributavel: number;
+  base_liquida_irrf: number;
+  /** Posição (1 = isenta) na tabela progressiva da competência. */
+  faixa: number;
+  aliquota_nominal: number;
+  irrf_antes_reducao: number;
+  reducao_pl_1087_25: number;
+  irrf_apos_reducao: number;
+  /** Percentual: irrf_apos_reducao / rendimento_tributavel. */
+  aliquota_efetiva: number;
+  /** Percentual: variação do IRRF final até o ponto seguinte / passo. */
+  aliquota_marginal: number;
+}
+
+export interface RespostaCurvaIRRF {
+  competencia: Competencia;
+  tabela_irrf: string;
+  modo_deducao: ModoDeducao;
+  quantidade_dependentes: number;
+  previdencia_oficial: number;
+  pensao_alimenticia: number;
+  rendimento_inicial: number;
+  rendimento_final: number;
+  passo: number;
+  quantidade_pontos: number;
+  /** Rendimento tributável em que cada faixa passa a incidir, com as deduções informadas. */
+  limites_faixas: { faixa: number; aliquota: number; rendimento_inicio: number }[];
+  /** null quando a competência não tem a redução da PL 1087/25. */
+  janela_reducao_pl_1087_25: { reducao_integral_ate: number; reducao_ate: number } | null;
+  pontos: PontoCurvaIRRF[];
+}
+
+export interface FuncionarioLote extends EntradaIRRF {
+  id_funcionario: string | number;
+}
+
+export interface LinhaLote {
+  linha: number;
+  id_funcionario?: string | number;
+  status: 'ok' | 'erro';
+  irrf_retido?: number;
+  resultado?: RespostaIRRF;
+  /** Resumo das mensagens de erros. */
+  erro?: string;
+  erros?: ErroCampo[];
+}
+
+export interface OpcoesCalculoLote extends OpcoesCalculoIRRF {
+  /** Validação adicional de cada linha (sem id_funcionario), antes do motor; padrão: nenhuma. */
+  validarEntrada?: (entrada: Record<string, unknown>) => ErroCampo[];
+}
+
+export interface RespostaLote {
+  linhas: LinhaLote[];
+  totais: {
+    total_linhas: number;
+    total_calculadas: number;
+    total_erros: number;
+    total_rendimento_tributavel: number;
+    total_irrf_tabela: number;
+    total_reducao_pl_1087_25: number;
+    total_irrf_retido: number;
+    quantidade_por_faixa: Array<{ aliquota: number; quantidade: number }>;
+  };
+}
+
+export const REGRAS_IRRF: RegrasIRRF[];
+export const TABELAS_INSS: TabelaINSS[];
+export const TABELAS_PLR: TabelaPLR[];
+export const TABELAS_IRPF_ANUAL: TabelaAnual[];
+export const TIPOS_RENDIMENTO: Record<TipoRendimentoId, TipoRendimento>;
+export const MODOS_DEDUCAO: Record<ModoDeducao, string>;
+export const MOTIVOS_REDUCAO_PL_1087_25: Record<MotivoReducaoPL108725, string>;
+export const TIPOS_ALVO_BRUTO: Record<TipoAlvoBruto, string>;
+
+export function round2(value: number): number;
+export function isCompetenciaValida(competencia: unknown): competencia is Competencia;
+/** Sem competência, retorna a vigência mais recente; null quando anterior à primeira cadastrada. */
+export function obterRegras(competencia?: Competencia): RegrasIRRF | null;
+export function obterTabelaINSS(competencia?: Competencia): TabelaINSS | null;
+export function obterTabelaPLR(competencia?: Competencia): TabelaPLR | null;
+/** Tabela anual do ano-calendário; sem ano, a mais recente. */
+export function obterTabelaAnual(ano?: number): TabelaAnual | null;
+export function escolherFaixa(base: number, tabela?: FaixaTabela[]): FaixaTabela;
+/** Inconsistências do conteúdo de um arquivo de regras ({ vigencias: [...] }); vazio quando válido. */
+export function validarRegrasIRRF(dados: unknown): string[];
+export function serializarRegrasIRRF(regras: RegrasIRRF): RegrasIRRFSerializadas;
+
+export function calcularIRRF(input: EntradaIRRF, options?: OpcoesCalculoIRRF): Resultado<RespostaIRRF>;
+/** Mesma entrada de calcularIRRF, resposta no contrato estável v2. */
+export function calcularIRRFV2(input: EntradaIRRF): Resultado<RespostaIRRFV2>;
+export function calcularINSS(input: EntradaINSS): Resultado<RespostaINSS>;
+export function calcularSalarioLiquido(input: EntradaSalarioLiquido): Resultado<RespostaSalarioLiquido>;
+export function calcularFerias(input: EntradaFerias): Resultado<RespostaFerias>;
+export function calcularPLR(input: EntradaPLR): Resultado<RespostaPLR>;
+export function calcularRRA(input: EntradaRRA): Resultado<RespostaRRA>;
+export function calcularAjusteAnual(input: EntradaAjusteAnual): Resultado<RespostaAjusteAnual>;
+export function calcularBruto(input: EntradaBruto): Resultado<RespostaBruto>;
+export function calcularCurvaIRRF(input?: EntradaCurvaIRRF): Resultado<RespostaCurvaIRRF>;
+/** Padrão incluirMemoria = false; cada item é validado isoladamente e o erro fica na própria linha. */
+export function calcularLote(funcionarios: unknown[], options?: OpcoesCalculoLote): RespostaLote;
+/** Erro do motor como lista de erros por campo (codigo padrão valor_invalido). */
+export function errosDoMotor(erro: Erro): ErroCampo[];
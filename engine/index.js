@@ -0,0 +1,2099 @@
+/**
+ * Motor de cálculo do IRRF (e de INSS, holerite, férias, PLR, RRA, ajuste anual e gross-up), independente do Express.
+ * Usado pela API (app.js), pelo frontend React e por scripts/serviços Node: todas as funções são puras,
+ * recebem o mesmo corpo JSON das rotas correspondentes e retornam a mesma resposta, ou { erro } quando
+ * a entrada é inválida. Tipos em index.d.ts.
+ */
+const {
+	REGRAS_IRRF,
+	TABELAS_INSS,
+	TABELAS_PLR,
+	TABELAS_IRPF_ANUAL,
+	isCompetenciaValida,
+	obterRegras,
+	obterTabelaINSS,
+	obterTabelaPLR,
+	obterTabelaAnual,
+	escolherFaixa
+} = require('./tabelas');
+const { CAMPOS_REDUCAO_PL_1087_25, verificarContinuidadeReducao, validarRegrasIRRF, serializarRegrasIRRF } = require('./regras');
+
+function round2(value) {
+	return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+// Formata número com vírgula decimal (ex.: 189.59 -> '189,59') para as fórmulas da memória
+function formatarDecimal(value, casas = 2) {
+	return Number(value).toFixed(casas).replace('.', ',');
+}
+
+// Numera sequencialmente as etapas da memória de cálculo (campo ordem, mantido como primeira chave)
+function numerarEtapas(etapas) {
+	return etapas.map((etapa, indice) => Object.assign({ ordem: 0 }, etapa, { ordem: indice + 1 }));
+}
+
+function isFiniteNumber(value) {
+	return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Contribuição progressiva: cada faixa incide apenas sobre a parcela do salário dentro dela,
+// limitada ao teto. Retorna o detalhamento por faixa e as etapas da memória de cálculo.
+function calcularContribuicaoINSS(salario_bruto, tabelaInss) {
+	const teto = tabelaInss.faixas[tabelaInss.faixas.length - 1].limite;
+	const base_contribuicao = round2(Math.min(salario_bruto, teto));
+	const teto_atingido = salario_bruto > teto;
+
+	let limite_anterior = 0;
+	const faixas = [];
+	for (const [indice, faixa] of tabelaInss.faixas.entries()) {
+		const parcela = round2(Math.max(0, Math.min(base_contribuicao, faixa.limite) - limite_anterior));
+		faixas.push({
+			faixa: indice + 1,
+			de: limite_anterior,
+			ate: faixa.limite,
+			aliquota: faixa.aliquota,
+			parcela_salario: parcela,
+			contribuicao: round2(parcela * (faixa.aliquota / 100))
+		});
+		limite_anterior = faixa.limite;
+	}
+	const valor_inss = round2(faixas.reduce((soma, f) => soma + f.contribuicao, 0));
+	const aliquota_efetiva = salario_bruto > 0 ? round2((valor_inss / salario_bruto) * 100) : 0;
+
+	const etapas = [
+		{
+			titulo: 'INSS: salário de contribuição',
+			descricao: teto_atingido
+				? 'O salário bruto ultrapassa o teto; a contribuição incide apenas até o teto.'
+				: 'O salário bruto está abaixo do teto e é integralmente salário de contribuição.',
+			formula: `min(salario_bruto, ${formatarDecimal(teto)})`,
+			valores: {
+				salario_bruto: round2(salario_bruto),
+				teto_inss: teto,
+				teto_atingido
+			},
+			resultado: base_contribuicao
+		},
+		...faixas.map(f => ({
+			titulo: `INSS: contribuição da faixa ${f.faixa}`,
+			descricao: `Parcela do salário de contribuição entre ${formatarDecimal(f.de)} e ${formatarDecimal(f.ate)} multiplicada pela alíquota da faixa (${tabelaInss.descricao}).`,
+			formula: `(min(salario_contribuicao, ${formatarDecimal(f.ate)}) - ${formatarDecimal(f.de)}) * ${formatarDecimal(f.aliquota, 1)}%`,
+			valores: {
+				parcela_salario: f.parcela_salario,
+				aliquota: f.aliquota
+			},
+			resultado: f.contribuicao
+		})),
+		{
+			titulo: 'INSS: contribuição total',
+			descricao: 'Soma das contribuições de cada faixa; utilizada como Previdência Oficial no IRRF.',
+			formula: faixas.map(f => `faixa_${f.faixa}`).join(' + '),
+			valores: Object.fromEntries(faixas.map(f => [`faixa_${f.faixa}`, f.contribuicao])),
+			resultado: valor_inss
+		}
+	];
+
+	return {
+		salario_bruto: round2(salario_bruto),
+		tabela_inss: tabelaInss.descricao,
+		teto_inss: teto,
+		teto_atingido,
+		base_contribuicao,
+		valor_inss,
+		aliquota_efetiva,
+		faixas,
+		etapas
+	};
+}
+
+// Contribuição do empregado ao INSS a partir do corpo da requisição de /calcular-inss.
+// Retorna a contribuição por faixa com memoria_calculo ou { erro } quando a entrada é inválida.
+function calcularINSS(dados = {}) {
+	const { salario_bruto, competencia } = dados;
+
+	if (!isFiniteNumber(salario_bruto) || salario_bruto < 0) {
+		return { erro: 'salario_bruto deve ser um número não negativo.', campo: 'salario_bruto' };
+	}
+	if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+		return { erro: 'competencia deve estar no formato AAAA-MM (ex.: 2025-05).', campo: 'competencia' };
+	}
+	const tabelaInss = obterTabelaINSS(competencia);
+	if (!tabelaInss) {
+		return { erro: `Não há tabela de INSS progressiva cadastrada para a competência ${competencia} (primeira vigência: ${TABELAS_INSS[0].vigencia_inicio}).`, campo: 'competencia' };
+	}
+
+	const { etapas, ...inss } = calcularContribuicaoINSS(salario_bruto, tabelaInss);
+	return {
+		...inss,
+		competencia: competencia ?? tabelaInss.vigencia_inicio,
+		memoria_calculo: {
+			entradas: {
+				salario_bruto: round2(salario_bruto),
+				competencia: competencia ?? tabelaInss.vigencia_inicio
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// Naturezas de rendimento aceitas em tipo_rendimento. Todas usam a tabela progressiva mensal da
+// competência; as não mensais são tributadas em separado, sem somar à remuneração do mês.
+const TIPOS_RENDIMENTO = {
+	mensal: {
+		descricao: 'rendimento mensal',
+		aplica_reducao_pl_1087_25: true
+	},
+	'13_salario': {
+		descricao: '13º salário',
+		memoria: 'O 13º salário tem tributação exclusiva na fonte, na quitação (2ª parcela), sobre o valor integral e separadamente da remuneração do mês. As deduções são próprias do 13º: INSS incidente sobre o 13º, dedução integral por dependente e pensão alimentícia relativa ao 13º. A 1ª parcela (adiantamento) não sofre retenção.',
+		aplica_reducao_pl_1087_25: true
+	},
+	ferias: {
+		descricao: 'férias',
+		memoria: 'As férias (remuneração + 1/3 constitucional) são tributadas em separado no mês do pagamento, sem somar ao salário do mês. O abono pecuniário e o respectivo 1/3 são isentos e não compõem a base.',
+		aplica_reducao_pl_1087_25: true
+	}
+};
+
+// Limite da dedução de previdência complementar (PGBL/Funpresp): % do rendimento tributável (Lei 9.532/1997, art. 11)
+const PERCENTUAL_LIMITE_PREVIDENCIA_COMPLEMENTAR = 12;
+
+// Parcela decrescente (valor - fator * rendimento) que parte de reducao_maxima em limite_reducao_integral e zera em
+// limite_reducao. valor em centavos e fator com 6 casas, como os oficiais; com limites altos, o fator ganha casas
+// até o par arredondado passar na verificação de continuidade.
+function recalcularFormulaReducao({ limite_reducao_integral, reducao_maxima, limite_reducao }) {
+	const exato = reducao_maxima / (limite_reducao - limite_reducao_integral);
+	let formula;
+	for (let casas = 6; casas <= 10; casas++) {
+		const fator = Number(exato.toFixed(casas));
+		formula = { valor: round2(fator * limite_reducao), fator };
+		if (verificarContinuidadeReducao({ limite_reducao_integral, reducao_maxima, limite_reducao, ...formula }).length === 0) break;
+	}
+	return formula;
+}
+
+// Cenário hipotético da PL 1087/25 (parametros_reducao_pl_1087_25): os campos informados substituem os da vigência,
+// os omitidos mantêm os oficiais. Sem redução na vigência, todos os parâmetros são obrigatórios.
+// A redução precisa ser contínua (mesma verificação do arquivo de regras): alterando só limites ou reducao_maxima,
+// valor e fator oficiais que deixam de ser coerentes são recalculados; informados, valor e fator não são ajustados.
+function resolverReducaoHipotetica(parametros, regras) {
+	const campos = CAMPOS_REDUCAO_PL_1087_25.join(', ');
+	if (parametros === null || typeof parametros !== 'object' || Array.isArray(parametros) || Object.keys(parametros).length === 0) {
+		return { erro: `parametros_reducao_pl_1087_25 deve ser um objeto com ao menos um de: ${campos}.`, campo: 'parametros_reducao_pl_1087_25' };
+	}
+	for (const [campo, valor] of Object.entries(parametros)) {
+		if (!CAMPOS_REDUCAO_PL_1087_25.includes(campo)) {
+			return { erro: `parametros_reducao_pl_1087_25.${campo} não é um parâmetro da redução (use ${campos}).`, campo: `parametros_reducao_pl_1087_25.${campo}` };
+		}
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `parametros_reducao_pl_1087_25.${campo} deve ser um número não negativo.`, campo: `parametros_reducao_pl_1087_25.${campo}` };
+		}
+	}
+	const faltantes = CAMPOS_REDUCAO_PL_1087_25.filter(campo => parametros[campo] === undefined);
+	if (regras.reducao_pl_1087_25 === null && faltantes.length > 0) {
+		return { erro: `A ${regras.descricao} não tem a redução da PL 1087/25: informe também ${faltantes.join(', ')} em parametros_reducao_pl_1087_25.`, campo: `parametros_reducao_pl_1087_25.${faltantes[0]}` };
+	}
+	const reducao = { ...regras.reducao_pl_1087_25, ...parametros };
+	if (reducao.limite_reducao_integral <= 0 || reducao.limite_reducao_integral >= reducao.limite_reducao) {
+		return { erro: 'parametros_reducao_pl_1087_25: limite_reducao_integral deve ser positivo e menor que limite_reducao.', campo: 'parametros_reducao_pl_1087_25.limite_reducao_integral' };
+	}
+	const inconsistencias = verificarContinuidadeReducao(reducao);
+	if (inconsistencias.length === 0) return { reducao };
+	const formula = ['valor', 'fator'].filter(campo => parametros[campo] !== undefined);
+	if (formula.length === 0) return { reducao: { ...reducao, ...recalcularFormulaReducao(reducao) } };
+	return {
+		erro: `parametros_reducao_pl_1087_25: ${inconsistencias.join(' ')} Omita valor e fator para recalculá-los a partir dos limites e da redução máxima.`,
+		campo: `parametros_reducao_pl_1087_25.${formula[0]}`
+	};
+}
+
+// Modos de dedução aceitos em modo_deducao. Os dois cenários são sempre calculados e comparados;
+// o modo define apenas qual deles é aplicado.
+const MODOS_DEDUCAO = {
+	automatico: 'maior dedução entre as deduções legais e o desconto simplificado mínimo',
+	legal: 'deduções legais (previdência, dependentes e pensão alimentícia)',
+	simplificado: 'desconto simplificado mínimo da vigência'
+};
+
+// Situação da redução da PL 1087/25 no cálculo: códigos estáveis de reducao_pl_1087_25.motivo na resposta v2
+const MOTIVOS_REDUCAO_PL_1087_25 = {
+	reducao_integral: 'rendimento tributável até limite_reducao_integral: redução integral, limitada ao IRRF e a reducao_maxima',
+	reducao_parcial: 'rendimento tributável entre os limites: redução decrescente (valor - fator * rendimento), limitada ao IRRF',
+	acima_do_limite: 'rendimento tributável acima de limite_reducao',
+	vigencia_sem_reducao: 'a vigência da competência não tem a redução',
+	tipo_rendimento_sem_reducao: 'o tipo de rendimento não admite a redução'
+};
+
+// Núcleo de calcularIRRF e calcularIRRFV2: { erro } ou a resposta v1 e os detalhes que ela omite
+function calcularIRRFDetalhado(dados, incluirMemoria) {
+	const {
+		salario_bruto,
+		quantidade_dependentes,
+		competencia,
+		tipo_rendimento = 'mensal',
+		primeira_parcela,
+		pagamentos_anteriores,
+		modo_deducao = 'automatico',
+		previdencia_complementar = 0,
+		aposentado_65_anos = false,
+		molestia_grave = false,
+		rendimento_aposentadoria,
+		parametros_reducao_pl_1087_25
+	} = dados;
+	let {
+		rendimento_tributavel,
+		previdencia_oficial,
+		pensao_alimenticia = 0
+	} = dados;
+
+	if (!Object.hasOwn(TIPOS_RENDIMENTO, tipo_rendimento)) {
+		return { erro: `tipo_rendimento deve ser um de: ${Object.keys(TIPOS_RENDIMENTO).join(', ')}.`, campo: 'tipo_rendimento' };
+	}
+	const tipo = TIPOS_RENDIMENTO[tipo_rendimento];
+	if (!Object.hasOwn(MODOS_DEDUCAO, modo_deducao)) {
+		return { erro: `modo_deducao deve ser um de: ${Object.keys(MODOS_DEDUCAO).join(', ')}.`, campo: 'modo_deducao' };
+	}
+	if (primeira_parcela !== undefined) {
+		if (tipo_rendimento !== '13_salario') {
+			return { erro: 'primeira_parcela só se aplica a tipo_rendimento 13_salario.', campo: 'primeira_parcela' };
+		}
+		if (!isFiniteNumber(primeira_parcela) || primeira_parcela < 0) {
+			return { erro: 'primeira_parcela deve ser um número não negativo.', campo: 'primeira_parcela' };
+		}
+	}
+
+	// Opcional: derivar a Previdência Oficial do salário bruto pela tabela do INSS
+	let inss = null;
+	if (salario_bruto !== undefined) {
+		if (!isFiniteNumber(salario_bruto) || salario_bruto < 0) {
+			return { erro: 'salario_bruto deve ser um número não negativo.', campo: 'salario_bruto' };
+		}
+		if (previdencia_oficial !== undefined) {
+			return { erro: 'Informe previdencia_oficial ou salario_bruto, não ambos: com salario_bruto a previdência é calculada pela tabela do INSS.', campo: 'previdencia_oficial' };
+		}
+		if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+			return { erro: 'competencia deve estar no formato AAAA-MM (ex.: 2025-05).', campo: 'competencia' };
+		}
+		const tabelaInss = obterTabelaINSS(competencia);
+		if (!tabelaInss) {
+			return { erro: `Não há tabela de INSS progressiva cadastrada para a competência ${competencia} (primeira vigência: ${TABELAS_INSS[0].vigencia_inicio}).`, campo: 'competencia' };
+		}
+		inss = calcularContribuicaoINSS(salario_bruto, tabelaInss);
+		previdencia_oficial = inss.valor_inss;
+		// Sem rendimento_tributavel explícito, o salário bruto é o rendimento tributável
+		if (rendimento_tributavel === undefined) rendimento_tributavel = salario_bruto;
+	}
+
+	// Validações básicas, campo a campo (campo identifica a entrada rejeitada)
+	for (const [campo, valor] of Object.entries({ rendimento_tributavel, previdencia_oficial })) {
+		if (valor === undefined) {
+			return { erro: `${campo} é obrigatório (exceto quando salario_bruto for informado).`, campo };
+		}
+	}
+	if (quantidade_dependentes === undefined) {
+		return { erro: 'quantidade_dependentes é obrigatório.', campo: 'quantidade_dependentes' };
+	}
+	for (const [campo, valor] of Object.entries({ rendimento_tributavel, previdencia_oficial, pensao_alimenticia })) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (!Number.isInteger(quantidade_dependentes) || quantidade_dependentes < 0) {
+		return { erro: 'quantidade_dependentes deve ser inteiro não negativo.', campo: 'quantidade_dependentes' };
+	}
+	if (!isFiniteNumber(previdencia_complementar) || previdencia_complementar < 0) {
+		return { erro: 'previdencia_complementar deve ser um número não negativo.', campo: 'previdencia_complementar' };
+	}
+	for (const [campo, valor] of Object.entries({ aposentado_65_anos, molestia_grave })) {
+		if (typeof valor !== 'boolean') {
+			return { erro: `${campo} deve ser true ou false.`, campo };
+		}
+	}
+	if (rendimento_aposentadoria !== undefined) {
+		if (!aposentado_65_anos && !molestia_grave) {
+			return { erro: 'rendimento_aposentadoria só se aplica com aposentado_65_anos ou molestia_grave.', campo: 'rendimento_aposentadoria' };
+		}
+		if (!isFiniteNumber(rendimento_aposentadoria) || rendimento_aposentadoria < 0 || rendimento_aposentadoria > rendimento_tributavel) {
+			return { erro: 'rendimento_aposentadoria deve ser um número entre 0 e rendimento_tributavel.', campo: 'rendimento_aposentadoria' };
+		}
+	}
+	if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+		return { erro: 'competencia deve estar no formato AAAA-MM (ex.: 2025-05).', campo: 'competencia' };
+	}
+	if (pagamentos_anteriores !== undefined) {
+		if (tipo_rendimento !== 'mensal') {
+			return { erro: 'pagamentos_anteriores só se aplica a tipo_rendimento mensal (13º salário e férias são tributados em separado).', campo: 'pagamentos_anteriores' };
+		}
+		if (inss) {
+			return { erro: 'Com pagamentos_anteriores, informe previdencia_oficial do pagamento atual em vez de salario_bruto.', campo: 'salario_bruto' };
+		}
+		if (!Array.isArray(pagamentos_anteriores)) {
+			return { erro: 'pagamentos_anteriores deve ser um array de { rendimento_tributavel, previdencia_oficial, pensao_alimenticia, irrf_retido }.', campo: 'pagamentos_anteriores' };
+		}
+		for (const [indice, pagamento] of pagamentos_anteriores.entries()) {
+			if (!pagamento || typeof pagamento !== 'object') {
+				return { erro: `pagamentos_anteriores[${indice}] deve ser um objeto.`, campo: `pagamentos_anteriores[${indice}]` };
+			}
+			for (const campo of ['rendimento_tributavel', 'previdencia_oficial', 'pensao_alimenticia', 'irrf_retido']) {
+				const valor = pagamento[campo] ?? (campo === 'previdencia_oficial' || campo === 'pensao_alimenticia' ? 0 : undefined);
+				if (!isFiniteNumber(valor) || valor < 0) {
+					return { erro: `pagamentos_anteriores[${indice}].${campo} deve ser um número não negativo.`, campo: `pagamentos_anteriores[${indice}].${campo}` };
+				}
+			}
+		}
+	}
+
+	// Vários pagamentos na mesma competência: o IRRF é recalculado sobre a base acumulada do mês
+	// e o imposto já retido nos pagamentos anteriores é abatido do devido no pagamento atual.
+	const pagamento_atual = { rendimento_tributavel, previdencia_oficial, pensao_alimenticia };
+	let anteriores = null;
+	if (pagamentos_anteriores !== undefined) {
+		const somar = campo => round2(pagamentos_anteriores.reduce((soma, p) => soma + (p[campo] ?? 0), 0));
+		anteriores = {
+			quantidade: pagamentos_anteriores.length,
+			rendimento_tributavel: somar('rendimento_tributavel'),
+			previdencia_oficial: somar('previdencia_oficial'),
+			pensao_alimenticia: somar('pensao_alimenticia'),
+			irrf_retido: somar('irrf_retido')
+		};
+		rendimento_tributavel = round2(rendimento_tributavel + anteriores.rendimento_tributavel);
+		previdencia_oficial = round2(previdencia_oficial + anteriores.previdencia_oficial);
+		pensao_alimenticia = round2(pensao_alimenticia + anteriores.pensao_alimenticia);
+	}
+
+	// Conjunto de regras vigente na competência
+	const regras = obterRegras(competencia);
+	if (!regras) {
+		return { erro: `Não há tabela de IRRF cadastrada para a competência ${competencia} (primeira vigência: ${REGRAS_IRRF[0].vigencia_inicio}).`, campo: 'competencia' };
+	}
+	const { deducao_por_dependente, desconto_simplificado_minimo } = regras;
+	let reducao_pl = regras.reducao_pl_1087_25;
+	const cenario_hipotetico = parametros_reducao_pl_1087_25 !== undefined;
+	if (cenario_hipotetico) {
+		const hipotese = resolverReducaoHipotetica(parametros_reducao_pl_1087_25, regras);
+		if (hipotese.erro) return hipotese;
+		reducao_pl = hipotese.reducao;
+	}
+	const aplica_reducao_pl = reducao_pl !== null && tipo.aplica_reducao_pl_1087_25;
+	const possui_simplificado = desconto_simplificado_minimo !== null;
+
+	if (modo_deducao === 'simplificado' && !possui_simplificado) {
+		return { erro: `A ${regras.descricao} não prevê desconto simplificado mensal; use modo_deducao legal ou automatico.`, campo: 'modo_deducao' };
+	}
+
+	// Proventos de aposentadoria/pensão isentos (Lei 7.713/1988, art. 6º, XIV e XV): saem do rendimento
+	// antes das deduções e valem também quando o desconto simplificado é aplicado
+	const proventos_aposentadoria = round2(rendimento_aposentadoria ?? rendimento_tributavel);
+	const isencao_molestia_grave = molestia_grave ? proventos_aposentadoria : 0;
+	const parcela_isenta_65_anos = aposentado_65_anos && !molestia_grave
+		? round2(Math.min(regras.parcela_isenta_65_anos, proventos_aposentadoria))
+		: 0;
+	const rendimentos_isentos = round2(isencao_molestia_grave + parcela_isenta_65_anos);
+	const rendimento_tributavel_liquido = round2(rendimento_tributavel - rendimentos_isentos);
+
+	// Cálculo das deduções
+	const deducao_dependentes = round2(quantidade_dependentes * deducao_por_dependente);
+	// Previdência complementar (PGBL/Funpresp) dedutível até 12% do rendimento tributável
+	const limite_previdencia_complementar = round2(rendimento_tributavel_liquido * (PERCENTUAL_LIMITE_PREVIDENCIA_COMPLEMENTAR / 100));
+	const previdencia_complementar_dedutivel = round2(Math.min(previdencia_complementar, limite_previdencia_complementar));
+	const soma_deducoes = round2(previdencia_oficial + deducao_dependentes + round2(pensao_alimenticia) + previdencia_complementar_dedutivel);
+
+	// Base, faixa, imposto e redução da PL 1087/25 para uma dedução total (legal ou simplificada)
+	const calcularCenario = deducao_total_aplicada => {
+		// Base líquida: rendimento (sem os isentos) menos a dedução total aplicada (sem dupla subtração)
+		const base_liquida_irrf = round2(rendimento_tributavel_liquido - deducao_total_aplicada);
+
+		// Seleção da faixa, alíquota e parcela a deduzir
+		const faixa = escolherFaixa(base_liquida_irrf, regras.tabela);
+
+		// Cálculo do imposto
+		let valor_irrf = (base_liquida_irrf * (faixa.aliquota / 100)) - faixa.deducao;
+		if (!Number.isFinite(valor_irrf)) valor_irrf = 0;
+		if (valor_irrf < 0) valor_irrf = 0; // Não retornar IR negativo
+		valor_irrf = round2(valor_irrf); // 2 casas decimais
+
+		// Redução conforme PL 1087/25 (somente nas vigências em que se aplica)
+		let reducao_pl_formula;
+		if (!aplica_reducao_pl) {
+			reducao_pl_formula = 0;
+		} else if (rendimento_tributavel_liquido <= reducao_pl.limite_reducao_integral) {
+			reducao_pl_formula = round2(Math.min(valor_irrf, reducao_pl.reducao_maxima));
+		} else if (rendimento_tributavel_liquido <= reducao_pl.limite_reducao) {
+			reducao_pl_formula = round2(reducao_pl.valor - (reducao_pl.fator * rendimento_tributavel_liquido));
+		} else {
+			reducao_pl_formula = 0;
+		}
+		if (valor_irrf === 0) {
+			reducao_pl_formula = 0;
+		}
+		reducao_pl_formula = round2(Math.max(0, Math.min(reducao_pl_formula, valor_irrf)));
+		// Redução aplicada ao imposto (limitada ao IR e não negativa)
+		const reducao_pl_aplicada = Math.max(0, Math.min(reducao_pl_formula, valor_irrf));
+
+		return {
+			deducao_total_aplicada,
+			base_liquida_irrf,
+			aliquota_irrf: faixa.aliquota,
+			deducao_conforme_tabela: faixa.deducao,
+			valor_irrf,
+			reducao_pl_formula,
+			reducao_pl_aplicada,
+			valor_irrf_apos_pl_1087_25: round2(valor_irrf - reducao_pl_aplicada)
+		};
+	};
+
+	// Os dois cenários são sempre calculados; o automático aplica a MAIOR dedução (sem somar as duas)
+	const cenario_legal = calcularCenario(soma_deducoes);
+	const cenario_simplificado = possui_simplificado ? calcularCenario(desconto_simplificado_minimo) : null;
+	const opcao_escolhida = modo_deducao !== 'automatico'
+		? modo_deducao
+		: possui_simplificado && desconto_simplificado_minimo > soma_deducoes ? 'simplificado' : 'legal';
+	const simplificado_minimo_usado = opcao_escolhida === 'simplificado';
+	const {
+		deducao_total_aplicada,
+		base_liquida_irrf,
+		aliquota_irrf,
+		deducao_conforme_tabela,
+		valor_irrf,
+		reducao_pl_formula,
+		reducao_pl_aplicada,
+		valor_irrf_apos_pl_1087_25
+	} = simplificado_minimo_usado ? cenario_simplificado : cenario_legal;
+
+	// Economia da opção escolhida frente à outra (negativa quando o modo forçado é desfavorável)
+	const irrfCenario = cenario => (aplica_reducao_pl ? cenario.valor_irrf_apos_pl_1087_25 : cenario.valor_irrf);
+	const comparativo_deducoes = {
+		modo_deducao,
+		opcao_escolhida,
+		legal: {
+			deducao: soma_deducoes,
+			base_liquida_irrf: cenario_legal.base_liquida_irrf,
+			aliquota_irrf: cenario_legal.aliquota_irrf,
+			valor_irrf: irrfCenario(cenario_legal)
+		},
+		simplificado: cenario_simplificado ? {
+			deducao: desconto_simplificado_minimo,
+			base_liquida_irrf: cenario_simplificado.base_liquida_irrf,
+			aliquota_irrf: cenario_simplificado.aliquota_irrf,
+			valor_irrf: irrfCenario(cenario_simplificado)
+		} : null,
+		economia: cenario_simplificado
+			? round2(irrfCenario(simplificado_minimo_usado ? cenario_legal : cenario_simplificado) - irrfCenario(simplificado_minimo_usado ? cenario_simplificado : cenario_legal))
+			: 0
+	};
+	const motivo_sem_reducao_pl = reducao_pl === null
+		? `A redução da PL 1087/25 não se aplica à ${regras.descricao}.`
+		: !tipo.aplica_reducao_pl_1087_25
+			? `A redução da PL 1087/25 não se aplica a ${tipo.descricao}.`
+			: null;
+
+	// 13º salário: líquido da quitação (2ª parcela), descontada a 1ª parcela já adiantada
+	const valor_irrf_devido = aplica_reducao_pl ? valor_irrf_apos_pl_1087_25 : valor_irrf;
+	const liquido_segunda_parcela = tipo_rendimento === '13_salario'
+		? round2(rendimento_tributavel - (primeira_parcela ?? 0) - previdencia_oficial - pensao_alimenticia - valor_irrf_devido)
+		: null;
+
+	// Pagamentos anteriores no mês: imposto incremental do pagamento atual (não negativo)
+	const irrf_devido_pagamento = anteriores
+		? round2(Math.max(0, valor_irrf_devido - anteriores.irrf_retido))
+		: null;
+
+	// Memória de cálculo. ordem é sequencial e muda com as etapas opcionais (INSS, aposentadoria, previdência
+	// complementar...): as etapas que usam os parâmetros hipotéticos (a redução e as que dependem dela) levam
+	// cenario_hipotetico e devem ser localizadas por essa marca, não por ordem
+	const marcaHipotetica = cenario_hipotetico ? { cenario_hipotetico } : {};
+	const memoria_calculo = {
+		entradas: {
+			...(inss ? { salario_bruto: inss.salario_bruto } : {}),
+			rendimento_tributavel: round2(pagamento_atual.rendimento_tributavel),
+			previdencia_oficial: round2(pagamento_atual.previdencia_oficial),
+			quantidade_dependentes,
+			pensao_alimenticia: round2(pagamento_atual.pensao_alimenticia),
+			competencia: competencia ?? regras.vigencia_inicio,
+			...(tipo_rendimento !== 'mensal' ? { tipo_rendimento } : {}),
+			...(primeira_parcela !== undefined ? { primeira_parcela: round2(primeira_parcela) } : {}),
+			...(previdencia_complementar > 0 ? { previdencia_complementar: round2(previdencia_complementar) } : {}),
+			...(aposentado_65_anos ? { aposentado_65_anos } : {}),
+			...(molestia_grave ? { molestia_grave } : {}),
+			...(rendimento_aposentadoria !== undefined ? { rendimento_aposentadoria: round2(rendimento_aposentadoria) } : {}),
+			...(cenario_hipotetico ? { parametros_reducao_pl_1087_25 } : {}),
+			...(anteriores ? {
+				quantidade_pagamentos_anteriores: anteriores.quantidade,
+				irrf_retido_anteriormente: anteriores.irrf_retido
+			} : {})
+		},
+		etapas: numerarEtapas([
+			...(inss ? inss.etapas : []),
+			...(tipo_rendimento !== 'mensal' ? [{
+				titulo: `Natureza do rendimento: ${tipo.descricao}`,
+				descricao: tipo.memoria,
+				formula: 'tributação em separado pela tabela progressiva mensal',
+				valores: {
+					tipo_rendimento,
+					aplica_reducao_pl_1087_25: aplica_reducao_pl
+				},
+				resultado: round2(rendimento_tributavel)
+			}] : []),
+			...(anteriores ? [{
+				titulo: 'Base acumulada no mês',
+				descricao: 'Pagamentos anteriores da competência somados ao pagamento atual; o imposto é recalculado sobre o total do mês.',
+				formula: 'soma(pagamentos_anteriores) + pagamento_atual',
+				valores: {
+					quantidade_pagamentos_anteriores: anteriores.quantidade,
+					rendimento_anteriores: anteriores.rendimento_tributavel,
+					rendimento_pagamento_atual: round2(pagamento_atual.rendimento_tributavel),
+					previdencia_anteriores: anteriores.previdencia_oficial,
+					previdencia_pagamento_atual: round2(pagamento_atual.previdencia_oficial),
+					pensao_anteriores: anteriores.pensao_alimenticia,
+					pensao_pagamento_atual: round2(pagamento_atual.pensao_alimenticia)
+				},
+				resultado: {
+					rendimento_tributavel,
+					previdencia_oficial,
+					pensao_alimenticia
+				}
+			}] : []),
+			...(molestia_grave ? [{
+				titulo: 'Isenção por moléstia grave',
+				descricao: 'Proventos de aposentadoria, reforma ou pensão de portador de moléstia grave são isentos (Lei 7.713/1988, art. 6º, XIV) e saem integralmente do rendimento tributável.',
+				formula: 'proventos_aposentadoria',
+				valores: {
+					rendimento_tributavel: round2(rendimento_tributavel),
+					proventos_aposentadoria
+				},
+				resultado: isencao_molestia_grave
+			}] : []),
+			...(aposentado_65_anos ? [{
+				titulo: 'Parcela isenta de aposentadoria (65 anos ou mais)',
+				descricao: molestia_grave
+					? 'Sem efeito: os proventos de aposentadoria já são integralmente isentos por moléstia grave.'
+					: `Parcela isenta mensal dos proventos de aposentadoria ou pensão a partir dos 65 anos (Lei 7.713/1988, art. 6º, XV), limitada aos proventos. Não é substituída pelo desconto simplificado.`,
+				formula: molestia_grave ? '0' : `min(${formatarDecimal(regras.parcela_isenta_65_anos)}, proventos_aposentadoria)`,
+				valores: {
+					parcela_isenta_maxima: regras.parcela_isenta_65_anos,
+					proventos_aposentadoria
+				},
+				resultado: parcela_isenta_65_anos
+			}] : []),
+			{
+				titulo: 'Cálculo da dedução por dependentes',
+				descricao: 'Quantidade de dependentes multiplicada pelo valor de dedução por dependente.',
+				formula: `quantidade_dependentes * ${formatarDecimal(deducao_por_dependente)}`,
+				valores: {
+					quantidade_dependentes,
+					valor_por_dependente: deducao_por_dependente
+				},
+				resultado: deducao_dependentes
+			},
+			...(previdencia_complementar > 0 ? [{
+				titulo: 'Previdência complementar (PGBL/Funpresp)',
+				descricao: `Contribuição à previdência complementar dedutível até ${PERCENTUAL_LIMITE_PREVIDENCIA_COMPLEMENTAR}% do rendimento tributável.`,
+				formula: `min(previdencia_complementar, rendimento_tributavel * ${PERCENTUAL_LIMITE_PREVIDENCIA_COMPLEMENTAR}%)`,
+				valores: {
+					previdencia_complementar: round2(previdencia_complementar),
+					rendimento_tributavel: rendimento_tributavel_liquido,
+					limite_previdencia_complementar
+				},
+				resultado: previdencia_complementar_dedutivel
+			}] : []),
+			{
+				titulo: 'Cálculo das deduções legais',
+				descricao: previdencia_complementar > 0
+					? 'Soma da Previdência Oficial, pensão alimentícia, dedução por dependentes e previdência complementar dedutível.'
+					: 'Soma da Previdência Oficial, pensão alimentícia e a dedução por dependentes.',
+				formula: previdencia_complementar > 0
+					? 'previdencia_oficial + pensao_alimenticia + deducao_dependentes + previdencia_complementar_dedutivel'
+					: 'previdencia_oficial + pensao_alimenticia + deducao_dependentes',
+				valores: {
+					previdencia_oficial: round2(previdencia_oficial),
+					pensao_alimenticia: round2(pensao_alimenticia),
+					deducao_dependentes,
+					...(previdencia_complementar > 0 ? { previdencia_complementar_dedutivel } : {})
+				},
+				resultado: soma_deducoes
+			},
+			{
+				titulo: 'Escolha da dedução aplicada',
+				descricao: !possui_simplificado
+					? 'A vigência aplicada não prevê desconto simplificado mensal; aplica-se a soma das deduções legais.'
+					: modo_deducao === 'legal'
+						? 'Modo legal informado: aplica-se a soma das deduções legais, mesmo que o desconto simplificado mínimo seja maior.'
+						: modo_deducao === 'simplificado'
+							? 'Modo simplificado informado: o desconto simplificado mínimo substitui as deduções legais.'
+							: 'Maior valor entre soma das deduções legais e o desconto simplificado mínimo.',
+				formula: !possui_simplificado || modo_deducao === 'legal'
+					? 'soma_deducoes'
+					: modo_deducao === 'simplificado'
+						? formatarDecimal(desconto_simplificado_minimo)
+						: `max(soma_deducoes, ${formatarDecimal(desconto_simplificado_minimo)})`,
+				valores: {
+					...(modo_deducao !== 'automatico' ? { modo_deducao } : {}),
+					soma_deducoes,
+					...(possui_simplificado ? { desconto_simplificado_minimo } : {}),
+					utilizou_simplificado_minimo: simplificado_minimo_usado
+				},
+				resultado: deducao_total_aplicada
+			},
+			{
+				titulo: 'Base líquida do IRRF',
+				descricao: rendimentos_isentos > 0
+					? 'Rendimento tributável menos os rendimentos isentos de aposentadoria e a dedução aplicada.'
+					: 'Rendimento tributável menos a dedução aplicada.',
+				formula: rendimentos_isentos > 0
+					? 'rendimento_tributavel - rendimentos_isentos - deducao_total_aplicada'
+					: 'rendimento_tributavel - deducao_total_aplicada',
+				valores: {
+					rendimento_tributavel: round2(rendimento_tributavel),
+					...(rendimentos_isentos > 0 ? { rendimentos_isentos } : {}),
+					deducao_total_aplicada
+				},
+				resultado: base_liquida_irrf
+			},
+			{
+				titulo: 'Faixa da tabela progressiva',
+				descricao: 'Determinação da alíquota e parcela a deduzir conforme a base líquida.',
+				formula: regras.descricao,
+				valores: {
+					tabela: regras.id,
+					base_liquida_irrf,
+					aliquota: aliquota_irrf,
+					deducao_conforme_tabela: round2(deducao_conforme_tabela)
+				},
+				resultado: { aliquota: aliquota_irrf, deducao: round2(deducao_conforme_tabela) }
+			},
+			{
+				titulo: 'Imposto pela tabela progressiva',
+				descricao: 'Cálculo do IR pela base líquida.',
+				formula: 'base_liquida_irrf * (aliquota/100) - deducao_conforme_tabela',
+				valores: {
+					base_liquida_irrf,
+					aliquota: aliquota_irrf,
+					deducao_conforme_tabela: round2(deducao_conforme_tabela)
+				},
+				resultado: valor_irrf
+			},
+			{
+				titulo: cenario_hipotetico ? 'Redução PL 1087/25 (cenário hipotético)' : 'Redução PL 1087/25 (regra aplicada)',
+				...marcaHipotetica,
+				descricao: (cenario_hipotetico ? 'Cenário hipotético: parâmetros de parametros_reducao_pl_1087_25 no lugar dos oficiais da vigência; não é a regra vigente. ' : '') + (!aplica_reducao_pl
+					? motivo_sem_reducao_pl
+					: tipo_rendimento !== 'mensal'
+						? `A redução da PL 1087/25 aplica-se ao ${tipo.descricao}, calculada sobre o próprio valor pago. Cálculo conforme a faixa de rendimento e limitações legais, limitada ao imposto devido.`
+						: 'Cálculo da redução conforme a faixa de rendimento e limitações legais, limitada ao imposto devido.'),
+				formula: !aplica_reducao_pl
+					? '0'
+					: rendimento_tributavel_liquido <= reducao_pl.limite_reducao_integral
+						? `min(valor_irrf, ${formatarDecimal(reducao_pl.reducao_maxima)})`
+						: rendimento_tributavel_liquido <= reducao_pl.limite_reducao
+							? `max(0, min(${formatarDecimal(reducao_pl.valor)} - ${formatarDecimal(reducao_pl.fator, 6)} * rendimento_tributavel, valor_irrf))`
+							: '0',
+				valores: {
+					rendimento_tributavel: rendimento_tributavel_liquido,
+					valor_irrf,
+					limite_superior: reducao_pl?.limite_reducao ?? null,
+					...(cenario_hipotetico ? {
+						limite_reducao_integral: reducao_pl.limite_reducao_integral,
+						reducao_maxima: reducao_pl.reducao_maxima,
+						valor: reducao_pl.valor,
+						fator: reducao_pl.fator
+					} : {})
+				},
+				resultado: reducao_pl_formula
+			},
+			{
+				titulo: 'Redução aplicada ao imposto',
+				...marcaHipotetica,
+				descricao: 'Limitação da redução ao imposto devido (não negativa).',
+				formula: 'min(max(reducao_pl, 0), valor_irrf)',
+				valores: {
+					reducao_pl_calculada: reducao_pl_formula,
+					valor_irrf
+				},
+				resultado: reducao_pl_aplicada
+			},
+			{
+				titulo: 'IRRF após PL 1087/25',
+				...marcaHipotetica,
+				descricao: 'Imposto final após aplicar a redução da PL, quando aplicável.',
+				formula: 'valor_irrf - reducao_pl_aplicada',
+				valores: {
+					valor_irrf,
+					reducao_pl_aplicada
+				},
+				resultado: valor_irrf_apos_pl_1087_25
+			},
+			...(possui_simplificado ? [{
+				titulo: 'Comparativo: deduções legais x desconto simplificado',
+				...marcaHipotetica,
+				descricao: 'Imposto devido em cada cenário de dedução (após a PL 1087/25, quando aplicável). A economia é o imposto do cenário não aplicado menos o do aplicado.',
+				formula: 'irrf_cenario_nao_aplicado - irrf_cenario_aplicado',
+				valores: {
+					deducao_legal: soma_deducoes,
+					irrf_legal: comparativo_deducoes.legal.valor_irrf,
+					desconto_simplificado_minimo,
+					irrf_simplificado: comparativo_deducoes.simplificado.valor_irrf,
+					opcao_escolhida
+				},
+				resultado: comparativo_deducoes.economia
+			}] : []),
+			...(tipo_rendimento === '13_salario' ? [{
+				titulo: 'Líquido da 2ª parcela do 13º salário',
+				descricao: 'Valor integral do 13º menos a 1ª parcela adiantada, o INSS, a pensão alimentícia e o IRRF retido na quitação.',
+				formula: 'rendimento_tributavel - primeira_parcela - previdencia_oficial - pensao_alimenticia - irrf',
+				valores: {
+					rendimento_tributavel: round2(rendimento_tributavel),
+					primeira_parcela: round2(primeira_parcela ?? 0),
+					previdencia_oficial: round2(previdencia_oficial),
+					pensao_alimenticia: round2(pensao_alimenticia),
+					irrf: valor_irrf_devido
+				},
+				resultado: liquido_segunda_parcela
+			}] : []),
+			...(anteriores ? [{
+				titulo: 'IRRF devido no pagamento atual',
+				descricao: 'Imposto sobre a base acumulada do mês menos o IRRF já retido nos pagamentos anteriores da competência (não negativo).',
+				formula: 'max(0, irrf_acumulado - irrf_retido_anteriormente)',
+				valores: {
+					irrf_acumulado: valor_irrf_devido,
+					irrf_retido_anteriormente: anteriores.irrf_retido
+				},
+				resultado: irrf_devido_pagamento
+			}] : [])
+		])
+	};
+
+	const resposta = {
+		rendimento_tributavel,
+		previdencia_oficial,
+		quantidade_dependentes,
+		pensao_alimenticia: round2(pensao_alimenticia),
+		valor_deducoes_dependentes: round2(deducao_dependentes),
+		...(previdencia_complementar > 0 ? {
+			previdencia_complementar: round2(previdencia_complementar),
+			previdencia_complementar_dedutivel
+		} : {}),
+		...(aposentado_65_anos ? { parcela_isenta_65_anos } : {}),
+		...(molestia_grave ? { isencao_molestia_grave } : {}),
+		...(simplificado_minimo_usado ? { desconto_simplificado_aplicado: desconto_simplificado_minimo } : {}),
+		base_liquida_irrf: round2(base_liquida_irrf),
+		aliquota_irrf,
+		deducao_conforme_tabela: round2(deducao_conforme_tabela),
+		valor_irrf,
+		competencia: competencia ?? regras.vigencia_inicio,
+		tabela_irrf: regras.descricao,
+		...(tipo_rendimento !== 'mensal' ? { tipo_rendimento } : {}),
+		...(tipo_rendimento === '13_salario' ? {
+			primeira_parcela: round2(primeira_parcela ?? 0),
+			liquido_segunda_parcela
+		} : {}),
+		...(inss ? {
+			inss: {
+				salario_bruto: inss.salario_bruto,
+				tabela_inss: inss.tabela_inss,
+				teto_atingido: inss.teto_atingido,
+				valor_inss: inss.valor_inss
+			}
+		} : {}),
+		reducao_pl_1087_25: reducao_pl_formula,
+		...(cenario_hipotetico ? { cenario_hipotetico, parametros_reducao_pl_1087_25: reducao_pl } : {}),
+		comparativo_deducoes,
+		...(
+			reducao_pl === null
+				? { mensagem: `A redução prevista na PL 1087/25 não se aplica à competência informada (${regras.descricao}).` }
+				: !tipo.aplica_reducao_pl_1087_25
+					? { mensagem: `A redução prevista na PL 1087/25 não se aplica a ${tipo.descricao}.` }
+					: rendimento_tributavel_liquido > reducao_pl.limite_reducao
+						? { mensagem: `A dedução prevista na PL 1087/25 não se aplica porque o rendimento tributável ultrapassa R$ ${reducao_pl.limite_reducao.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.` }
+						: { valor_irrf_apos_pl_1087_25 }
+		),
+		...(anteriores ? {
+			pagamentos_mes: {
+				quantidade_pagamentos_anteriores: anteriores.quantidade,
+				rendimento_anteriores: anteriores.rendimento_tributavel,
+				rendimento_pagamento_atual: round2(pagamento_atual.rendimento_tributavel),
+				rendimento_acumulado: rendimento_tributavel,
+				irrf_acumulado: valor_irrf_devido,
+				irrf_retido_anteriormente: anteriores.irrf_retido,
+				irrf_devido_pagamento
+			}
+		} : {}),
+		...(incluirMemoria ? { memoria_calculo } : {})
+	};
+
+	const motivo_reducao_pl_1087_25 = reducao_pl === null
+		? 'vigencia_sem_reducao'
+		: !tipo.aplica_reducao_pl_1087_25
+			? 'tipo_rendimento_sem_reducao'
+			: rendimento_tributavel_liquido > reducao_pl.limite_reducao
+				? 'acima_do_limite'
+				: rendimento_tributavel_liquido <= reducao_pl.limite_reducao_integral ? 'reducao_integral' : 'reducao_parcial';
+	const limite = valor => `R$ ${valor?.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+	const mensagem_reducao_pl_1087_25 = {
+		vigencia_sem_reducao: `A redução da PL 1087/25 não se aplica à ${regras.descricao}.`,
+		tipo_rendimento_sem_reducao: `A redução da PL 1087/25 não se aplica a ${tipo.descricao}.`,
+		acima_do_limite: `A redução da PL 1087/25 não se aplica porque o rendimento tributável ultrapassa ${limite(reducao_pl?.limite_reducao)}.`,
+		reducao_integral: `Redução integral da PL 1087/25: rendimento tributável até ${limite(reducao_pl?.limite_reducao_integral)}.`,
+		reducao_parcial: `Redução parcial da PL 1087/25: rendimento tributável entre ${limite(reducao_pl?.limite_reducao_integral)} e ${limite(reducao_pl?.limite_reducao)}.`
+	}[motivo_reducao_pl_1087_25];
+
+	return {
+		resposta,
+		detalhes: {
+			rendimento_tributavel_liquido,
+			deducao_total_aplicada: round2(deducao_total_aplicada),
+			simplificado_minimo_usado,
+			desconto_simplificado_minimo,
+			valor_irrf_apos_pl_1087_25: valor_irrf_devido,
+			reducao_pl_1087_25: reducao_pl,
+			cenario_hipotetico,
+			motivo_reducao_pl_1087_25,
+			mensagem_reducao_pl_1087_25
+		}
+	};
+}
+
+// Cálculo do IRRF a partir do corpo da requisição de /calcular-irrf.
+// Retorna a resposta completa (com memoria_calculo) ou { erro } quando a entrada é inválida.
+// options.incluirMemoria = false omite a memoria_calculo (ex.: lotes grandes).
+function calcularIRRF(dados = {}, { incluirMemoria = true } = {}) {
+	const calculo = calcularIRRFDetalhado(dados, incluirMemoria);
+	return calculo.erro ? calculo : calculo.resposta;
+}
+
+/**
+ * Cálculo do IRRF no contrato estável v2 (/v2/calcular-irrf): mesma entrada de calcularIRRF, resposta
+ * sempre com todos os campos (null ou 0 quando não se aplicam), flags explícitas e o código do motivo
+ * da aplicação (ou não) da redução da PL 1087/25 em reducao_pl_1087_25.motivo.
+ * @returns {{ erro: string, campo?: string } | object}
+ */
+function calcularIRRFV2(dados = {}) {
+	const calculo = calcularIRRFDetalhado(dados, true);
+	if (calculo.erro) return calculo;
+	const { resposta, detalhes } = calculo;
+	const reducao = detalhes.reducao_pl_1087_25;
+	return {
+		versao: 2,
+		competencia: resposta.competencia,
+		tabela_irrf: resposta.tabela_irrf,
+		tipo_rendimento: resposta.tipo_rendimento ?? 'mensal',
+		rendimento_tributavel: resposta.rendimento_tributavel,
+		previdencia_oficial: resposta.previdencia_oficial,
+		quantidade_dependentes: resposta.quantidade_dependentes,
+		pensao_alimenticia: resposta.pensao_alimenticia,
+		valor_deducoes_dependentes: resposta.valor_deducoes_dependentes,
+		previdencia_complementar: resposta.previdencia_complementar ?? 0,
+		previdencia_complementar_dedutivel: resposta.previdencia_complementar_dedutivel ?? 0,
+		parcela_isenta_65_anos: resposta.parcela_isenta_65_anos ?? 0,
+		isencao_molestia_grave: resposta.isencao_molestia_grave ?? 0,
+		rendimento_tributavel_liquido: detalhes.rendimento_tributavel_liquido,
+		deducao: {
+			modo_deducao: resposta.comparativo_deducoes.modo_deducao,
+			opcao_escolhida: resposta.comparativo_deducoes.opcao_escolhida,
+			simplificado_minimo_usado: detalhes.simplificado_minimo_usado,
+			desconto_simplificado_minimo: detalhes.desconto_simplificado_minimo,
+			deducao_total_aplicada: detalhes.deducao_total_aplicada
+		},
+		base_liquida_irrf: resposta.base_liquida_irrf,
+		aliquota_irrf: resposta.aliquota_irrf,
+		deducao_conforme_tabela: resposta.deducao_conforme_tabela,
+		valor_irrf: resposta.valor_irrf,
+		reducao_pl_1087_25: {
+			aplicavel: ['reducao_integral', 'reducao_parcial'].includes(detalhes.motivo_reducao_pl_1087_25),
+			aplicada: resposta.reducao_pl_1087_25 > 0,
+			motivo: detalhes.motivo_reducao_pl_1087_25,
+			mensagem: detalhes.mensagem_reducao_pl_1087_25,
+			valor: resposta.reducao_pl_1087_25,
+			cenario_hipotetico: detalhes.cenario_hipotetico,
+			parametros: reducao === null ? null : { ...reducao }
+		},
+		valor_irrf_apos_pl_1087_25: detalhes.valor_irrf_apos_pl_1087_25,
+		irrf_a_reter: resposta.pagamentos_mes?.irrf_devido_pagamento ?? detalhes.valor_irrf_apos_pl_1087_25,
+		comparativo_deducoes: resposta.comparativo_deducoes,
+		decimo_terceiro: resposta.tipo_rendimento === '13_salario'
+			? { primeira_parcela: resposta.primeira_parcela, liquido_segunda_parcela: resposta.liquido_segunda_parcela }
+			: null,
+		inss: resposta.inss ?? null,
+		pagamentos_mes: resposta.pagamentos_mes ?? null,
+		memoria_calculo: resposta.memoria_calculo
+	};
+}
+
+// Erro do motor ({ erro, campo?, codigo? }) como lista de erros por campo, no formato da validação por schema da API
+function errosDoMotor({ erro, campo, codigo }) {
+	return [{ campo: campo ?? null, codigo: codigo ?? 'valor_invalido', mensagem: erro }];
+}
+
+function linhaComErros(linha, id_funcionario, erros) {
+	return { linha, id_funcionario, status: 'erro', erro: erros.map(e => e.mensagem).join(' '), erros };
+}
+
+// Calcula cada funcionário de forma independente: erros de validação ficam na própria linha.
+// validarEntrada (opcional) recebe a entrada sem id_funcionario e devolve erros por campo antes do motor (ex.: JSON Schema da API)
+function calcularLote(funcionarios, { incluirMemoria = false, validarEntrada = () => [] } = {}) {
+	const linhas = funcionarios.map((funcionario, indice) => {
+		const linha = indice + 1;
+		const dados = funcionario && typeof funcionario === 'object' && !Array.isArray(funcionario) ? funcionario : null;
+		if (!dados) {
+			return linhaComErros(linha, undefined, [{ campo: null, codigo: 'tipo_invalido', mensagem: 'Cada item do lote deve ser um objeto.' }]);
+		}
+		const { id_funcionario, ...entrada } = dados;
+		const erros = [];
+		if (id_funcionario === undefined || id_funcionario === null || String(id_funcionario).trim() === '') {
+			erros.push({ campo: 'id_funcionario', codigo: 'obrigatorio', mensagem: 'id_funcionario é obrigatório.' });
+		}
+		erros.push(...validarEntrada(entrada));
+		if (erros.length > 0) return linhaComErros(linha, id_funcionario ?? undefined, erros);
+		const resultado = calcularIRRF(entrada, { incluirMemoria });
+		if (resultado.erro) return linhaComErros(linha, id_funcionario, errosDoMotor(resultado));
+		return {
+			linha,
+			id_funcionario,
+			status: 'ok',
+			irrf_retido: resultado.pagamentos_mes?.irrf_devido_pagamento ?? resultado.valor_irrf_apos_pl_1087_25 ?? resultado.valor_irrf,
+			resultado
+		};
+	});
+
+	const calculadas = linhas.filter(l => l.status === 'ok');
+	const porFaixa = new Map();
+	for (const l of calculadas) {
+		const aliquota = l.resultado.aliquota_irrf;
+		porFaixa.set(aliquota, (porFaixa.get(aliquota) || 0) + 1);
+	}
+
+	return {
+		linhas,
+		totais: {
+			total_linhas: linhas.length,
+			total_calculadas: calculadas.length,
+			total_erros: linhas.length - calculadas.length,
+			total_rendimento_tributavel: round2(calculadas.reduce((soma, l) => soma + (l.resultado.pagamentos_mes?.rendimento_pagamento_atual ?? l.resultado.rendimento_tributavel), 0)),
+			total_irrf_tabela: round2(calculadas.reduce((soma, l) => soma + l.resultado.valor_irrf, 0)),
+			total_reducao_pl_1087_25: round2(calculadas.reduce((soma, l) => soma + l.resultado.reducao_pl_1087_25, 0)),
+			total_irrf_retido: round2(calculadas.reduce((soma, l) => soma + l.irrf_retido, 0)),
+			quantidade_por_faixa: [...porFaixa.entries()]
+				.sort((a, b) => a[0] - b[0])
+				.map(([aliquota, quantidade]) => ({ aliquota, quantidade }))
+		}
+	};
+}
+
+// Percentual máximo do salário descontado do empregado a título de vale-transporte (Lei 7.418/1985)
+const PERCENTUAL_VALE_TRANSPORTE = 6;
+
+// Holerite simplificado: proventos, INSS e IRRF (via calcularIRRF, com a redução da PL 1087/25),
+// demais descontos e salário líquido. Retorna { erro } quando a entrada é inválida.
+function calcularSalarioLiquido(dados = {}) {
+	const {
+		salario_bruto,
+		quantidade_dependentes = 0,
+		competencia,
+		outros_proventos = 0,
+		pensao_alimenticia = 0,
+		plano_saude = 0,
+		vale_transporte = false,
+		custo_vale_transporte,
+		adiantamento = 0,
+		outros_descontos = 0
+	} = dados;
+
+	const valores = { salario_bruto, outros_proventos, pensao_alimenticia, plano_saude, adiantamento, outros_descontos };
+	for (const [campo, valor] of Object.entries(valores)) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (typeof vale_transporte !== 'boolean') {
+		return { erro: 'vale_transporte deve ser true ou false.', campo: 'vale_transporte' };
+	}
+	if (custo_vale_transporte !== undefined && (!isFiniteNumber(custo_vale_transporte) || custo_vale_transporte < 0)) {
+		return { erro: 'custo_vale_transporte deve ser um número não negativo.', campo: 'custo_vale_transporte' };
+	}
+
+	// Proventos tributáveis compõem a base do INSS e do IRRF
+	const total_proventos = round2(salario_bruto + outros_proventos);
+	const irrf = calcularIRRF({
+		salario_bruto: total_proventos,
+		quantidade_dependentes,
+		pensao_alimenticia,
+		competencia
+	});
+	if (irrf.erro) return irrf;
+	const { memoria_calculo: memoria_irrf, ...resumo_irrf } = irrf;
+
+	const valor_inss = irrf.inss.valor_inss;
+	const valor_irrf = irrf.valor_irrf_apos_pl_1087_25 ?? irrf.valor_irrf;
+
+	// Vale-transporte: 6% do salário básico, limitado ao custo do benefício quando informado
+	const vale_transporte_percentual = round2(salario_bruto * (PERCENTUAL_VALE_TRANSPORTE / 100));
+	const desconto_vale_transporte = !vale_transporte
+		? 0
+		: custo_vale_transporte !== undefined
+			? round2(Math.min(vale_transporte_percentual, custo_vale_transporte))
+			: vale_transporte_percentual;
+
+	const proventos = [
+		{ codigo: 'salario_bruto', descricao: 'Salário bruto', valor: round2(salario_bruto) },
+		...(outros_proventos > 0 ? [{ codigo: 'outros_proventos', descricao: 'Outros proventos', valor: round2(outros_proventos) }] : [])
+	];
+	const descontos = [
+		{ codigo: 'inss', descricao: 'INSS', valor: valor_inss },
+		{ codigo: 'irrf', descricao: 'IRRF', valor: valor_irrf },
+		...(pensao_alimenticia > 0 ? [{ codigo: 'pensao_alimenticia', descricao: 'Pensão alimentícia', valor: round2(pensao_alimenticia) }] : []),
+		...(plano_saude > 0 ? [{ codigo: 'plano_saude', descricao: 'Plano de saúde', valor: round2(plano_saude) }] : []),
+		...(desconto_vale_transporte > 0 ? [{ codigo: 'vale_transporte', descricao: 'Vale-transporte', valor: desconto_vale_transporte }] : []),
+		...(adiantamento > 0 ? [{ codigo: 'adiantamento', descricao: 'Adiantamento', valor: round2(adiantamento) }] : []),
+		...(outros_descontos > 0 ? [{ codigo: 'outros_descontos', descricao: 'Outros descontos', valor: round2(outros_descontos) }] : [])
+	];
+	const total_descontos = round2(descontos.reduce((soma, d) => soma + d.valor, 0));
+	const salario_liquido = round2(total_proventos - total_descontos);
+
+	const etapas = [
+		...memoria_irrf.etapas,
+		{
+			titulo: 'Desconto de vale-transporte',
+			descricao: !vale_transporte
+				? 'Vale-transporte não optado; sem desconto.'
+				: custo_vale_transporte !== undefined
+					? `${PERCENTUAL_VALE_TRANSPORTE}% do salário bruto, limitado ao custo do benefício.`
+					: `${PERCENTUAL_VALE_TRANSPORTE}% do salário bruto.`,
+			formula: !vale_transporte
+				? '0'
+				: custo_vale_transporte !== undefined
+					? `min(salario_bruto * ${PERCENTUAL_VALE_TRANSPORTE}%, custo_vale_transporte)`
+					: `salario_bruto * ${PERCENTUAL_VALE_TRANSPORTE}%`,
+			valores: {
+				salario_bruto: round2(salario_bruto),
+				...(custo_vale_transporte !== undefined ? { custo_vale_transporte: round2(custo_vale_transporte) } : {})
+			},
+			resultado: desconto_vale_transporte
+		},
+		{
+			titulo: 'Total de descontos',
+			descricao: 'Soma de INSS, IRRF (após a PL 1087/25, quando aplicável) e demais descontos do holerite.',
+			formula: descontos.map(d => d.codigo).join(' + '),
+			valores: Object.fromEntries(descontos.map(d => [d.codigo, d.valor])),
+			resultado: total_descontos
+		},
+		{
+			titulo: 'Salário líquido',
+			descricao: 'Total de proventos menos o total de descontos.',
+			formula: 'total_proventos - total_descontos',
+			valores: {
+				total_proventos,
+				total_descontos
+			},
+			resultado: salario_liquido
+		}
+	];
+
+	return {
+		competencia: irrf.competencia,
+		proventos,
+		descontos,
+		total_proventos,
+		total_descontos,
+		salario_liquido,
+		valor_inss,
+		valor_irrf,
+		irrf: resumo_irrf,
+		memoria_calculo: {
+			entradas: {
+				salario_bruto: round2(salario_bruto),
+				outros_proventos: round2(outros_proventos),
+				quantidade_dependentes,
+				pensao_alimenticia: round2(pensao_alimenticia),
+				plano_saude: round2(plano_saude),
+				vale_transporte,
+				adiantamento: round2(adiantamento),
+				outros_descontos: round2(outros_descontos),
+				competencia: irrf.competencia
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// Férias: limites da CLT (art. 134, § 1º: nenhum período inferior a 5 dias; art. 143: abono de até 1/3 de 30 dias)
+const DIAS_FERIAS_MINIMO = 5;
+const DIAS_DIREITO_FERIAS = 30;
+const DIAS_ABONO_MAXIMO = 10;
+
+// Férias + 1/3 constitucional com abono pecuniário isento; o IRRF vem de calcularIRRF (tipo_rendimento ferias).
+// Retorna { erro } quando a entrada é inválida.
+function calcularFerias(dados = {}) {
+	const {
+		salario,
+		dias_ferias = DIAS_DIREITO_FERIAS,
+		dias_abono = 0,
+		media_variaveis = 0,
+		quantidade_dependentes = 0,
+		pensao_alimenticia = 0,
+		competencia
+	} = dados;
+
+	for (const [campo, valor] of Object.entries({ salario, media_variaveis, pensao_alimenticia })) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (!Number.isInteger(dias_ferias) || dias_ferias < DIAS_FERIAS_MINIMO || dias_ferias > DIAS_DIREITO_FERIAS) {
+		return { erro: `dias_ferias deve ser inteiro entre ${DIAS_FERIAS_MINIMO} e ${DIAS_DIREITO_FERIAS}.`, campo: 'dias_ferias' };
+	}
+	if (!Number.isInteger(dias_abono) || dias_abono < 0 || dias_abono > DIAS_ABONO_MAXIMO) {
+		return { erro: `dias_abono deve ser inteiro entre 0 e ${DIAS_ABONO_MAXIMO}.`, campo: 'dias_abono' };
+	}
+	if (dias_ferias + dias_abono > DIAS_DIREITO_FERIAS) {
+		return { erro: `dias_ferias + dias_abono não pode ultrapassar ${DIAS_DIREITO_FERIAS} dias.`, campo: 'dias_abono' };
+	}
+
+	// Remuneração de férias: salário + média das variáveis, proporcional aos dias
+	const remuneracao_base = round2(salario + media_variaveis);
+	const valor_dia = round2(remuneracao_base / DIAS_DIREITO_FERIAS);
+	const valor_ferias = round2(valor_dia * dias_ferias);
+	const terco_constitucional = round2(valor_ferias / 3);
+	const abono_pecuniario = round2(valor_dia * dias_abono);
+	const terco_abono = round2(abono_pecuniario / 3);
+	const total_tributavel = round2(valor_ferias + terco_constitucional);
+	const total_isento = round2(abono_pecuniario + terco_abono);
+
+	// INSS e IRRF incidem apenas sobre férias + 1/3 (o abono não integra o salário de contribuição)
+	const irrf = calcularIRRF({
+		tipo_rendimento: 'ferias',
+		salario_bruto: total_tributavel,
+		quantidade_dependentes,
+		pensao_alimenticia,
+		competencia
+	});
+	if (irrf.erro) return irrf;
+	const { memoria_calculo: memoria_irrf, ...resumo_irrf } = irrf;
+
+	const valor_inss = irrf.inss.valor_inss;
+	const valor_irrf = irrf.valor_irrf_apos_pl_1087_25 ?? irrf.valor_irrf;
+	const valor_bruto = round2(total_tributavel + total_isento);
+	const valor_liquido = round2(valor_bruto - valor_inss - valor_irrf - pensao_alimenticia);
+
+	const etapas = [
+		{
+			titulo: 'Valor diário das férias',
+			descricao: 'Salário somado à média das parcelas variáveis, dividido por 30 dias.',
+			formula: '(salario + media_variaveis) / 30',
+			valores: {
+				salario: round2(salario),
+				media_variaveis: round2(media_variaveis)
+			},
+			resultado: valor_dia
+		},
+		{
+			titulo: 'Remuneração das férias',
+			descricao: 'Valor diário multiplicado pelos dias de férias gozados.',
+			formula: 'valor_dia * dias_ferias',
+			valores: {
+				valor_dia,
+				dias_ferias
+			},
+			resultado: valor_ferias
+		},
+		{
+			titulo: '1/3 constitucional',
+			descricao: 'Adicional de um terço sobre a remuneração das férias (CF, art. 7º, XVII); tributável.',
+			formula: 'valor_ferias / 3',
+			valores: { valor_ferias },
+			resultado: terco_constitucional
+		},
+		{
+			titulo: 'Abono pecuniário e 1/3 (isentos)',
+			descricao: 'Dias de férias convertidos em abono (CLT, art. 143) e o respectivo 1/3; isentos de IRRF e sem incidência de INSS.',
+			formula: 'valor_dia * dias_abono * 4/3',
+			valores: {
+				valor_dia,
+				dias_abono,
+				abono_pecuniario,
+				terco_abono
+			},
+			resultado: total_isento
+		},
+		{
+			titulo: 'Base tributável das férias',
+			descricao: 'Remuneração das férias acrescida do 1/3 constitucional; é a base do INSS e o rendimento tributável do IRRF.',
+			formula: 'valor_ferias + terco_constitucional',
+			valores: {
+				valor_ferias,
+				terco_constitucional
+			},
+			resultado: total_tributavel
+		},
+		...memoria_irrf.etapas,
+		{
+			titulo: 'Líquido das férias',
+			descricao: 'Total pago (tributável + isento) menos INSS, IRRF e pensão alimentícia.',
+			formula: 'total_tributavel + total_isento - valor_inss - irrf - pensao_alimenticia',
+			valores: {
+				total_tributavel,
+				total_isento,
+				valor_inss,
+				irrf: valor_irrf,
+				pensao_alimenticia: round2(pensao_alimenticia)
+			},
+			resultado: valor_liquido
+		}
+	];
+
+	return {
+		competencia: irrf.competencia,
+		salario: round2(salario),
+		media_variaveis: round2(media_variaveis),
+		dias_ferias,
+		dias_abono,
+		valor_dia,
+		valor_ferias,
+		terco_constitucional,
+		abono_pecuniario,
+		terco_abono,
+		total_tributavel,
+		total_isento,
+		valor_bruto,
+		valor_inss,
+		valor_irrf,
+		valor_liquido,
+		irrf: resumo_irrf,
+		memoria_calculo: {
+			entradas: {
+				salario: round2(salario),
+				dias_ferias,
+				dias_abono,
+				media_variaveis: round2(media_variaveis),
+				quantidade_dependentes,
+				pensao_alimenticia: round2(pensao_alimenticia),
+				competencia: irrf.competencia
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// PLR: a tabela exclusiva anual incide sobre o total recebido no ano-calendário (pagamentos anteriores + atual),
+// deduzida a pensão alimentícia relativa à PLR; o imposto devido é o do acumulado menos o já retido no ano.
+// Retorna { erro } quando a entrada é inválida.
+function calcularPLR(dados = {}) {
+	const {
+		valor_plr,
+		pagamentos_anteriores = [],
+		pensao_alimenticia = 0,
+		competencia
+	} = dados;
+
+	if (!isFiniteNumber(valor_plr) || valor_plr < 0) {
+		return { erro: 'valor_plr deve ser um número não negativo.', campo: 'valor_plr' };
+	}
+	if (!isFiniteNumber(pensao_alimenticia) || pensao_alimenticia < 0) {
+		return { erro: 'pensao_alimenticia deve ser um número não negativo.', campo: 'pensao_alimenticia' };
+	}
+	if (!Array.isArray(pagamentos_anteriores)) {
+		return { erro: 'pagamentos_anteriores deve ser um array de { valor, irrf_retido, pensao_alimenticia }.', campo: 'pagamentos_anteriores' };
+	}
+	for (const [indice, pagamento] of pagamentos_anteriores.entries()) {
+		if (!pagamento || typeof pagamento !== 'object') {
+			return { erro: `pagamentos_anteriores[${indice}] deve ser um objeto.`, campo: `pagamentos_anteriores[${indice}]` };
+		}
+		for (const campo of ['valor', 'irrf_retido', 'pensao_alimenticia']) {
+			const valor = pagamento[campo] ?? (campo === 'pensao_alimenticia' ? 0 : undefined);
+			if (!isFiniteNumber(valor) || valor < 0) {
+				return { erro: `pagamentos_anteriores[${indice}].${campo} deve ser um número não negativo.`, campo: `pagamentos_anteriores[${indice}].${campo}` };
+			}
+		}
+	}
+	if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+		return { erro: 'competencia deve estar no formato AAAA-MM (ex.: 2025-05).', campo: 'competencia' };
+	}
+	const tabelaPlr = obterTabelaPLR(competencia);
+	if (!tabelaPlr) {
+		return { erro: `Não há tabela de PLR cadastrada para a competência ${competencia} (primeira vigência: ${TABELAS_PLR[0].vigencia_inicio}).`, campo: 'competencia' };
+	}
+
+	const plr_anteriores = round2(pagamentos_anteriores.reduce((soma, p) => soma + p.valor, 0));
+	const pensao_anteriores = round2(pagamentos_anteriores.reduce((soma, p) => soma + (p.pensao_alimenticia ?? 0), 0));
+	const irrf_retido_anteriormente = round2(pagamentos_anteriores.reduce((soma, p) => soma + p.irrf_retido, 0));
+	const plr_acumulada = round2(plr_anteriores + valor_plr);
+	const pensao_acumulada = round2(pensao_anteriores + pensao_alimenticia);
+	const base_calculo_acumulada = round2(Math.max(0, plr_acumulada - pensao_acumulada));
+
+	const faixa = escolherFaixa(base_calculo_acumulada, tabelaPlr.tabela);
+	const imposto_acumulado = round2(Math.max(0, base_calculo_acumulada * (faixa.aliquota / 100) - faixa.deducao));
+	const valor_irrf = round2(Math.max(0, imposto_acumulado - irrf_retido_anteriormente));
+	const valor_liquido = round2(valor_plr - valor_irrf - pensao_alimenticia);
+
+	const etapas = [
+		{
+			titulo: 'PLR acumulada no ano-calendário',
+			descricao: 'Soma das PLR pagas anteriormente no ano com a parcela atual; a tabela exclusiva é anual.',
+			formula: 'soma(pagamentos_anteriores.valor) + valor_plr',
+			valores: {
+				plr_anteriores,
+				valor_plr: round2(valor_plr),
+				quantidade_pagamentos_anteriores: pagamentos_anteriores.length
+			},
+			resultado: plr_acumulada
+		},
+		{
+			titulo: 'Pensão alimentícia relativa à PLR',
+			descricao: 'Pensão alimentícia descontada das PLR do ano (anteriores e atual), dedutível da base exclusiva.',
+			formula: 'soma(pagamentos_anteriores.pensao_alimenticia) + pensao_alimenticia',
+			valores: {
+				pensao_anteriores,
+				pensao_alimenticia: round2(pensao_alimenticia)
+			},
+			resultado: pensao_acumulada
+		},
+		{
+			titulo: 'Base de cálculo acumulada',
+			descricao: 'PLR acumulada menos a pensão alimentícia acumulada. Não há dedução de dependentes, previdência nem desconto simplificado na PLR.',
+			formula: 'max(0, plr_acumulada - pensao_acumulada)',
+			valores: {
+				plr_acumulada,
+				pensao_acumulada
+			},
+			resultado: base_calculo_acumulada
+		},
+		{
+			titulo: 'Faixa da tabela exclusiva de PLR',
+			descricao: 'Determinação da alíquota e parcela a deduzir conforme a base acumulada no ano.',
+			formula: tabelaPlr.descricao,
+			valores: {
+				tabela: tabelaPlr.id,
+				base_calculo_acumulada,
+				aliquota: faixa.aliquota,
+				deducao_conforme_tabela: faixa.deducao
+			},
+			resultado: { aliquota: faixa.aliquota, deducao: faixa.deducao }
+		},
+		{
+			titulo: 'Imposto sobre a PLR acumulada',
+			descricao: 'Imposto pela tabela exclusiva sobre o total do ano (não negativo).',
+			formula: 'max(0, base_calculo_acumulada * (aliquota/100) - deducao_conforme_tabela)',
+			valores: {
+				base_calculo_acumulada,
+				aliquota: faixa.aliquota,
+				deducao_conforme_tabela: faixa.deducao
+			},
+			resultado: imposto_acumulado
+		},
+		{
+			titulo: 'IRRF devido nesta parcela',
+			descricao: 'Imposto sobre o acumulado menos o IRRF já retido nas PLR anteriores do ano (não negativo). A redução da PL 1087/25 não se aplica à PLR, tributada por tabela exclusiva própria.',
+			formula: 'max(0, imposto_acumulado - irrf_retido_anteriormente)',
+			valores: {
+				imposto_acumulado,
+				irrf_retido_anteriormente
+			},
+			resultado: valor_irrf
+		},
+		{
+			titulo: 'Líquido da PLR',
+			descricao: 'Parcela atual menos o IRRF devido e a pensão alimentícia.',
+			formula: 'valor_plr - valor_irrf - pensao_alimenticia',
+			valores: {
+				valor_plr: round2(valor_plr),
+				valor_irrf,
+				pensao_alimenticia: round2(pensao_alimenticia)
+			},
+			resultado: valor_liquido
+		}
+	];
+
+	return {
+		competencia: competencia ?? tabelaPlr.vigencia_inicio,
+		tabela_plr: tabelaPlr.descricao,
+		valor_plr: round2(valor_plr),
+		plr_anteriores,
+		plr_acumulada,
+		pensao_acumulada,
+		base_calculo_acumulada,
+		aliquota_plr: faixa.aliquota,
+		deducao_conforme_tabela: faixa.deducao,
+		imposto_acumulado,
+		irrf_retido_anteriormente,
+		valor_irrf,
+		valor_liquido,
+		aplica_reducao_pl_1087_25: false,
+		memoria_calculo: {
+			entradas: {
+				valor_plr: round2(valor_plr),
+				quantidade_pagamentos_anteriores: pagamentos_anteriores.length,
+				plr_anteriores,
+				irrf_retido_anteriormente,
+				pensao_alimenticia: round2(pensao_alimenticia),
+				competencia: competencia ?? tabelaPlr.vigencia_inicio
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// Tabela progressiva mensal com limites e parcelas a deduzir multiplicados pelo número de meses (RRA)
+function escalarTabela(tabela, numero_meses) {
+	return tabela.map(faixa => ({
+		limite: faixa.limite === Infinity ? Infinity : round2(faixa.limite * numero_meses),
+		aliquota: faixa.aliquota,
+		deducao: round2(faixa.deducao * numero_meses)
+	}));
+}
+
+// Rendimentos Recebidos Acumuladamente (Lei 7.713/1988, art. 12-A): tributação exclusiva na fonte no mês
+// do recebimento, pela tabela mensal da competência com faixas e parcelas a deduzir multiplicadas pelo
+// número de meses. Deduzem-se previdência oficial, despesas com a ação judicial e pensão alimentícia.
+// Retorna { erro } quando a entrada é inválida.
+function calcularRRA(dados = {}) {
+	const {
+		valor_total,
+		numero_meses,
+		previdencia_oficial = 0,
+		honorarios_advocaticios = 0,
+		pensao_alimenticia = 0,
+		competencia
+	} = dados;
+
+	for (const [campo, valor] of Object.entries({ valor_total, previdencia_oficial, honorarios_advocaticios, pensao_alimenticia })) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (!Number.isInteger(numero_meses) || numero_meses < 1) {
+		return { erro: 'numero_meses deve ser inteiro maior ou igual a 1.', campo: 'numero_meses' };
+	}
+	if (competencia !== undefined && !isCompetenciaValida(competencia)) {
+		return { erro: 'competencia deve estar no formato AAAA-MM (ex.: 2025-05).', campo: 'competencia' };
+	}
+	const regras = obterRegras(competencia);
+	if (!regras) {
+		return { erro: `Não há tabela de IRRF cadastrada para a competência ${competencia} (primeira vigência: ${REGRAS_IRRF[0].vigencia_inicio}).`, campo: 'competencia' };
+	}
+
+	const soma_deducoes = round2(previdencia_oficial + honorarios_advocaticios + pensao_alimenticia);
+	const base_calculo = round2(Math.max(0, valor_total - soma_deducoes));
+	const tabela_rra = escalarTabela(regras.tabela, numero_meses);
+	const faixa = escolherFaixa(base_calculo, tabela_rra);
+	const valor_irrf = round2(Math.max(0, base_calculo * (faixa.aliquota / 100) - faixa.deducao));
+	const valor_liquido = round2(valor_total - soma_deducoes - valor_irrf);
+	const faixa_mensal = regras.tabela[tabela_rra.indexOf(faixa)];
+
+	const etapas = [
+		{
+			titulo: 'Deduções do RRA',
+			descricao: 'Soma da previdência oficial, das despesas com a ação judicial (honorários pagos sem indenização) e da pensão alimentícia. Não há dedução de dependentes nem desconto simplificado no RRA.',
+			formula: 'previdencia_oficial + honorarios_advocaticios + pensao_alimenticia',
+			valores: {
+				previdencia_oficial: round2(previdencia_oficial),
+				honorarios_advocaticios: round2(honorarios_advocaticios),
+				pensao_alimenticia: round2(pensao_alimenticia)
+			},
+			resultado: soma_deducoes
+		},
+		{
+			titulo: 'Base de cálculo do RRA',
+			descricao: 'Valor total recebido menos as deduções (não negativa).',
+			formula: 'max(0, valor_total - soma_deducoes)',
+			valores: {
+				valor_total: round2(valor_total),
+				soma_deducoes
+			},
+			resultado: base_calculo
+		},
+		{
+			titulo: 'Tabela progressiva multiplicada pelo número de meses',
+			descricao: `Limites das faixas e parcelas a deduzir da ${regras.descricao} multiplicados pelo número de meses a que se referem os rendimentos.`,
+			formula: `limite_faixa * numero_meses; deducao_faixa * numero_meses (${regras.descricao})`,
+			valores: {
+				tabela: regras.id,
+				numero_meses,
+				limite_faixa_mensal: faixa_mensal.limite === Infinity ? null : faixa_mensal.limite,
+				deducao_faixa_mensal: faixa_mensal.deducao
+			},
+			resultado: { limite: faixa.limite === Infinity ? null : faixa.limite, aliquota: faixa.aliquota, deducao: faixa.deducao }
+		},
+		{
+			titulo: 'Faixa da tabela acumulada',
+			descricao: 'Determinação da alíquota e parcela a deduzir conforme a base do RRA na tabela multiplicada.',
+			formula: `${regras.descricao} x ${numero_meses}`,
+			valores: {
+				base_calculo,
+				aliquota: faixa.aliquota,
+				deducao_conforme_tabela: faixa.deducao
+			},
+			resultado: { aliquota: faixa.aliquota, deducao: faixa.deducao }
+		},
+		{
+			titulo: 'IRRF sobre o RRA',
+			descricao: 'Imposto pela tabela acumulada (não negativo). A redução da PL 1087/25 não se aplica ao RRA, tributado exclusivamente pela tabela multiplicada.',
+			formula: 'max(0, base_calculo * (aliquota/100) - deducao_conforme_tabela)',
+			valores: {
+				base_calculo,
+				aliquota: faixa.aliquota,
+				deducao_conforme_tabela: faixa.deducao
+			},
+			resultado: valor_irrf
+		},
+		{
+			titulo: 'Valor líquido do RRA',
+			descricao: 'Valor total menos as deduções e o IRRF.',
+			formula: 'valor_total - soma_deducoes - valor_irrf',
+			valores: {
+				valor_total: round2(valor_total),
+				soma_deducoes,
+				valor_irrf
+			},
+			resultado: valor_liquido
+		}
+	];
+
+	return {
+		competencia: competencia ?? regras.vigencia_inicio,
+		tabela_irrf: regras.descricao,
+		valor_total: round2(valor_total),
+		numero_meses,
+		soma_deducoes,
+		base_calculo,
+		aliquota_irrf: faixa.aliquota,
+		deducao_conforme_tabela: faixa.deducao,
+		valor_irrf,
+		aliquota_efetiva: valor_total > 0 ? round2((valor_irrf / valor_total) * 100) : 0,
+		valor_liquido,
+		aplica_reducao_pl_1087_25: false,
+		memoria_calculo: {
+			entradas: {
+				valor_total: round2(valor_total),
+				numero_meses,
+				previdencia_oficial: round2(previdencia_oficial),
+				honorarios_advocaticios: round2(honorarios_advocaticios),
+				pensao_alimenticia: round2(pensao_alimenticia),
+				competencia: competencia ?? regras.vigencia_inicio
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// Ajuste anual (DIRPF): consolida os meses do ano-calendário, aplica a tabela progressiva anual nos dois
+// modelos (deduções legais x desconto simplificado de 20% com limite) e confronta o imposto devido no modelo
+// mais vantajoso com o IRRF retido. O IRRF de cada mês é o informado em irrf_retido ou, na falta dele, o
+// calculado por calcularIRRF na competência do mês. Retorna { erro } quando a entrada é inválida.
+function calcularAjusteAnual(dados = {}) {
+	const {
+		ano_calendario,
+		meses,
+		quantidade_dependentes = 0,
+		despesas_medicas = 0,
+		despesas_instrucao = 0
+	} = dados;
+
+	if (!Number.isInteger(ano_calendario)) {
+		return { erro: 'ano_calendario deve ser um ano inteiro (ex.: 2025).', campo: 'ano_calendario' };
+	}
+	const tabelaAnual = obterTabelaAnual(ano_calendario);
+	if (!tabelaAnual) {
+		return { erro: `Não há tabela anual cadastrada para o ano-calendário ${ano_calendario} (primeiro ano: ${TABELAS_IRPF_ANUAL[0].id}).`, campo: 'ano_calendario' };
+	}
+	if (!Number.isInteger(quantidade_dependentes) || quantidade_dependentes < 0) {
+		return { erro: 'quantidade_dependentes deve ser inteiro não negativo.', campo: 'quantidade_dependentes' };
+	}
+	for (const [campo, valor] of Object.entries({ despesas_medicas, despesas_instrucao })) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (!Array.isArray(meses) || meses.length === 0 || meses.length > 12) {
+		return { erro: 'meses deve ser um array com 1 a 12 itens { mes, rendimento_tributavel, previdencia_oficial, pensao_alimenticia, irrf_retido }.', campo: 'meses' };
+	}
+
+	const meses_calculados = [];
+	for (const [indice, item] of meses.entries()) {
+		if (!item || typeof item !== 'object' || Array.isArray(item)) {
+			return { erro: `meses[${indice}] deve ser um objeto.`, campo: `meses[${indice}]` };
+		}
+		const { mes, rendimento_tributavel, previdencia_oficial = 0, pensao_alimenticia = 0, irrf_retido } = item;
+		if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+			return { erro: `meses[${indice}].mes deve ser inteiro entre 1 e 12.`, campo: `meses[${indice}].mes` };
+		}
+		if (meses_calculados.some(m => m.mes === mes)) {
+			return { erro: `meses[${indice}].mes repetido: ${mes}.`, campo: `meses[${indice}].mes` };
+		}
+		for (const [campo, valor] of Object.entries({ rendimento_tributavel, previdencia_oficial, pensao_alimenticia, ...(irrf_retido !== undefined ? { irrf_retido } : {}) })) {
+			if (!isFiniteNumber(valor) || valor < 0) {
+				return { erro: `meses[${indice}].${campo} deve ser um número não negativo.`, campo: `meses[${indice}].${campo}` };
+			}
+		}
+		const dependentes_mes = item.quantidade_dependentes ?? quantidade_dependentes;
+		const competencia = `${ano_calendario}-${String(mes).padStart(2, '0')}`;
+		let irrf_mes = irrf_retido;
+		if (irrf_mes === undefined) {
+			const irrf = calcularIRRF({
+				rendimento_tributavel,
+				previdencia_oficial,
+				quantidade_dependentes: dependentes_mes,
+				pensao_alimenticia,
+				competencia
+			}, { incluirMemoria: false });
+			if (irrf.erro) {
+				return { erro: `meses[${indice}]: ${irrf.erro}`, campo: irrf.campo ? `meses[${indice}].${irrf.campo}` : `meses[${indice}]` };
+			}
+			irrf_mes = irrf.valor_irrf_apos_pl_1087_25 ?? irrf.valor_irrf;
+		}
+		meses_calculados.push({
+			mes,
+			competencia,
+			rendimento_tributavel: round2(rendimento_tributavel),
+			previdencia_oficial: round2(previdencia_oficial),
+			pensao_alimenticia: round2(pensao_alimenticia),
+			irrf_retido: round2(irrf_mes),
+			irrf_origem: irrf_retido === undefined ? 'calculado' : 'informado'
+		});
+	}
+	meses_calculados.sort((a, b) => a.mes - b.mes);
+
+	const somar = campo => round2(meses_calculados.reduce((soma, m) => soma + m[campo], 0));
+	const totais = {
+		rendimentos_tributaveis: somar('rendimento_tributavel'),
+		previdencia_oficial: somar('previdencia_oficial'),
+		pensao_alimenticia: somar('pensao_alimenticia'),
+		irrf_retido: somar('irrf_retido')
+	};
+
+	// Imposto anual pela tabela progressiva para uma base de cálculo
+	const impostoAnual = base_calculo => {
+		const faixa = escolherFaixa(base_calculo, tabelaAnual.tabela);
+		return {
+			base_calculo,
+			aliquota: faixa.aliquota,
+			deducao_conforme_tabela: faixa.deducao,
+			imposto_devido: round2(Math.max(0, base_calculo * (faixa.aliquota / 100) - faixa.deducao))
+		};
+	};
+
+	// Declaração completa: deduções legais; instrução limitada por pessoa (titular + dependentes)
+	const deducao_dependentes = round2(quantidade_dependentes * tabelaAnual.deducao_por_dependente);
+	const limite_instrucao = round2(tabelaAnual.limite_instrucao_por_pessoa * (1 + quantidade_dependentes));
+	const instrucao_dedutivel = round2(Math.min(despesas_instrucao, limite_instrucao));
+	const total_deducoes = round2(totais.previdencia_oficial + deducao_dependentes + totais.pensao_alimenticia + despesas_medicas + instrucao_dedutivel);
+	const declaracao_completa = {
+		total_deducoes,
+		...impostoAnual(round2(Math.max(0, totais.rendimentos_tributaveis - total_deducoes)))
+	};
+
+	// Declaração simplificada: 20% dos rendimentos tributáveis, limitado ao teto do ano
+	const desconto_simplificado = round2(Math.min(totais.rendimentos_tributaveis * 0.2, tabelaAnual.limite_desconto_simplificado));
+	const declaracao_simplificada = {
+		desconto_simplificado,
+		...impostoAnual(round2(Math.max(0, totais.rendimentos_tributaveis - desconto_simplificado)))
+	};
+
+	const modelo_escolhido = declaracao_simplificada.imposto_devido < declaracao_completa.imposto_devido ? 'simplificada' : 'completa';
+	const escolhido = modelo_escolhido === 'simplificada' ? declaracao_simplificada : declaracao_completa;
+	const economia = round2(Math.abs(declaracao_completa.imposto_devido - declaracao_simplificada.imposto_devido));
+	const saldo = round2(escolhido.imposto_devido - totais.irrf_retido);
+	const resultado = saldo < 0 ? 'restituicao' : saldo > 0 ? 'imposto_a_pagar' : 'sem_saldo';
+
+	const etapas = [
+		{
+			titulo: 'Rendimentos tributáveis do ano',
+			descricao: 'Soma dos rendimentos tributáveis mensais informados (13º salário e rendimentos de tributação exclusiva não entram no ajuste).',
+			formula: 'soma(meses.rendimento_tributavel)',
+			valores: Object.fromEntries(meses_calculados.map(m => [`mes_${String(m.mes).padStart(2, '0')}`, m.rendimento_tributavel])),
+			resultado: totais.rendimentos_tributaveis
+		},
+		{
+			titulo: 'IRRF retido no ano',
+			descricao: 'Soma do IRRF retido em cada mês: o informado em irrf_retido ou, na falta dele, o calculado pela tabela mensal da competência (após a PL 1087/25, quando aplicável).',
+			formula: 'soma(meses.irrf_retido)',
+			valores: Object.fromEntries(meses_calculados.map(m => [`mes_${String(m.mes).padStart(2, '0')}`, m.irrf_retido])),
+			resultado: totais.irrf_retido
+		},
+		{
+			titulo: 'Deduções legais (declaração completa)',
+			descricao: `Previdência oficial, dependentes (${formatarDecimal(tabelaAnual.deducao_por_dependente)} por dependente), pensão alimentícia, despesas médicas e despesas com instrução limitadas a ${formatarDecimal(tabelaAnual.limite_instrucao_por_pessoa)} por pessoa (titular e dependentes).`,
+			formula: 'previdencia_oficial + deducao_dependentes + pensao_alimenticia + despesas_medicas + min(despesas_instrucao, limite_instrucao)',
+			valores: {
+				previdencia_oficial: totais.previdencia_oficial,
+				quantidade_dependentes,
+				deducao_dependentes,
+				pensao_alimenticia: totais.pensao_alimenticia,
+				despesas_medicas: round2(despesas_medicas),
+				despesas_instrucao: round2(despesas_instrucao),
+				limite_instrucao
+			},
+			resultado: total_deducoes
+		},
+		{
+			titulo: 'Imposto devido na declaração completa',
+			descricao: `Base de cálculo (rendimentos menos deduções legais, não negativa) aplicada à ${tabelaAnual.descricao}.`,
+			formula: 'max(0, base_calculo * (aliquota/100) - deducao_conforme_tabela)',
+			valores: {
+				base_calculo: declaracao_completa.base_calculo,
+				aliquota: declaracao_completa.aliquota,
+				deducao_conforme_tabela: declaracao_completa.deducao_conforme_tabela
+			},
+			resultado: declaracao_completa.imposto_devido
+		},
+		{
+			titulo: 'Desconto simplificado',
+			descricao: `20% dos rendimentos tributáveis, limitado a ${formatarDecimal(tabelaAnual.limite_desconto_simplificado)}; substitui todas as deduções legais.`,
+			formula: `min(rendimentos_tributaveis * 0,20, ${formatarDecimal(tabelaAnual.limite_desconto_simplificado)})`,
+			valores: {
+				rendimentos_tributaveis: totais.rendimentos_tributaveis,
+				limite_desconto_simplificado: tabelaAnual.limite_desconto_simplificado
+			},
+			resultado: desconto_simplificado
+		},
+		{
+			titulo: 'Imposto devido na declaração simplificada',
+			descricao: `Base de cálculo (rendimentos menos desconto simplificado) aplicada à ${tabelaAnual.descricao}.`,
+			formula: 'max(0, base_calculo * (aliquota/100) - deducao_conforme_tabela)',
+			valores: {
+				base_calculo: declaracao_simplificada.base_calculo,
+				aliquota: declaracao_simplificada.aliquota,
+				deducao_conforme_tabela: declaracao_simplificada.deducao_conforme_tabela
+			},
+			resultado: declaracao_simplificada.imposto_devido
+		},
+		{
+			titulo: 'Modelo mais vantajoso',
+			descricao: 'Modelo com menor imposto devido (a completa prevalece em caso de empate). A economia é a diferença entre os dois modelos.',
+			formula: 'min(imposto_completa, imposto_simplificada)',
+			valores: {
+				imposto_completa: declaracao_completa.imposto_devido,
+				imposto_simplificada: declaracao_simplificada.imposto_devido,
+				modelo_escolhido,
+				economia
+			},
+			resultado: escolhido.imposto_devido
+		},
+		{
+			titulo: 'Saldo do ajuste anual',
+			descricao: 'Imposto devido no modelo escolhido menos o IRRF retido no ano: negativo é imposto a restituir; positivo, imposto a pagar. A redução da PL 1087/25 não é aplicada ao ajuste anual.',
+			formula: 'imposto_devido - irrf_retido',
+			valores: {
+				imposto_devido: escolhido.imposto_devido,
+				irrf_retido: totais.irrf_retido
+			},
+			resultado: saldo
+		}
+	];
+
+	return {
+		ano_calendario,
+		tabela_anual: tabelaAnual.descricao,
+		meses: meses_calculados,
+		totais,
+		declaracao_completa,
+		declaracao_simplificada,
+		modelo_escolhido,
+		economia,
+		imposto_devido: escolhido.imposto_devido,
+		irrf_retido: totais.irrf_retido,
+		resultado,
+		valor_restituicao: saldo < 0 ? round2(-saldo) : 0,
+		valor_a_pagar: saldo > 0 ? saldo : 0,
+		aplica_reducao_pl_1087_25: false,
+		memoria_calculo: {
+			entradas: {
+				ano_calendario,
+				quantidade_meses: meses_calculados.length,
+				quantidade_dependentes,
+				despesas_medicas: round2(despesas_medicas),
+				despesas_instrucao: round2(despesas_instrucao)
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+// Curva de alíquotas: limite de pontos amostrados por chamada
+const LIMITE_PONTOS_CURVA = 2000;
+// Campos de calcularIRRF repassados a todos os pontos da curva (o rendimento é o eixo da curva)
+const CAMPOS_CURVA_IRRF = [
+	'previdencia_oficial', 'quantidade_dependentes', 'pensao_alimenticia', 'competencia', 'tipo_rendimento', 'primeira_parcela', 'modo_deducao',
+	'previdencia_complementar', 'aposentado_65_anos', 'molestia_grave', 'rendimento_aposentadoria', 'parametros_reducao_pl_1087_25'
+];
+
+// Amostra o IRRF mensal de rendimento_inicial a rendimento_final (inclusive, em passos de passo) com as
+// mesmas deduções em todos os pontos. Os demais campos seguem /calcular-irrf (dependentes, previdência,
+// pensão, competência, modo_deducao...). A alíquota marginal de cada ponto é a variação do IRRF final
+// até o ponto seguinte, dividida pelo passo.
+function calcularCurvaIRRF(dados = {}) {
+	const { rendimento_inicial = 0, rendimento_final = 10000, passo = 50, ...parametros } = dados;
+
+	for (const [campo, valor] of Object.entries({ rendimento_inicial, rendimento_final, passo })) {
+		if (!isFiniteNumber(valor) || valor < 0) {
+			return { erro: `${campo} deve ser um número não negativo.`, campo };
+		}
+	}
+	if (rendimento_final <= rendimento_inicial) {
+		return { erro: 'rendimento_final deve ser maior que rendimento_inicial.', campo: 'rendimento_final' };
+	}
+	if (passo <= 0) {
+		return { erro: 'passo deve ser maior que zero.', campo: 'passo' };
+	}
+	for (const campo of ['rendimento_tributavel', 'salario_bruto', 'pagamentos_anteriores']) {
+		if (parametros[campo] !== undefined) {
+			return { erro: `${campo} não se aplica à curva: o rendimento varia de rendimento_inicial a rendimento_final.`, campo };
+		}
+	}
+	const desconhecido = Object.keys(parametros).find(campo => !CAMPOS_CURVA_IRRF.includes(campo));
+	if (desconhecido !== undefined) {
+		return {
+			erro: `Campo desconhecido "${desconhecido}". Campos aceitos: rendimento_inicial, rendimento_final, passo, ${CAMPOS_CURVA_IRRF.join(', ')}.`,
+			campo: desconhecido,
+			codigo: 'campo_desconhecido'
+		};
+	}
+	const quantidade_pontos = Math.floor((rendimento_final - rendimento_inicial) / passo + 1e-9) + 1;
+	if (quantidade_pontos > LIMITE_PONTOS_CURVA) {
+		return { erro: `A curva excede o limite de ${LIMITE_PONTOS_CURVA} pontos: aumente o passo ou reduza o intervalo.`, campo: 'passo' };
+	}
+
+	const entrada = { quantidade_dependentes: 0, previdencia_oficial: 0, pensao_alimenticia: 0, ...parametros };
+	const calcularPonto = rendimento_tributavel => calcularIRRF({ ...entrada, rendimento_tributavel }, { incluirMemoria: false });
+	const irrfFinal = resultado => resultado.valor_irrf_apos_pl_1087_25 ?? resultado.valor_irrf;
+
+	// Um ponto a mais, após o último, para a alíquota marginal do fim do intervalo
+	const amostras = [];
+	for (let i = 0; i <= quantidade_pontos; i++) {
+		const resultado = calcularPonto(round2(rendimento_inicial + i * passo));
+		if (resultado.erro) return resultado;
+		amostras.push(resultado);
+	}
+
+	const regras = obterRegras(amostras[0].competencia);
+	// Com parametros_reducao_pl_1087_25, a janela marcada é a do cenário hipotético
+	const janela = amostras[0].parametros_reducao_pl_1087_25 ?? regras.reducao_pl_1087_25;
+	const pontos = amostras.slice(0, quantidade_pontos).map((resultado, i) => {
+		const { rendimento_tributavel, base_liquida_irrf, aliquota_irrf, valor_irrf } = resultado;
+		const irrf_apos_reducao = irrfFinal(resultado);
+		return {
+			rendimento_tributavel,
+			base_liquida_irrf,
+			faixa: regras.tabela.findIndex(f => f.aliquota === aliquota_irrf) + 1,
+			aliquota_nominal: aliquota_irrf,
+			irrf_antes_reducao: valor_irrf,
+			reducao_pl_1087_25: resultado.reducao_pl_1087_25 ?? 0,
+			irrf_apos_reducao,
+			aliquota_efetiva: rendimento_tributavel > 0 ? round2((irrf_apos_reducao / rendimento_tributavel) * 100) : 0,
+			aliquota_marginal: round2(((irrfFinal(amostras[i + 1]) - irrf_apos_reducao) / passo) * 100)
+		};
+	});
+
+	// Rendimento em que cada faixa começa, pelo deslocamento rendimento - base do primeiro ponto da nova faixa
+	const limites_faixas = [];
+	for (let i = 1; i < pontos.length; i++) {
+		const { faixa, rendimento_tributavel, base_liquida_irrf } = pontos[i];
+		if (faixa === pontos[i - 1].faixa) continue;
+		for (let f = pontos[i - 1].faixa + 1; f <= faixa; f++) {
+			limites_faixas.push({
+				faixa: f,
+				aliquota: regras.tabela[f - 1].aliquota,
+				rendimento_inicio: round2(regras.tabela[f - 2].limite + 0.01 + (rendimento_tributavel - base_liquida_irrf))
+			});
+		}
+	}
+
+	return {
+		competencia: amostras[0].competencia,
+		tabela_irrf: amostras[0].tabela_irrf,
+		modo_deducao: amostras[0].comparativo_deducoes.modo_deducao,
+		quantidade_dependentes: entrada.quantidade_dependentes,
+		previdencia_oficial: round2(entrada.previdencia_oficial),
+		pensao_alimenticia: round2(entrada.pensao_alimenticia),
+		rendimento_inicial: round2(rendimento_inicial),
+		rendimento_final: round2(rendimento_final),
+		passo,
+		quantidade_pontos,
+		limites_faixas,
+		janela_reducao_pl_1087_25: janela
+			? { reducao_integral_ate: janela.limite_reducao_integral, reducao_ate: janela.limite_reducao }
+			: null,
+		pontos
+	};
+}
+
+// Gross-up: tipos de alvo aceitos por /calcular-bruto e o valor que cada um mede no cálculo direto
+const TIPOS_ALVO_BRUTO = {
+	salario_liquido: 'salário líquido do holerite (/calcular-salario-liquido)',
+	valor_liquido: 'valor líquido após IRRF (e INSS, quando incluir_inss = true)',
+	valor_irrf: 'IRRF devido após a redução da PL 1087/25'
+};
+// Teto de busca (R$ 10 bilhões em centavos) para evitar laço infinito em alvos inatingíveis
+const LIMITE_BUSCA_BRUTO_CENTAVOS = 1e12;
+
+// Cálculo direto para um bruto candidato: retorna { valor, resultado, etapas } ou { erro }
+function calcularDireto(tipo_alvo, bruto, parametros) {
+	if (tipo_alvo === 'salario_liquido') {
+		const resultado = calcularSalarioLiquido({ ...parametros, salario_bruto: bruto });
+		if (resultado.erro) return resultado;
+		return { valor: resultado.salario_liquido, resultado, etapas: resultado.memoria_calculo.etapas };
+	}
+
+	const { incluir_inss = false, ...dadosIrrf } = parametros;
+	const resultado = calcularIRRF(incluir_inss
+		? { quantidade_dependentes: 0, ...dadosIrrf, salario_bruto: bruto }
+		: { quantidade_dependentes: 0, previdencia_oficial: 0, ...dadosIrrf, rendimento_tributavel: bruto });
+	if (resultado.erro) return resultado;
+	const irrf_final = resultado.pagamentos_mes?.irrf_devido_pagamento ?? resultado.valor_irrf_apos_pl_1087_25 ?? resultado.valor_irrf;
+	if (tipo_alvo === 'valor_irrf') {
+		return { valor: irrf_final, resultado, etapas: resultado.memoria_calculo.etapas };
+	}
+
+	const valor_inss = incluir_inss ? resultado.inss.valor_inss : 0;
+	const valor_liquido = round2(bruto - valor_inss - irrf_final);
+	const etapas = [
+		...resultado.memoria_calculo.etapas,
+		{
+			titulo: 'Valor líquido',
+			descricao: incluir_inss
+				? 'Valor bruto menos INSS e IRRF (após a PL 1087/25, quando aplicável).'
+				: 'Valor bruto menos IRRF (após a PL 1087/25, quando aplicável).',
+			formula: incluir_inss ? 'bruto - valor_inss - irrf' : 'bruto - irrf',
+			valores: {
+				bruto,
+				...(incluir_inss ? { valor_inss } : {}),
+				irrf: irrf_final
+			},
+			resultado: valor_liquido
+		}
+	];
+	return { valor: valor_liquido, resultado, etapas };
+}
+
+// Encontra o menor bruto (em centavos) cujo cálculo direto atinge o alvo.
+// O valor medido é não decrescente no bruto: as mudanças de faixa de escolherFaixa e a
+// redução da PL 1087/25 entre R$ 5.000 e R$ 7.350 reduzem a inclinação, mas não a invertem.
+// Por isso a busca é determinística: expansão do limite superior seguida de bisseção em centavos.
+function calcularBruto(dados = {}) {
+	const { tipo_alvo = 'salario_liquido', valor_alvo, ...parametros } = dados;
+
+	if (!Object.hasOwn(TIPOS_ALVO_BRUTO, tipo_alvo)) {
+		return { erro: `tipo_alvo deve ser um de: ${Object.keys(TIPOS_ALVO_BRUTO).join(', ')}.`, campo: 'tipo_alvo' };
+	}
+	if (!isFiniteNumber(valor_alvo) || valor_alvo < 0) {
+		return { erro: 'valor_alvo deve ser um número não negativo.', campo: 'valor_alvo' };
+	}
+	for (const campo of ['salario_bruto', 'rendimento_tributavel']) {
+		if (parametros[campo] !== undefined) {
+			return { erro: `${campo} é calculado pelo solver e não deve ser enviado.`, campo };
+		}
+	}
+	if (parametros.incluir_inss !== undefined && typeof parametros.incluir_inss !== 'boolean') {
+		return { erro: 'incluir_inss deve ser true ou false.', campo: 'incluir_inss' };
+	}
+	if (tipo_alvo === 'salario_liquido' && parametros.incluir_inss !== undefined) {
+		return { erro: 'incluir_inss não se aplica a tipo_alvo salario_liquido (o holerite sempre calcula o INSS).', campo: 'incluir_inss' };
+	}
+
+	let iteracoes = 0;
+	const avaliar = centavos => {
+		iteracoes++;
+		return calcularDireto(tipo_alvo, centavos / 100, parametros);
+	};
+
+	let inferior = 0;
+	let direto = avaliar(inferior);
+	if (direto.erro) return direto;
+
+	let superior = inferior;
+	if (direto.valor < valor_alvo) {
+		// Expande o limite superior até alcançar o alvo
+		superior = Math.max(1, Math.ceil(valor_alvo * 100));
+		direto = avaliar(superior);
+		while (direto.valor < valor_alvo) {
+			if (superior >= LIMITE_BUSCA_BRUTO_CENTAVOS) {
+				return { erro: 'Não foi possível encontrar um valor bruto que atinja o valor_alvo informado.', campo: 'valor_alvo' };
+			}
+			inferior = superior;
+			superior *= 2;
+			direto = avaliar(superior);
+		}
+		// Bisseção: invariante valor(inferior) < alvo <= valor(superior)
+		let melhor = direto;
+		while (superior - inferior > 1) {
+			const meio = Math.floor((inferior + superior) / 2);
+			const candidato = avaliar(meio);
+			if (candidato.valor >= valor_alvo) {
+				superior = meio;
+				melhor = candidato;
+			} else {
+				inferior = meio;
+			}
+		}
+		direto = melhor;
+	}
+
+	const bruto = superior / 100;
+	const valor_obtido = direto.valor;
+	const { memoria_calculo: memoria_direta, ...resumo_direto } = direto.resultado;
+	const diferenca = round2(valor_obtido - valor_alvo);
+	const etapas = [
+		...direto.etapas,
+		{
+			titulo: 'Verificação do alvo (gross-up)',
+			descricao: `Menor valor bruto, em centavos, cujo ${TIPOS_ALVO_BRUTO[tipo_alvo]} atinge o valor alvo; a diferença decorre apenas do arredondamento em centavos.`,
+			formula: 'valor_obtido - valor_alvo',
+			valores: {
+				bruto,
+				valor_alvo: round2(valor_alvo),
+				valor_obtido,
+				iteracoes
+			},
+			resultado: diferenca
+		}
+	];
+
+	return {
+		tipo_alvo,
+		valor_alvo: round2(valor_alvo),
+		bruto,
+		valor_obtido,
+		diferenca,
+		convergiu: true,
+		iteracoes,
+		metodo: 'bisseção em centavos sobre o cálculo direto',
+		resultado: resumo_direto,
+		memoria_calculo: {
+			entradas: {
+				tipo_alvo,
+				valor_alvo: round2(valor_alvo),
+				...memoria_direta.entradas
+			},
+			etapas: numerarEtapas(etapas)
+		}
+	};
+}
+
+module.exports = {
+	REGRAS_IRRF,
+	TABELAS_INSS,
+	TABELAS_PLR,
+	TABELAS_IRPF_ANUAL,
+	isCompetenciaValida,
+	obterRegras,
+	obterTabelaINSS,
+	obterTabelaPLR,
+	obterTabelaAnual,
+	escolherFaixa,
+	validarRegrasIRRF,
+	serializarRegrasIRRF,
+	TIPOS_RENDIMENTO,
+	MODOS_DEDUCAO,
+	MOTIVOS_REDUCAO_PL_1087_25,
+	TIPOS_ALVO_BRUTO,
+	round2,
+	errosDoMotor,
+	calcularINSS,
+	calcularIRRF,
+	calcularIRRFV2,
+	calcularLote,
+	calcularSalarioLiquido,
+	calcularFerias,
+	calcularPLR,
+	calcularRRA,
+	calcularAjusteAnual,
+	calcularBruto,
+	calcularCurvaIRRF
+};
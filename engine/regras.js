@@ -0,0 +1,185 @@
+/**
+ * Leitura e validação do arquivo de regras do IRRF mensal (regras-irrf.json): faixas, dedução por dependente,
+ * desconto simplificado mínimo, parcela isenta dos 65 anos e parâmetros da redução da PL 1087/25 por vigência.
+ * Um arquivo inconsistente impede o carregamento do motor (e, portanto, a subida da API).
+ */
+
+const REGEX_VIGENCIA = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Diferença máxima aceita nas verificações de continuidade da redução (um centavo)
+const TOLERANCIA = 0.01;
+
+const CAMPOS_VIGENCIA = ['id', 'vigencia_inicio', 'descricao', 'tabela', 'deducao_por_dependente', 'desconto_simplificado_minimo', 'parcela_isenta_65_anos', 'reducao_pl_1087_25'];
+const CAMPOS_FAIXA = ['limite', 'aliquota', 'deducao'];
+const CAMPOS_REDUCAO_PL_1087_25 = ['limite_reducao_integral', 'reducao_maxima', 'limite_reducao', 'valor', 'fator'];
+
+function isNumeroNaoNegativo(valor) {
+	return typeof valor === 'number' && Number.isFinite(valor) && valor >= 0;
+}
+
+function isNumeroPositivo(valor) {
+	return isNumeroNaoNegativo(valor) && valor > 0;
+}
+
+function camposDesconhecidos(objeto, permitidos, contexto, erros) {
+	for (const campo of Object.keys(objeto)) {
+		if (!permitidos.includes(campo)) erros.push(`${contexto}: campo desconhecido ${campo}.`);
+	}
+}
+
+function validarTabela(tabela, contexto, erros) {
+	if (!Array.isArray(tabela) || tabela.length === 0) {
+		erros.push(`${contexto}: tabela deve ser uma lista não vazia de faixas.`);
+		return;
+	}
+	tabela.forEach((faixa, i) => {
+		const nome = `${contexto}, faixa ${i + 1}`;
+		if (faixa === null || typeof faixa !== 'object' || Array.isArray(faixa)) {
+			erros.push(`${nome}: deve ser um objeto { limite, aliquota, deducao }.`);
+			return;
+		}
+		camposDesconhecidos(faixa, CAMPOS_FAIXA, nome, erros);
+		const ultima = i === tabela.length - 1;
+		if (ultima && faixa.limite !== null) {
+			erros.push(`${nome}: a última faixa deve ser aberta (limite null).`);
+		} else if (!ultima && !isNumeroPositivo(faixa.limite)) {
+			erros.push(`${nome}: limite deve ser um número positivo (somente a última faixa é aberta).`);
+		}
+		if (!isNumeroNaoNegativo(faixa.aliquota) || faixa.aliquota > 100) {
+			erros.push(`${nome}: aliquota deve estar entre 0 e 100.`);
+		}
+		if (!isNumeroNaoNegativo(faixa.deducao)) {
+			erros.push(`${nome}: deducao deve ser um número não negativo.`);
+		}
+		if (i === 0) return;
+		const anterior = tabela[i - 1];
+		if (!anterior || typeof anterior !== 'object') return;
+		if (isNumeroPositivo(faixa.limite) && isNumeroPositivo(anterior.limite) && faixa.limite <= anterior.limite) {
+			erros.push(`${nome}: faixas sobrepostas ou fora de ordem (limite ${faixa.limite} não é maior que o da faixa ${i}, ${anterior.limite}).`);
+		}
+		if (isNumeroNaoNegativo(faixa.aliquota) && isNumeroNaoNegativo(anterior.aliquota) && faixa.aliquota <= anterior.aliquota) {
+			erros.push(`${nome}: aliquota deve ser maior que a da faixa ${i}.`);
+		}
+		if (isNumeroNaoNegativo(faixa.deducao) && isNumeroNaoNegativo(anterior.deducao) && faixa.deducao < anterior.deducao) {
+			erros.push(`${nome}: deducao não pode ser menor que a da faixa ${i}.`);
+		}
+	});
+}
+
+// A parcela decrescente (valor - fator * rendimento) deve coincidir com a redução máxima no início da janela e zerar no fim
+function validarReducao(reducao, contexto, erros) {
+	const nome = `${contexto}, reducao_pl_1087_25`;
+	if (typeof reducao !== 'object' || Array.isArray(reducao)) {
+		erros.push(`${nome}: deve ser null ou um objeto { ${CAMPOS_REDUCAO_PL_1087_25.join(', ')} }.`);
+		return;
+	}
+	camposDesconhecidos(reducao, CAMPOS_REDUCAO_PL_1087_25, nome, erros);
+	const invalidos = CAMPOS_REDUCAO_PL_1087_25.filter(campo => !isNumeroPositivo(reducao[campo]));
+	if (invalidos.length > 0) {
+		erros.push(`${nome}: ${invalidos.join(', ')} deve(m) ser número(s) positivo(s).`);
+		return;
+	}
+	const { limite_reducao_integral, reducao_maxima, limite_reducao, valor, fator } = reducao;
+	if (limite_reducao_integral >= limite_reducao) {
+		erros.push(`${nome}: limite_reducao_integral deve ser menor que limite_reducao.`);
+		return;
+	}
+	for (const erro of verificarContinuidadeReducao(reducao)) erros.push(`${nome}: ${erro}`);
+}
+
+/**
+ * Continuidade da redução: a parcela decrescente (valor - fator * rendimento) parte de reducao_maxima em
+ * limite_reducao_integral e chega a zero em limite_reducao, sem saltos no IRRF nas bordas da janela.
+ * @param {{ limite_reducao_integral: number, reducao_maxima: number, limite_reducao: number, valor: number, fator: number }} reducao
+ * @returns {string[]} inconsistências (vazio quando contínua)
+ */
+function verificarContinuidadeReducao({ limite_reducao_integral, reducao_maxima, limite_reducao, valor, fator }) {
+	const erros = [];
+	if (Math.abs(valor - fator * limite_reducao_integral - reducao_maxima) > TOLERANCIA) {
+		erros.push(`valor - fator * limite_reducao_integral deve ser igual a reducao_maxima (${reducao_maxima}).`);
+	}
+	if (Math.abs(valor - fator * limite_reducao) > TOLERANCIA) {
+		erros.push('valor - fator * limite_reducao deve ser zero.');
+	}
+	return erros;
+}
+
+/**
+ * Verifica o conteúdo do arquivo de regras.
+ * @param {unknown} dados conteúdo do JSON ({ vigencias: [...] })
+ * @returns {string[]} inconsistências encontradas (vazio quando válido)
+ */
+function validarRegrasIRRF(dados) {
+	const erros = [];
+	if (dados === null || typeof dados !== 'object' || !Array.isArray(dados.vigencias) || dados.vigencias.length === 0) {
+		return ['O arquivo deve ter a lista vigencias com ao menos uma vigência.'];
+	}
+	const ids = new Set();
+	dados.vigencias.forEach((vigencia, i) => {
+		if (vigencia === null || typeof vigencia !== 'object' || Array.isArray(vigencia)) {
+			erros.push(`Vigência ${i + 1}: deve ser um objeto.`);
+			return;
+		}
+		const contexto = `Vigência ${typeof vigencia.id === 'string' && vigencia.id ? vigencia.id : i + 1}`;
+		camposDesconhecidos(vigencia, CAMPOS_VIGENCIA, contexto, erros);
+		if (typeof vigencia.id !== 'string' || vigencia.id.trim() === '') {
+			erros.push(`${contexto}: id deve ser um texto não vazio.`);
+		} else if (ids.has(vigencia.id)) {
+			erros.push(`${contexto}: id repetido.`);
+		} else {
+			ids.add(vigencia.id);
+		}
+		if (typeof vigencia.vigencia_inicio !== 'string' || !REGEX_VIGENCIA.test(vigencia.vigencia_inicio)) {
+			erros.push(`${contexto}: vigencia_inicio deve estar no formato AAAA-MM.`);
+		} else if (i > 0 && typeof dados.vigencias[i - 1]?.vigencia_inicio === 'string' && vigencia.vigencia_inicio <= dados.vigencias[i - 1].vigencia_inicio) {
+			erros.push(`${contexto}: vigências devem estar em ordem cronológica, sem repetição de vigencia_inicio.`);
+		}
+		if (typeof vigencia.descricao !== 'string' || vigencia.descricao.trim() === '') {
+			erros.push(`${contexto}: descricao deve ser um texto não vazio.`);
+		}
+		validarTabela(vigencia.tabela, contexto, erros);
+		if (!isNumeroNaoNegativo(vigencia.deducao_por_dependente)) {
+			erros.push(`${contexto}: deducao_por_dependente deve ser um número não negativo.`);
+		}
+		if (vigencia.desconto_simplificado_minimo !== null && !isNumeroPositivo(vigencia.desconto_simplificado_minimo)) {
+			erros.push(`${contexto}: desconto_simplificado_minimo deve ser null ou um número positivo.`);
+		}
+		if (!isNumeroNaoNegativo(vigencia.parcela_isenta_65_anos)) {
+			erros.push(`${contexto}: parcela_isenta_65_anos deve ser um número não negativo.`);
+		}
+		if (vigencia.reducao_pl_1087_25 === undefined) {
+			erros.push(`${contexto}: reducao_pl_1087_25 é obrigatório (null quando a vigência não tem a redução).`);
+		} else if (vigencia.reducao_pl_1087_25 !== null) {
+			validarReducao(vigencia.reducao_pl_1087_25, contexto, erros);
+		}
+	});
+	return erros;
+}
+
+/**
+ * Valida o arquivo e o converte nos conjuntos de regras usados pelo motor (última faixa com limite Infinity).
+ * Lança erro com todas as inconsistências quando o arquivo é inválido.
+ * @param {unknown} dados conteúdo do JSON
+ * @param {string} [origem] nome do arquivo, para a mensagem de erro
+ */
+function carregarRegrasIRRF(dados, origem = 'regras-irrf.json') {
+	const erros = validarRegrasIRRF(dados);
+	if (erros.length > 0) {
+		throw new Error(`Arquivo de regras do IRRF inválido (${origem}):\n- ${erros.join('\n- ')}`);
+	}
+	return dados.vigencias.map(vigencia => ({
+		...vigencia,
+		tabela: vigencia.tabela.map(faixa => ({ ...faixa, limite: faixa.limite ?? Infinity })),
+		aplica_reducao_pl_1087_25: vigencia.reducao_pl_1087_25 !== null
+	}));
+}
+
+// Formato do arquivo (limite null na última faixa), para respostas JSON como GET /tabelas
+function serializarRegrasIRRF(regras) {
+	return {
+		...regras,
+		tabela: regras.tabela.map(faixa => ({ ...faixa, limite: faixa.limite === Infinity ? null : faixa.limite }))
+	};
+}
+
+module.exports = { CAMPOS_REDUCAO_PL_1087_25, verificarContinuidadeReducao, validarRegrasIRRF, carregarRegrasIRRF, serializarRegrasIRRF };
@@ -0,0 +1,267 @@
+/**
+ * Tabelas e conjuntos de regras por vigência usados pelo motor de cálculo (IRRF mensal, INSS, PLR e ajuste anual).
+ * Cada registro está em ordem cronológica; a vigência é a competência inicial (AAAA-MM, inclusive).
+ */
+const { carregarRegrasIRRF } = require('./regras');
+
+// Regras do IRRF mensal por vigência (faixas, dedução por dependente, desconto simplificado e PL 1087/25):
+// lidas de regras-irrf.json e validadas no carregamento; arquivo inconsistente lança erro.
+const REGRAS_IRRF = carregarRegrasIRRF(require('./regras-irrf.json'));
+
+// Tabelas de tributação exclusiva da PLR (Participação nos Lucros e Resultados), Lei 10.101/2000.
+// Anuais: aplicam-se à soma das PLR recebidas no ano-calendário. Mesmo formato das tabelas mensais.
+const TABELAS_PLR = [
+	{
+		id: '2015-04',
+		vigencia_inicio: '2015-04',
+		descricao: 'tabela exclusiva PLR 04/2015',
+		tabela: [
+			{ limite: 6677.55, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 9922.28, aliquota: 7.5, deducao: 500.82 },
+			{ limite: 13167.00, aliquota: 15.0, deducao: 1244.99 },
+			{ limite: 16380.38, aliquota: 22.5, deducao: 2232.51 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 3051.53 }
+		]
+	},
+	{
+		id: '2023-05',
+		vigencia_inicio: '2023-05',
+		descricao: 'tabela exclusiva PLR 05/2023',
+		tabela: [
+			{ limite: 7407.11, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 9922.28, aliquota: 7.5, deducao: 555.53 },
+			{ limite: 13167.00, aliquota: 15.0, deducao: 1299.70 },
+			{ limite: 16380.38, aliquota: 22.5, deducao: 2287.23 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 3106.25 }
+		]
+	},
+	{
+		id: '2024-02',
+		vigencia_inicio: '2024-02',
+		descricao: 'tabela exclusiva PLR 02/2024',
+		tabela: [
+			{ limite: 7640.80, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 9922.28, aliquota: 7.5, deducao: 573.06 },
+			{ limite: 13167.00, aliquota: 15.0, deducao: 1317.23 },
+			{ limite: 16380.38, aliquota: 22.5, deducao: 2304.76 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 3123.78 }
+		]
+	},
+	{
+		id: '2025-05',
+		vigencia_inicio: '2025-05',
+		descricao: 'tabela exclusiva PLR 05/2025',
+		tabela: [
+			{ limite: 8214.40, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 9922.28, aliquota: 7.5, deducao: 616.08 },
+			{ limite: 13167.00, aliquota: 15.0, deducao: 1360.25 },
+			{ limite: 16380.38, aliquota: 22.5, deducao: 2347.78 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 3166.80 }
+		]
+	}
+];
+
+// Tabelas progressivas anuais do ajuste anual (DIRPF), por ano-calendário (vigencia_inicio = janeiro do ano).
+// Nos anos com mudança da tabela mensal, a faixa isenta anual soma os limites mensais de cada mês.
+// Desconto simplificado: 20% dos rendimentos tributáveis, limitado a limite_desconto_simplificado.
+const TABELAS_IRPF_ANUAL = [
+	{
+		id: '2016',
+		vigencia_inicio: '2016-01',
+		descricao: 'tabela progressiva anual 2016 a 2022',
+		tabela: [
+			{ limite: 22847.76, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 33919.80, aliquota: 7.5, deducao: 1713.58 },
+			{ limite: 45012.60, aliquota: 15.0, deducao: 4257.57 },
+			{ limite: 55976.16, aliquota: 22.5, deducao: 7633.51 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 10432.32 }
+		],
+		deducao_por_dependente: 2275.08,
+		limite_desconto_simplificado: 16754.34,
+		limite_instrucao_por_pessoa: 3561.50
+	},
+	{
+		id: '2023',
+		vigencia_inicio: '2023-01',
+		descricao: 'tabela progressiva anual 2023',
+		tabela: [
+			{ limite: 24511.92, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 33919.80, aliquota: 7.5, deducao: 1838.39 },
+			{ limite: 45012.60, aliquota: 15.0, deducao: 4382.38 },
+			{ limite: 55976.16, aliquota: 22.5, deducao: 7758.32 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 10557.13 }
+		],
+		deducao_por_dependente: 2275.08,
+		limite_desconto_simplificado: 16754.34,
+		limite_instrucao_por_pessoa: 3561.50
+	},
+	{
+		id: '2024',
+		vigencia_inicio: '2024-01',
+		descricao: 'tabela progressiva anual 2024',
+		tabela: [
+			{ limite: 26963.20, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 33919.80, aliquota: 7.5, deducao: 2022.24 },
+			{ limite: 45012.60, aliquota: 15.0, deducao: 4566.23 },
+			{ limite: 55976.16, aliquota: 22.5, deducao: 7942.17 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 10740.98 }
+		],
+		deducao_por_dependente: 2275.08,
+		limite_desconto_simplificado: 16754.34,
+		limite_instrucao_por_pessoa: 3561.50
+	},
+	{
+		id: '2025',
+		vigencia_inicio: '2025-01',
+		descricao: 'tabela progressiva anual 2025',
+		tabela: [
+			{ limite: 28467.20, aliquota: 0.0, deducao: 0.0 },
+			{ limite: 33919.80, aliquota: 7.5, deducao: 2135.04 },
+			{ limite: 45012.60, aliquota: 15.0, deducao: 4679.03 },
+			{ limite: 55976.16, aliquota: 22.5, deducao: 8054.97 },
+			{ limite: Infinity, aliquota: 27.5, deducao: 10853.78 }
+		],
+		deducao_por_dependente: 2275.08,
+		limite_desconto_simplificado: 16754.34,
+		limite_instrucao_por_pessoa: 3561.50
+	}
+];
+
+const REGEX_COMPETENCIA = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+function isCompetenciaValida(competencia) {
+	return typeof competencia === 'string' && REGEX_COMPETENCIA.test(competencia);
+}
+
+// Retorna o item do registro vigente na competência (YYYY-MM); sem competência, usa o mais recente.
+// Retorna null quando a competência é anterior à primeira vigência cadastrada.
+function obterVigencia(registro, competencia) {
+	if (competencia === undefined) return registro[registro.length - 1];
+	let vigente = null;
+	for (const item of registro) {
+		// Strings YYYY-MM comparam corretamente em ordem lexicográfica
+		if (item.vigencia_inicio <= competencia) vigente = item;
+	}
+	return vigente;
+}
+
+function obterRegras(competencia) {
+	return obterVigencia(REGRAS_IRRF, competencia);
+}
+
+function obterTabelaPLR(competencia) {
+	return obterVigencia(TABELAS_PLR, competencia);
+}
+
+// Tabela anual do ano-calendário (inteiro); sem ano, usa a mais recente.
+function obterTabelaAnual(ano) {
+	return obterVigencia(TABELAS_IRPF_ANUAL, ano === undefined ? undefined : `${ano}-01`);
+}
+
+// Tabelas de contribuição do segurado empregado ao INSS (progressivas desde 03/2020, EC 103/2019).
+// Faixas: limite superior (inclusive) e aliquota (%); o limite da última faixa é o teto do salário de contribuição.
+const TABELAS_INSS = [
+	{
+		id: '2020-03',
+		vigencia_inicio: '2020-03',
+		descricao: 'tabela INSS empregado 03/2020',
+		faixas: [
+			{ limite: 1045.00, aliquota: 7.5 },
+			{ limite: 2089.60, aliquota: 9.0 },
+			{ limite: 3134.40, aliquota: 12.0 },
+			{ limite: 6101.06, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2021-01',
+		vigencia_inicio: '2021-01',
+		descricao: 'tabela INSS empregado 01/2021',
+		faixas: [
+			{ limite: 1100.00, aliquota: 7.5 },
+			{ limite: 2203.48, aliquota: 9.0 },
+			{ limite: 3305.22, aliquota: 12.0 },
+			{ limite: 6433.57, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2022-01',
+		vigencia_inicio: '2022-01',
+		descricao: 'tabela INSS empregado 01/2022',
+		faixas: [
+			{ limite: 1212.00, aliquota: 7.5 },
+			{ limite: 2427.35, aliquota: 9.0 },
+			{ limite: 3641.03, aliquota: 12.0 },
+			{ limite: 7087.22, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2023-01',
+		vigencia_inicio: '2023-01',
+		descricao: 'tabela INSS empregado 01/2023',
+		faixas: [
+			{ limite: 1302.00, aliquota: 7.5 },
+			{ limite: 2571.29, aliquota: 9.0 },
+			{ limite: 3856.94, aliquota: 12.0 },
+			{ limite: 7507.49, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2023-05',
+		vigencia_inicio: '2023-05',
+		descricao: 'tabela INSS empregado 05/2023',
+		faixas: [
+			{ limite: 1320.00, aliquota: 7.5 },
+			{ limite: 2571.29, aliquota: 9.0 },
+			{ limite: 3856.94, aliquota: 12.0 },
+			{ limite: 7507.49, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2024-01',
+		vigencia_inicio: '2024-01',
+		descricao: 'tabela INSS empregado 01/2024',
+		faixas: [
+			{ limite: 1412.00, aliquota: 7.5 },
+			{ limite: 2666.68, aliquota: 9.0 },
+			{ limite: 4000.03, aliquota: 12.0 },
+			{ limite: 7786.02, aliquota: 14.0 }
+		]
+	},
+	{
+		id: '2025-01',
+		vigencia_inicio: '2025-01',
+		descricao: 'tabela INSS empregado 01/2025',
+		faixas: [
+			{ limite: 1518.00, aliquota: 7.5 },
+			{ limite: 2793.88, aliquota: 9.0 },
+			{ limite: 4190.83, aliquota: 12.0 },
+			{ limite: 8157.41, aliquota: 14.0 }
+		]
+	}
+];
+
+function obterTabelaINSS(competencia) {
+	return obterVigencia(TABELAS_INSS, competencia);
+}
+
+function escolherFaixa(base, tabela = obterRegras().tabela) {
+	for (const faixa of tabela) {
+		if (base <= faixa.limite) return faixa;
+	}
+	return tabela[tabela.length - 1];
+}
+
+module.exports = {
+	REGRAS_IRRF,
+	TABELAS_INSS,
+	TABELAS_PLR,
+	TABELAS_IRPF_ANUAL,
+	REGEX_COMPETENCIA,
+	isCompetenciaValida,
+	obterVigencia,
+	obterRegras,
+	obterTabelaINSS,
+	obterTabelaPLR,
+	obterTabelaAnual,
+	escolherFaixa
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularBruto, calcularSalarioLiquido, calcularIRRF } = require('..');
+
+function bruto(dados) {
+	const resultado = calcularBruto(dados);
+	assert.equal(resultado.erro, undefined, resultado.erro);
+	assert.equal(resultado.convergiu, true);
+	return resultado.bruto;
+}
+
+test('gross-up do salário líquido: o holerite do bruto encontrado devolve o líquido pedido', () => {
+	for (const valor_alvo of [1500, 5000, 12345.67]) {
+		const dados = { quantidade_dependentes: 1, competencia: '2025-05' };
+		const salario_bruto = bruto({ tipo_alvo: 'salario_liquido', valor_alvo, ...dados });
+		const holerite = calcularSalarioLiquido({ ...dados, salario_bruto });
+		assert.ok(Math.abs(holerite.salario_liquido - valor_alvo) <= 0.01, `${valor_alvo}: líquido ${holerite.salario_liquido} para bruto ${salario_bruto}`);
+	}
+});
+
+test('gross-up do IRRF: o IRRF do bruto encontrado é o pedido', () => {
+	for (const [valor_alvo, competencia] of [[1000, '2025-05'], [500, '2024-02']]) {
+		const rendimento_tributavel = bruto({ tipo_alvo: 'valor_irrf', valor_alvo, competencia });
+		const resultado = calcularIRRF({ rendimento_tributavel, previdencia_oficial: 0, quantidade_dependentes: 0, competencia });
+		assert.ok(Math.abs((resultado.valor_irrf_apos_pl_1087_25 ?? resultado.valor_irrf) - valor_alvo) <= 0.01);
+	}
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	calcularLote,
+	calcularCurvaIRRF,
+	calcularINSS,
+	calcularSalarioLiquido,
+	calcularFerias,
+	calcularPLR,
+	calcularRRA,
+	calcularAjusteAnual,
+	calcularBruto
+} = require('..');
+
+test('lote: linhas inválidas ficam na própria linha, com erros por campo', () => {
+	const validarEntrada = entrada => Object.keys(entrada)
+		.filter(campo => campo !== campo.trim())
+		.map(campo => ({ campo, codigo: 'campo_desconhecido', mensagem: `Campo desconhecido "${campo}".` }));
+	const { linhas, totais } = calcularLote([
+		{ id_funcionario: '1', rendimento_tributavel: 5000, previdencia_oficial: 500, quantidade_dependentes: 0 },
+		{ id_funcionario: '2', rendimento_tributavel: 5000, previdencia_oficial: 500, quantidade_dependentes: 0, 'pensao_alimenticia ': 800 },
+		{ rendimento_tributavel: 5000, previdencia_oficial: 500, quantidade_dependentes: 0 },
+		{ id_funcionario: '4', rendimento_tributavel: 5000, previdencia_oficial: 500, quantidade_dependentes: -1 },
+		'linha'
+	], { validarEntrada });
+
+	assert.deepEqual(linhas.map(l => l.status), ['ok', 'erro', 'erro', 'erro', 'erro']);
+	assert.deepEqual(linhas[1].erros, [{ campo: 'pensao_alimenticia ', codigo: 'campo_desconhecido', mensagem: 'Campo desconhecido "pensao_alimenticia ".' }]);
+	assert.deepEqual(linhas[2].erros.map(e => [e.campo, e.codigo]), [['id_funcionario', 'obrigatorio']]);
+	assert.deepEqual(linhas[3].erros.map(e => [e.campo, e.codigo]), [['quantidade_dependentes', 'valor_invalido']]);
+	assert.deepEqual(linhas[4].erros.map(e => e.campo), [null]);
+	// erro resume as mensagens (coluna erro do CSV)
+	for (const linha of linhas.slice(1)) assert.equal(linha.erro, linha.erros.map(e => e.mensagem).join(' '));
+	assert.equal(totais.total_calculadas, 1);
+	assert.equal(totais.total_erros, 4);
+});
+
+test('curva: campos desconhecidos e parâmetros inválidos indicam o campo', () => {
+	assert.deepEqual(
+		[calcularCurvaIRRF({ foo: 1 }).campo, calcularCurvaIRRF({ foo: 1 }).codigo],
+		['foo', 'campo_desconhecido']
+	);
+	assert.equal(calcularCurvaIRRF({ passo: 0 }).campo, 'passo');
+	assert.equal(calcularCurvaIRRF({ rendimento_tributavel: 5000 }).campo, 'rendimento_tributavel');
+	assert.equal(calcularCurvaIRRF({ rendimento_final: 1000, quantidade_dependentes: -1 }).campo, 'quantidade_dependentes');
+});
+
+test('demais calculadoras: o erro indica o campo rejeitado', () => {
+	const casos = [
+		[calcularINSS({ salario_bruto: -1 }), 'salario_bruto'],
+		[calcularINSS({ salario_bruto: 3000, competencia: '2025-13' }), 'competencia'],
+		[calcularSalarioLiquido({ salario_bruto: 3000, vale_transporte: 'sim' }), 'vale_transporte'],
+		[calcularSalarioLiquido({ salario_bruto: 3000, quantidade_dependentes: 1.5 }), 'quantidade_dependentes'],
+		[calcularFerias({ salario: 3000, dias_ferias: 20, dias_abono: 11 }), 'dias_abono'],
+		[calcularPLR({ valor_plr: 10000, pagamentos_anteriores: [{ valor: 1000 }] }), 'pagamentos_anteriores[0].irrf_retido'],
+		[calcularRRA({ valor_total: 50000, numero_meses: 0 }), 'numero_meses'],
+		[calcularAjusteAnual({ ano_calendario: 2025, meses: [{ mes: 1, rendimento_tributavel: 5000 }, { mes: 1, rendimento_tributavel: 5000 }] }), 'meses[1].mes'],
+		[calcularAjusteAnual({ ano_calendario: 2025, meses: [{ mes: 1, rendimento_tributavel: 5000, quantidade_dependentes: -1 }] }), 'meses[0].quantidade_dependentes'],
+		[calcularBruto({ valor_alvo: 5000, salario_bruto: 6000 }), 'salario_bruto'],
+		[calcularBruto({ tipo_alvo: 'valor_irrf', valor_alvo: 1e12 }), 'valor_alvo']
+	];
+	for (const [resultado, campo] of casos) assert.equal(resultado.campo, campo, resultado.erro);
+});
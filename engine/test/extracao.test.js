@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularIRRF } = require('..');
+const casos = require('./fixtures/calcular-irrf-antes-da-extracao.json');
+
+// Respostas de POST /calcular-irrf gravadas com o app.js anterior à extração do motor: a resposta de calcularIRRF
+// deve continuar a mesma. Campos e etapas acrescentados depois (ex.: comparativo_deducoes) são aceitos; nada do
+// que existia pode mudar ou sumir.
+function conter(atual, esperado, caminho) {
+	if (esperado === null || typeof esperado !== 'object') {
+		assert.equal(atual, esperado, caminho);
+		return;
+	}
+	assert.equal(typeof atual, 'object', caminho);
+	assert.notEqual(atual, null, caminho);
+	if (Array.isArray(esperado)) {
+		assert.ok(Array.isArray(atual) && atual.length >= esperado.length, `${caminho}: ${esperado.length} item(ns) esperado(s)`);
+	}
+	for (const [chave, valor] of Object.entries(esperado)) {
+		assert.ok(Object.hasOwn(atual, chave), `${caminho}.${chave} ausente`);
+		conter(atual[chave], valor, `${caminho}.${chave}`);
+	}
+}
+
+// Desde o arquivo de regras, vigências sem a redução informam limite_superior null na etapa da PL 1087/25 (antes, 7350 fixo)
+function ajustarVigenciaSemReducao(resposta) {
+	if (!resposta.mensagem?.includes('não se aplica à competência')) return resposta;
+	const copia = structuredClone(resposta);
+	for (const etapa of copia.memoria_calculo.etapas) {
+		if (etapa.valores.limite_superior !== undefined) etapa.valores.limite_superior = null;
+	}
+	return copia;
+}
+
+// A mensagem acima da janela da redução citava a PL 1085/25; o número correto do projeto é 1087/25
+function corrigirNumeroDoProjeto(resposta) {
+	if (!resposta.mensagem?.includes('PL 1085/25')) return resposta;
+	return { ...resposta, mensagem: resposta.mensagem.replace('PL 1085/25', 'PL 1087/25') };
+}
+
+for (const { entrada, resposta } of casos) {
+	test(`calcularIRRF mantém a resposta anterior à extração: ${JSON.stringify(entrada)}`, () => {
+		conter(calcularIRRF(entrada), corrigirNumeroDoProjeto(ajustarVigenciaSemReducao(resposta)), 'resposta');
+	});
+}
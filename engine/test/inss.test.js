@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularINSS } = require('..');
+
+function inss(salario_bruto, competencia) {
+	const resultado = calcularINSS({ salario_bruto, competencia });
+	assert.equal(resultado.erro, undefined, resultado.erro);
+	return resultado;
+}
+
+test('contribuição máxima publicada no teto', () => {
+	assert.equal(inss(6101.06, '2020-03').valor_inss, 713.10);
+	assert.equal(inss(6433.57, '2021-01').valor_inss, 751.99);
+	assert.equal(inss(8157.41, '2025-01').valor_inss, 951.63);
+});
+
+test('acima do teto a contribuição não cresce', () => {
+	const resultado = inss(20000, '2025-01');
+	assert.equal(resultado.teto_atingido, true);
+	assert.equal(resultado.valor_inss, 951.63);
+});
+
+test('salário mínimo: somente a primeira faixa (7,5%)', () => {
+	assert.equal(inss(1518, '2025-01').valor_inss, 113.85);
+	assert.equal(inss(1412, '2024-01').valor_inss, 105.90);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularIRRF } = require('..');
+
+function irrf(rendimento_tributavel, dados = {}) {
+	const resultado = calcularIRRF({
+		rendimento_tributavel,
+		previdencia_oficial: 0,
+		quantidade_dependentes: 0,
+		competencia: '2025-05',
+		modo_deducao: 'legal',
+		...dados
+	}, { incluirMemoria: false });
+	assert.equal(resultado.erro, undefined, resultado.erro);
+	return resultado;
+}
+
+// Diferença da redução entre dois rendimentos vizinhos: nunca mais que um centavo
+function assertSemSalto(antes, depois, dados) {
+	const a = irrf(antes, dados).reducao_pl_1087_25 ?? 0;
+	const b = irrf(depois, dados).reducao_pl_1087_25 ?? 0;
+	assert.ok(Math.abs(a - b) <= 0.01, `redução salta entre ${antes} e ${depois}: ${a} -> ${b}`);
+}
+
+test('parâmetros oficiais: sem salto de IRRF nas bordas da janela', () => {
+	for (const [antes, depois] of [[5000, 5000.01], [7349.99, 7350], [7350, 7350.01]]) assertSemSalto(antes, depois);
+});
+
+test('limites alterados recalculam valor e fator e mantêm a redução contínua', () => {
+	const parametros_reducao_pl_1087_25 = { limite_reducao_integral: 6500 };
+	const { valor, fator, reducao_maxima, limite_reducao } = irrf(6500, { parametros_reducao_pl_1087_25 }).parametros_reducao_pl_1087_25;
+	assert.ok(Math.abs(valor - fator * 6500 - reducao_maxima) <= 0.01);
+	assert.ok(Math.abs(valor - fator * limite_reducao) <= 0.01);
+	for (const [antes, depois] of [[6500, 6500.01], [7349.99, 7350]]) assertSemSalto(antes, depois, { parametros_reducao_pl_1087_25 });
+});
+
+test('valor e fator incoerentes são rejeitados; os oficiais informados são aceitos', () => {
+	const resultado = calcularIRRF({
+		rendimento_tributavel: 6000,
+		previdencia_oficial: 0,
+		quantidade_dependentes: 0,
+		competencia: '2025-05',
+		parametros_reducao_pl_1087_25: { limite_reducao_integral: 6500, fator: 0.2 }
+	});
+	assert.match(resultado.erro, /valor - fator/);
+	assert.equal(resultado.campo, 'parametros_reducao_pl_1087_25.fator');
+	const oficiais = { limite_reducao_integral: 5000, reducao_maxima: 312.89, limite_reducao: 7350, valor: 978.62, fator: 0.133145 };
+	assert.equal(irrf(5000, { parametros_reducao_pl_1087_25: oficiais }).valor_irrf_apos_pl_1087_25, 153.38);
+});
+
+test('valor e fator recalculados saem arredondados (centavos e 6 casas) e ainda contínuos', () => {
+	const parametros = irrf(6000, { parametros_reducao_pl_1087_25: { limite_reducao_integral: 5500 } }).parametros_reducao_pl_1087_25;
+	assert.equal(parametros.valor, 1243.11);
+	assert.equal(parametros.fator, 0.16913);
+	assert.ok(Math.abs(parametros.valor - parametros.fator * 5500 - parametros.reducao_maxima) <= 0.01);
+	assert.ok(Math.abs(parametros.valor - parametros.fator * parametros.limite_reducao) <= 0.01);
+	// Janela larga: o fator ganha casas para o par arredondado continuar coerente
+	const larga = irrf(6000, { parametros_reducao_pl_1087_25: { limite_reducao: 200000, reducao_maxima: 5000.37 } }).parametros_reducao_pl_1087_25;
+	assert.ok(Math.abs(larga.valor - larga.fator * larga.limite_reducao_integral - larga.reducao_maxima) <= 0.01);
+	assert.ok(Math.abs(larga.valor - larga.fator * larga.limite_reducao) <= 0.01);
+});
+
+test('memória: toda etapa que usa os parâmetros hipotéticos é marcada, em qualquer posição', () => {
+	const { memoria_calculo } = calcularIRRF({
+		rendimento_tributavel: 6000,
+		previdencia_oficial: 0,
+		quantidade_dependentes: 0,
+		aposentado_65_anos: true,
+		previdencia_complementar: 300,
+		parametros_reducao_pl_1087_25: { limite_reducao_integral: 5500 }
+	});
+	const marcadas = memoria_calculo.etapas.filter(etapa => etapa.cenario_hipotetico).map(etapa => etapa.titulo);
+	assert.deepEqual(marcadas, [
+		'Redução PL 1087/25 (cenário hipotético)',
+		'Redução aplicada ao imposto',
+		'IRRF após PL 1087/25',
+		'Comparativo: deduções legais x desconto simplificado'
+	]);
+	assert.deepEqual(memoria_calculo.etapas.map(etapa => etapa.ordem), memoria_calculo.etapas.map((_, i) => i + 1));
+	const oficial = calcularIRRF({ rendimento_tributavel: 6000, previdencia_oficial: 0, quantidade_dependentes: 0 });
+	assert.ok(oficial.memoria_calculo.etapas.every(etapa => etapa.cenario_hipotetico === undefined));
+});
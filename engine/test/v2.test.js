@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularIRRFV2 } = require('..');
+
+const CHAVES_V2 = [
+	'versao', 'competencia', 'tabela_irrf', 'tipo_rendimento', 'rendimento_tributavel', 'previdencia_oficial', 'quantidade_dependentes',
+	'pensao_alimenticia', 'valor_deducoes_dependentes', 'previdencia_complementar', 'previdencia_complementar_dedutivel', 'parcela_isenta_65_anos',
+	'isencao_molestia_grave', 'rendimento_tributavel_liquido', 'deducao', 'base_liquida_irrf', 'aliquota_irrf', 'deducao_conforme_tabela',
+	'valor_irrf', 'reducao_pl_1087_25', 'valor_irrf_apos_pl_1087_25', 'irrf_a_reter', 'comparativo_deducoes', 'decimo_terceiro', 'inss',
+	'pagamentos_mes', 'memoria_calculo'
+];
+
+test('v2: todas as chaves em toda resposta, sem undefined', () => {
+	const base = { rendimento_tributavel: 5000, previdencia_oficial: 500, quantidade_dependentes: 1 };
+	const entradas = [
+		base,
+		{ ...base, competencia: '2024-02' },
+		{ ...base, rendimento_tributavel: 20000 },
+		{ ...base, tipo_rendimento: '13_salario', primeira_parcela: 2500 },
+		{ ...base, tipo_rendimento: 'ferias' },
+		{ salario_bruto: 6000, quantidade_dependentes: 0 },
+		{ ...base, pagamentos_anteriores: [{ rendimento_tributavel: 2000, irrf_retido: 0 }] },
+		{ ...base, aposentado_65_anos: true, previdencia_complementar: 300 },
+		{ ...base, parametros_reducao_pl_1087_25: { limite_reducao_integral: 5500 } }
+	];
+	for (const entrada of entradas) {
+		const resposta = calcularIRRFV2(entrada);
+		assert.equal(resposta.erro, undefined, resposta.erro);
+		assert.deepEqual(Object.keys(resposta).sort(), [...CHAVES_V2].sort(), JSON.stringify(entrada));
+		for (const [chave, valor] of Object.entries(resposta)) {
+			assert.notEqual(valor, undefined, `${chave} undefined em ${JSON.stringify(entrada)}`);
+		}
+	}
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularIRRF } = require('..');
+
+// IRRF mensal sem dependentes nem previdência, em um modo de dedução fixo
+function irrf(rendimento_tributavel, competencia, dados = {}) {
+	const resultado = calcularIRRF({
+		rendimento_tributavel,
+		previdencia_oficial: 0,
+		quantidade_dependentes: 0,
+		competencia,
+		modo_deducao: 'legal',
+		...dados
+	}, { incluirMemoria: false });
+	assert.equal(resultado.erro, undefined, resultado.erro);
+	return resultado;
+}
+
+test('tabelas publicadas: R$ 5.000,00 sem deduções em cada vigência', () => {
+	// rendimento * 27,5% - parcela a deduzir da última faixa de cada tabela oficial
+	assert.equal(irrf(5000, '2015-04').valor_irrf, 505.64);
+	assert.equal(irrf(5000, '2023-05').valor_irrf, 490.04);
+	assert.equal(irrf(5000, '2024-02').valor_irrf, 479.00);
+	assert.equal(irrf(5000, '2025-05').valor_irrf, 466.27);
+});
+
+test('tabelas publicadas: limite de isenção e dedução por dependente', () => {
+	assert.equal(irrf(1903.98, '2015-04').valor_irrf, 0);
+	assert.equal(irrf(2112.00, '2023-05').valor_irrf, 0);
+	assert.equal(irrf(2259.20, '2024-02').valor_irrf, 0);
+	assert.equal(irrf(2428.80, '2025-05').valor_irrf, 0);
+	// Dois salários mínimos isentos pelo desconto simplificado (2 x 1.412,00 e 2 x 1.518,00)
+	assert.equal(irrf(2824, '2024-02', { modo_deducao: 'automatico' }).valor_irrf, 0);
+	assert.equal(irrf(3036, '2025-05', { modo_deducao: 'automatico' }).valor_irrf, 0);
+	const comDependente = irrf(5000, '2025-05', { quantidade_dependentes: 1 });
+	assert.equal(comDependente.valor_deducoes_dependentes, 189.59);
+	assert.equal(comDependente.base_liquida_irrf, 4810.41);
+});
+
+test('PL 1087/25: redução integral até R$ 5.000,00 e nula a partir de R$ 7.350,00', () => {
+	const integral = irrf(5000, '2025-05');
+	assert.equal(integral.reducao_pl_1087_25, 312.89);
+	assert.equal(integral.valor_irrf_apos_pl_1087_25, 153.38);
+	// Com o desconto simplificado, o IRRF de R$ 5.000,00 é exatamente a redução máxima: isento
+	assert.equal(irrf(5000, '2025-05', { modo_deducao: 'automatico' }).valor_irrf_apos_pl_1087_25, 0);
+	const fim = irrf(7350, '2025-05');
+	assert.equal(fim.reducao_pl_1087_25, 0);
+	assert.equal(fim.valor_irrf_apos_pl_1087_25, 1112.52);
+});
+
+test('PL 1087/25: não se aplica antes de 05/2025', () => {
+	assert.equal(irrf(5000, '2024-02').reducao_pl_1087_25 ?? 0, 0);
+	assert.equal(irrf(5000, '2023-05').reducao_pl_1087_25 ?? 0, 0);
+});
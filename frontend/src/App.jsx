@@ -1,4 +1,5 @@
-import { useMemo, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { calcularIRRF, calcularSalarioLiquido, calcularAjusteAnual, calcularCurvaIRRF, obterRegras, serializarRegrasIRRF, isCompetenciaValida, MODOS_DEDUCAO, TABELAS_IRPF_ANUAL } from 'irrf-engine'
 import './App.css'
 
 const ENV_BASE = (import.meta.env.VITE_API_BASE_URL || '').trim()
@@ -7,35 +8,385 @@ const DEFAULT_PROD_BASE = 'https://calculadora-irrf.onrender.com'
 const API_BASE = ENV_BASE !== ''
   ? ENV_BASE
   : (import.meta.env.DEV ? DEFAULT_DEV_BASE : DEFAULT_PROD_BASE)
+// Chave de API (opcional): exigida quando a API é publicada com CHAVES_API
+const ENV_API_KEY = (import.meta.env.VITE_API_KEY || '').trim()
+const API_HEADERS = ENV_API_KEY !== '' ? { 'X-API-Key': ENV_API_KEY } : {}
+
+// Vigência mais recente do motor local (mesmo regras-irrf.json da API): exibida até GET /tabelas responder
+// ou quando a API estiver fora do ar
+const REGRAS_VIGENTES = serializarRegrasIRRF(obterRegras())
+
+function vigenciaLabel(regras) {
+  return regras.vigencia_inicio.split('-').reverse().join('/')
+}
+
+const ENDPOINTS = {
+  irrf: '/calcular-irrf',
+  salario: '/calcular-salario-liquido',
+  anual: '/calcular-ajuste-anual'
+}
+
+// Anos-calendário com tabela anual cadastrada (do primeiro ao mais recente)
+const PRIMEIRO_ANO = Number(TABELAS_IRPF_ANUAL[0].id)
+const ULTIMO_ANO = Number(TABELAS_IRPF_ANUAL[TABELAS_IRPF_ANUAL.length - 1].id)
+const ANOS_CALENDARIO = Array.from({ length: ULTIMO_ANO - PRIMEIRO_ANO + 1 }, (_, i) => ULTIMO_ANO - i)
+const NOMES_MESES = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez']
+
+const EMPTY_ANUAL_FORM = {
+  ano_calendario: String(ULTIMO_ANO),
+  quantidade_dependentes: '0',
+  despesas_medicas: '',
+  despesas_instrucao: '',
+  meses: NOMES_MESES.map(() => ({ rendimento_tributavel: '', previdencia_oficial: '', pensao_alimenticia: '', irrf_retido: '' }))
+}
+
+const EMPTY_IRRF_FORM = {
+  rendimento_tributavel: '',
+  previdencia_oficial: '0',
+  quantidade_dependentes: '0',
+  pensao_alimenticia: '',
+  competencia: '',
+  modo_deducao: 'automatico',
+  previdencia_complementar: '',
+  aposentado_65_anos: false,
+  molestia_grave: false
+}
+
+const EMPTY_SALARIO_FORM = {
+  salario_bruto: '',
+  outros_proventos: '',
+  quantidade_dependentes: '0',
+  pensao_alimenticia: '',
+  plano_saude: '',
+  vale_transporte: false,
+  adiantamento: '',
+  outros_descontos: ''
+}
+
+// Permalink: campos de cada modo que vão para a URL (somente quando diferentes do formulário vazio)
+const URL_FIELDS = {
+  irrf: {
+    rendimento_tributavel: 'money',
+    previdencia_oficial: 'money',
+    quantidade_dependentes: 'int',
+    pensao_alimenticia: 'money',
+    competencia: 'competencia',
+    modo_deducao: 'modo_deducao',
+    previdencia_complementar: 'money',
+    aposentado_65_anos: 'bool',
+    molestia_grave: 'bool'
+  },
+  salario: {
+    salario_bruto: 'money',
+    outros_proventos: 'money',
+    quantidade_dependentes: 'int',
+    pensao_alimenticia: 'money',
+    plano_saude: 'money',
+    vale_transporte: 'bool',
+    adiantamento: 'money',
+    outros_descontos: 'money'
+  },
+  anual: {
+    ano_calendario: 'ano',
+    quantidade_dependentes: 'int',
+    despesas_medicas: 'money',
+    despesas_instrucao: 'money'
+  }
+}
+const EMPTY_FORMS = { irrf: EMPTY_IRRF_FORM, salario: EMPTY_SALARIO_FORM, anual: EMPTY_ANUAL_FORM }
+// Grade do ajuste anual: mes_1=rendimento;previdencia;pensao;irrf_retido (vazios permitidos)
+const URL_MES_COLUNAS = ['rendimento_tributavel', 'previdencia_oficial', 'pensao_alimenticia', 'irrf_retido']
+const URL_MAX_VALOR = 1000000000
+const URL_MAX_DEPENDENTES = 99
+
+// Converte um parâmetro da URL no valor do formulário ou devolve a mensagem de erro do campo
+function parseUrlValue(type, raw) {
+  const text = raw.trim()
+  if (type === 'money') {
+    const normalized = text.replace(',', '.')
+    if (!/^\d+(\.\d{1,2})?$/.test(normalized)) return { error: 'Valor inválido: use um número com até 2 casas decimais.' }
+    if (Number(normalized) > URL_MAX_VALOR) return { error: 'Valor fora do intervalo permitido.' }
+    return { value: normalized }
+  }
+  if (type === 'int') {
+    if (!/^\d+$/.test(text) || Number(text) > URL_MAX_DEPENDENTES) return { error: `Informe um número inteiro entre 0 e ${URL_MAX_DEPENDENTES}.` }
+    return { value: String(Number(text)) }
+  }
+  if (type === 'bool') {
+    if (['true', '1'].includes(text)) return { value: true }
+    if (['false', '0'].includes(text)) return { value: false }
+    return { error: 'Use true ou false.' }
+  }
+  if (type === 'competencia') {
+    if (!isCompetenciaValida(text) || !obterRegras(text)) return { error: 'Competência inválida ou sem tabela cadastrada (use AAAA-MM).' }
+    return { value: text }
+  }
+  if (type === 'modo_deducao') {
+    if (!MODOS_DEDUCAO[text]) return { error: 'Modo de dedução inválido.' }
+    return { value: text }
+  }
+  if (!ANOS_CALENDARIO.includes(Number(text))) return { error: 'Ano-calendário sem tabela cadastrada.' }
+  return { value: text }
+}
+
+// Lê modo e formulário da URL; parâmetros inválidos ficam de fora do formulário e geram erro no campo
+function parseUrlState(search) {
+  const params = new URLSearchParams(search)
+  const fieldErrors = {}
+  let mode = params.get('modo') ?? 'irrf'
+  if (!URL_FIELDS[mode]) {
+    fieldErrors.modo = 'Tipo de cálculo inválido.'
+    mode = 'irrf'
+  }
+  const values = {}
+  for (const [name, type] of Object.entries(URL_FIELDS[mode])) {
+    if (!params.has(name)) continue
+    const parsed = parseUrlValue(type, params.get(name))
+    if (parsed.error) fieldErrors[name] = parsed.error
+    else values[name] = parsed.value
+  }
+  if (mode === 'anual') {
+    values.meses = EMPTY_ANUAL_FORM.meses.map((vazio, i) => {
+      const name = `mes_${i + 1}`
+      if (!params.has(name)) return vazio
+      const partes = params.get(name).split(';')
+      const parsed = URL_MES_COLUNAS.map((c, j) => ((partes[j] ?? '').trim() === '' ? { value: '' } : parseUrlValue('money', partes[j])))
+      const invalido = parsed.find(p => p.error)
+      if (partes.length > URL_MES_COLUNAS.length || invalido) {
+        fieldErrors[name] = invalido?.error ?? 'Informe rendimento;previdência;pensão;IRRF retido.'
+        return vazio
+      }
+      return Object.fromEntries(URL_MES_COLUNAS.map((c, j) => [c, parsed[j].value]))
+    })
+  }
+  const hasParams = [...params.keys()].some(k => k === 'modo' || URL_FIELDS[mode][k] || /^mes_\d+$/.test(k))
+  return { mode, values, fieldErrors, hasParams }
+}
+
+function buildUrlQuery(mode, formState) {
+  const params = new URLSearchParams()
+  if (mode !== 'irrf') params.set('modo', mode)
+  for (const name of Object.keys(URL_FIELDS[mode])) {
+    if (formState[name] !== EMPTY_FORMS[mode][name]) params.set(name, String(formState[name]))
+  }
+  if (mode === 'anual') {
+    formState.meses.forEach((m, i) => {
+      const valores = URL_MES_COLUNAS.map(c => m[c])
+      if (valores.some(v => v !== '')) params.set(`mes_${i + 1}`, valores.join(';'))
+    })
+  }
+  return params.toString()
+}
+
+// Rótulos dos parâmetros sem campo próprio no formulário, exibidos no alerta
+function urlErrorSummary(fieldErrors) {
+  return Object.entries(fieldErrors)
+    .filter(([name]) => name === 'modo' || name.startsWith('mes_'))
+    .map(([name, message]) => (name === 'modo' ? `modo: ${message}` : `${NOMES_MESES[Number(name.slice(4)) - 1] ?? name}: ${message}`))
+}
+
+// Erros por campo de uma resposta 400 ({ erros: [{ campo, codigo, mensagem }] }): primeira mensagem de cada campo
+function apiFieldErrors(erros) {
+  const porCampo = {}
+  for (const { campo, mensagem } of erros ?? []) {
+    if (campo && !(campo in porCampo)) porCampo[campo] = mensagem
+  }
+  return porCampo
+}
+
+function FieldError({ message }) {
+  if (!message) return null
+  return <span className="field-error" role="alert">{message}</span>
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Campos monetários opcionais: vazio equivale a 0
+function optionalNumber(value) {
+  return value === '' ? 0 : Number(value)
+}
+
+// Parâmetros da PL 1087/25 editados no card (what-if); vazio = regras oficiais
+function buildReducaoHipotetica(overrides) {
+  const entries = Object.entries(overrides)
+  return entries.length > 0
+    ? Object.fromEntries(entries.map(([key, value]) => [key, value === '' ? NaN : Number(value)]))
+    : null
+}
+
+function buildPayload(mode, form, salarioForm, anualForm, reducaoOverrides = {}) {
+  if (mode === 'anual') {
+    // Meses sem rendimento ficam de fora; IRRF retido vazio é calculado pela API
+    return {
+      ano_calendario: Number(anualForm.ano_calendario),
+      quantidade_dependentes: Number(anualForm.quantidade_dependentes),
+      despesas_medicas: optionalNumber(anualForm.despesas_medicas),
+      despesas_instrucao: optionalNumber(anualForm.despesas_instrucao),
+      meses: anualForm.meses
+        .map((m, i) => ({ ...m, mes: i + 1 }))
+        .filter(m => m.rendimento_tributavel !== '')
+        .map(m => ({
+          mes: m.mes,
+          rendimento_tributavel: Number(m.rendimento_tributavel),
+          previdencia_oficial: optionalNumber(m.previdencia_oficial),
+          pensao_alimenticia: optionalNumber(m.pensao_alimenticia),
+          ...(m.irrf_retido !== '' ? { irrf_retido: Number(m.irrf_retido) } : {})
+        }))
+    }
+  }
+  if (mode === 'salario') {
+    return {
+      salario_bruto: Number(salarioForm.salario_bruto),
+      outros_proventos: optionalNumber(salarioForm.outros_proventos),
+      quantidade_dependentes: Number(salarioForm.quantidade_dependentes),
+      pensao_alimenticia: optionalNumber(salarioForm.pensao_alimenticia),
+      plano_saude: optionalNumber(salarioForm.plano_saude),
+      vale_transporte: salarioForm.vale_transporte,
+      adiantamento: optionalNumber(salarioForm.adiantamento),
+      outros_descontos: optionalNumber(salarioForm.outros_descontos)
+    }
+  }
+  const reducaoHipotetica = buildReducaoHipotetica(reducaoOverrides)
+  return {
+    rendimento_tributavel: Number(form.rendimento_tributavel),
+    previdencia_oficial: Number(form.previdencia_oficial),
+    quantidade_dependentes: Number(form.quantidade_dependentes),
+    pensao_alimenticia: optionalNumber(form.pensao_alimenticia),
+    ...(form.competencia !== '' ? { competencia: form.competencia } : {}),
+    modo_deducao: form.modo_deducao,
+    previdencia_complementar: optionalNumber(form.previdencia_complementar),
+    aposentado_65_anos: form.aposentado_65_anos,
+    molestia_grave: form.molestia_grave,
+    ...(reducaoHipotetica ? { parametros_reducao_pl_1087_25: reducaoHipotetica } : {})
+  }
+}
 
 function App() {
   const rendimentoRef = useRef(null)
-  const [form, setForm] = useState({
-    rendimento_tributavel: '',
-    previdencia_oficial: '0',
-    quantidade_dependentes: '0',
-    pensao_alimenticia: ''
-  })
+  const formRef = useRef(null)
+  // Estado inicial vindo do permalink (lido uma única vez)
+  const [urlState] = useState(() => parseUrlState(window.location.search))
+  const [mode, setMode] = useState(urlState.mode) // 'irrf' | 'salario' | 'anual'
+  const [form, setForm] = useState(() => ({ ...EMPTY_IRRF_FORM, ...(urlState.mode === 'irrf' ? urlState.values : {}) }))
+  const [salarioForm, setSalarioForm] = useState(() => ({ ...EMPTY_SALARIO_FORM, ...(urlState.mode === 'salario' ? urlState.values : {}) }))
+  const [anualForm, setAnualForm] = useState(() => ({ ...EMPTY_ANUAL_FORM, ...(urlState.mode === 'anual' ? urlState.values : {}) }))
+  const [fieldErrors, setFieldErrors] = useState(urlState.fieldErrors)
+  const [linkCopied, setLinkCopied] = useState(false)
   const [loading, setLoading] = useState(false)
-  const [error, setError] = useState('')
+  const [error, setError] = useState(() => {
+    const summary = urlErrorSummary(urlState.fieldErrors)
+    return summary.length > 0 ? `Parâmetros inválidos no link: ${summary.join('; ')}.` : ''
+  })
   const [result, setResult] = useState(null)
+  const [regrasVigentes, setRegrasVigentes] = useState(REGRAS_VIGENTES)
+  const [reducaoOverrides, setReducaoOverrides] = useState({})
   const [showMemoria, setShowMemoria] = useState(false)
+  // Payload que gerou o resultado exibido: o PDF reflete o cálculo na tela, não edições posteriores do formulário
+  const [resultPayload, setResultPayload] = useState(null)
+  const [pdfLoading, setPdfLoading] = useState(false)
+  const [historicoMemoria, setHistoricoMemoria] = useState(null)
+
+  // Mesma validação da API: o motor compartilhado devolve { erro, campo? } para entradas inválidas
+  const validationError = useMemo(() => {
+    const payload = buildPayload(mode, form, salarioForm, anualForm, reducaoOverrides)
+    let resultado
+    if (mode === 'anual') {
+      resultado = calcularAjusteAnual(payload)
+    } else if (mode === 'salario') {
+      if (salarioForm.salario_bruto === '') return { erro: 'Informe o salário bruto.', campo: 'salario_bruto' }
+      resultado = calcularSalarioLiquido(payload)
+    } else {
+      resultado = calcularIRRF(payload, { incluirMemoria: false })
+    }
+    return resultado.erro ? resultado : null
+  }, [form, salarioForm, anualForm, mode, reducaoOverrides])
+
+  // Parâmetros hipotéticos da PL 1087/25 como o motor os aplica (valor e fator recalculados) ou o erro, exibidos no próprio card
+  const reducaoHipotetica = useMemo(() => {
+    const parametros = buildReducaoHipotetica(reducaoOverrides)
+    if (!parametros) return { erro: '', efetiva: null }
+    const teste = calcularIRRF({
+      rendimento_tributavel: 0,
+      previdencia_oficial: 0,
+      quantidade_dependentes: 0,
+      ...(isCompetenciaValida(form.competencia) ? { competencia: form.competencia } : {}),
+      parametros_reducao_pl_1087_25: parametros
+    }, { incluirMemoria: false })
+    if (teste.erro) return { erro: teste.erro.includes('parametros_reducao_pl_1087_25') ? teste.erro : '', efetiva: null }
+    return { erro: '', efetiva: teste.parametros_reducao_pl_1087_25 }
+  }, [reducaoOverrides, form.competencia])
 
-  const isValid = useMemo(() => {
-    const rt = Number(form.rendimento_tributavel)
-    const po = Number(form.previdencia_oficial)
-    const qd = Number(form.quantidade_dependentes)
-    const pa = form.pensao_alimenticia === '' ? 0 : Number(form.pensao_alimenticia)
-    return (
-      Number.isFinite(rt) && rt >= 0 &&
-      Number.isFinite(po) && po >= 0 &&
-      Number.isInteger(qd) && qd >= 0 &&
-      Number.isFinite(pa) && pa >= 0
-    )
-  }, [form])
+  // Mantém a URL em sincronia com o formulário (permalink sempre atual)
+  useEffect(() => {
+    const formState = { irrf: form, salario: salarioForm, anual: anualForm }[mode]
+    const query = buildUrlQuery(mode, formState)
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`)
+  }, [mode, form, salarioForm, anualForm])
+
+  // Tabela e card da PL 1087/25 a partir de GET /tabelas; sem API, permanece a vigência do motor local
+  useEffect(() => {
+    let cancelled = false
+    fetchApiJson('/tabelas')
+      .then(data => {
+        const vigente = data.vigencias.find(v => v.id === data.vigente)
+        if (!cancelled && vigente) setRegrasVigentes(vigente)
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [])
+
+  // Link com parâmetros válidos: calcula automaticamente ao abrir
+  useEffect(() => {
+    if (urlState.hasParams && Object.keys(urlState.fieldErrors).length === 0) {
+      formRef.current?.requestSubmit()
+    }
+  }, [urlState])
+
+  function clearFieldError(name) {
+    setFieldErrors(prev => {
+      if (!(name in prev)) return prev
+      const { [name]: _removed, ...rest } = prev
+      return rest
+    })
+  }
 
   function updateField(name, value) {
     setForm(prev => ({ ...prev, [name]: value }))
+    clearFieldError(name)
+  }
+
+  function updateSalarioField(name, value) {
+    setSalarioForm(prev => ({ ...prev, [name]: value }))
+    clearFieldError(name)
+  }
+
+  function updateAnualField(name, value) {
+    setAnualForm(prev => ({ ...prev, [name]: value }))
+    clearFieldError(name)
+  }
+
+  function updateAnualMes(index, name, value) {
+    clearFieldError(`mes_${index + 1}`)
+    setAnualForm(prev => ({
+      ...prev,
+      meses: prev.meses.map((m, i) => (i === index ? { ...m, [name]: value } : m))
+    }))
+  }
+
+  function changeMode(next) {
+    if (next === mode) return
+    setMode(next)
+    setResult(null)
+    setError('')
+    setFieldErrors({})
+    setShowMemoria(false)
   }
 
   function handleNumberKeyDown(e) {
@@ -46,14 +397,12 @@ function App() {
   }
 
   function handleClear() {
-    setForm({
-      rendimento_tributavel: '',
-      previdencia_oficial: '0',
-      quantidade_dependentes: '0',
-      pensao_alimenticia: ''
-    })
+    setForm(EMPTY_IRRF_FORM)
+    setSalarioForm(EMPTY_SALARIO_FORM)
+    setAnualForm(EMPTY_ANUAL_FORM)
     setResult(null)
     setError('')
+    setFieldErrors({})
     setLoading(false)
     setTimeout(() => rendimentoRef.current?.focus(), 0)
   }
@@ -62,31 +411,33 @@ function App() {
     e.preventDefault()
     setError('')
     setResult(null)
-    if (!isValid) {
-      setError('Verifique os campos: valores inválidos.')
+    if (validationError) {
+      // Com campo identificado, a mensagem vai para baixo do input correspondente
+      if (validationError.campo) {
+        setFieldErrors(prev => ({ ...prev, [validationError.campo]: validationError.erro }))
+        setError('Verifique os campos com erro.')
+      } else {
+        setError(validationError.erro)
+      }
       return
     }
     setLoading(true)
     try {
-      const payload = {
-        rendimento_tributavel: Number(form.rendimento_tributavel),
-        previdencia_oficial: Number(form.previdencia_oficial),
-        quantidade_dependentes: Number(form.quantidade_dependentes),
-        pensao_alimenticia: form.pensao_alimenticia === '' ? 0 : Number(form.pensao_alimenticia)
-      }
-      const url = `${API_BASE}/calcular-irrf`
+      const endpoint = ENDPOINTS[mode]
+      const payload = buildPayload(mode, form, salarioForm, anualForm, reducaoOverrides)
+      const url = `${API_BASE}${endpoint}`
       let resp = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...API_HEADERS },
         body: JSON.stringify(payload)
       })
       // Fallback automático para 127.0.0.1 quando localhost falhar (ambiente Windows/rede)
       if (!resp.ok && import.meta.env.DEV && API_BASE.includes('localhost')) {
-        const fallbackUrl = `${DEFAULT_DEV_BASE.replace('localhost', '127.0.0.1')}/calcular-irrf`
+        const fallbackUrl = `${DEFAULT_DEV_BASE.replace('localhost', '127.0.0.1')}${endpoint}`
         try {
           resp = await fetch(fallbackUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...API_HEADERS },
             body: JSON.stringify(payload)
           })
         } catch (e) {
@@ -95,10 +446,12 @@ function App() {
       }
       if (!resp.ok) {
         const data = await resp.json().catch(() => null)
+        setFieldErrors(prev => ({ ...prev, ...apiFieldErrors(data?.erros) }))
         throw new Error(data?.erro || `Erro ${resp.status}`)
       }
       const data = await resp.json()
       setResult(data)
+      setResultPayload(payload)
       setShowMemoria(false)
     } catch (err) {
       const message = (err && err.message === 'Failed to fetch')
@@ -110,84 +463,220 @@ function App() {
     }
   }
 
+  async function handleCopyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch {
+      setError('Não foi possível copiar o link. Copie o endereço na barra do navegador.')
+    }
+  }
+
+  async function handleDownloadPdf() {
+    setError('')
+    setPdfLoading(true)
+    try {
+      const resp = await fetch(`${API_BASE}${ENDPOINTS[mode]}/pdf`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...API_HEADERS },
+        body: JSON.stringify(resultPayload)
+      })
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => null)
+        throw new Error(data?.erro || `Erro ${resp.status}`)
+      }
+      downloadBlob(await resp.blob(), `demonstrativo-${mode}.pdf`)
+    } catch (err) {
+      const message = (err && err.message === 'Failed to fetch')
+        ? 'Falha ao conectar à API. Verifique se a API está em execução e acessível.'
+        : (err.message || 'Erro ao gerar o PDF')
+      setError(message)
+    } finally {
+      setPdfLoading(false)
+    }
+  }
+
   return (
     <div className="page">
       <header className="header">
         <h1>Simulador de IRRF</h1>
-        <p className="subtitle">Tabela vigente a partir de 05/2025</p>
-        <div className="card info-card">
-          <div className="info-title">PL 1087/2025</div>
-          <div className="info-grid">
-            <div className="info-item">
-              <span className="info-label">Valor</span>
-              <span className="info-value">978,62</span>
-            </div>
-            <div className="info-item">
-              <span className="info-label">Fator</span>
-              <span className="info-value">0,133145</span>
-            </div>
-          </div>
-        </div>
+        <p className="subtitle">Tabela vigente a partir de {vigenciaLabel(regrasVigentes)}</p>
+        <ReducaoInfo
+          reducao={regrasVigentes.reducao_pl_1087_25}
+          efetiva={reducaoHipotetica.efetiva}
+          overrides={reducaoOverrides}
+          onChange={setReducaoOverrides}
+          erro={reducaoHipotetica.erro}
+        />
       </header>
 
       <div className="layout">
-        <form className="card form" onSubmit={handleSubmit}>
-          <div className="field">
-            <label>Rendimento tributável (R$)</label>
-            <input
-              type="number"
-              inputMode="decimal"
-              placeholder="Ex.: 5000,00"
-              autoFocus
-              ref={rendimentoRef}
-              value={form.rendimento_tributavel}
-              onChange={e => updateField('rendimento_tributavel', e.target.value.replace(',', '.'))}
-              onKeyDown={handleNumberKeyDown}
-              step="0.01"
-              min="0"
-              required
-            />
+        <form className="card form" onSubmit={handleSubmit} ref={formRef}>
+          <div className="mode-switch switch-group" role="group" aria-label="Tipo de cálculo">
+            <button
+              className={`chip mode ${mode === 'irrf' ? 'active' : ''}`}
+              onClick={() => changeMode('irrf')}
+              type="button"
+              aria-pressed={mode === 'irrf'}
+            >IRRF</button>
+            <button
+              className={`chip mode ${mode === 'salario' ? 'active' : ''}`}
+              onClick={() => changeMode('salario')}
+              type="button"
+              aria-pressed={mode === 'salario'}
+            >Salário líquido</button>
+            <button
+              className={`chip mode ${mode === 'anual' ? 'active' : ''}`}
+              onClick={() => changeMode('anual')}
+              type="button"
+              aria-pressed={mode === 'anual'}
+            >Ajuste anual</button>
           </div>
 
-          <div className="field">
-            <label>Previdência oficial (R$)</label>
-            <input
-              type="number"
-              inputMode="decimal"
-              placeholder="Ex.: 750,00"
-              value={form.previdencia_oficial}
-              onChange={e => updateField('previdencia_oficial', e.target.value.replace(',', '.'))}
-              onKeyDown={handleNumberKeyDown}
-              step="0.01"
-              min="0"
-              required
+          {mode === 'anual' && (
+            <AjusteAnualFields
+              form={anualForm}
+              updateField={updateAnualField}
+              updateMes={updateAnualMes}
+              onNumberKeyDown={handleNumberKeyDown}
+              inputRef={rendimentoRef}
+              fieldErrors={fieldErrors}
             />
-          </div>
+          )}
 
-          <div className="field">
-            <label>Quantidade de dependentes</label>
-            <input
-              inputMode="numeric"
-              placeholder="Ex.: 2"
-              value={form.quantidade_dependentes}
-              onChange={e => updateField('quantidade_dependentes', e.target.value.replace(/[^0-9]/g, ''))}
-              required
+          {mode === 'salario' && (
+            <SalarioLiquidoFields
+              form={salarioForm}
+              updateField={updateSalarioField}
+              onNumberKeyDown={handleNumberKeyDown}
+              inputRef={rendimentoRef}
+              fieldErrors={fieldErrors}
             />
-          </div>
+          )}
 
-          <div className="field">
-            <label>Pensão alimentícia (R$)</label>
-            <input
-              type="number"
-              inputMode="decimal"
-              placeholder="Ex.: 0,00"
-              value={form.pensao_alimenticia}
-              onChange={e => updateField('pensao_alimenticia', e.target.value.replace(',', '.'))}
-              onKeyDown={handleNumberKeyDown}
-              step="0.01"
-              min="0"
-            />
-          </div>
+          {mode === 'irrf' && (
+            <>
+            <div className="field">
+              <label>Rendimento tributável (R$)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                placeholder="Ex.: 5000,00"
+                autoFocus
+                ref={rendimentoRef}
+                value={form.rendimento_tributavel}
+                onChange={e => updateField('rendimento_tributavel', e.target.value.replace(',', '.'))}
+                onKeyDown={handleNumberKeyDown}
+                step="0.01"
+                min="0"
+                required
+              />
+              <FieldError message={fieldErrors.rendimento_tributavel} />
+            </div>
+
+            <div className="field">
+              <label>Previdência oficial (R$)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                placeholder="Ex.: 750,00"
+                value={form.previdencia_oficial}
+                onChange={e => updateField('previdencia_oficial', e.target.value.replace(',', '.'))}
+                onKeyDown={handleNumberKeyDown}
+                step="0.01"
+                min="0"
+                required
+              />
+              <FieldError message={fieldErrors.previdencia_oficial} />
+            </div>
+
+            <div className="field">
+              <label>Quantidade de dependentes</label>
+              <input
+                inputMode="numeric"
+                placeholder="Ex.: 2"
+                value={form.quantidade_dependentes}
+                onChange={e => updateField('quantidade_dependentes', e.target.value.replace(/[^0-9]/g, ''))}
+                required
+              />
+              <FieldError message={fieldErrors.quantidade_dependentes} />
+            </div>
+
+            <div className="field">
+              <label>Pensão alimentícia (R$)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                placeholder="Ex.: 0,00"
+                value={form.pensao_alimenticia}
+                onChange={e => updateField('pensao_alimenticia', e.target.value.replace(',', '.'))}
+                onKeyDown={handleNumberKeyDown}
+                step="0.01"
+                min="0"
+              />
+              <FieldError message={fieldErrors.pensao_alimenticia} />
+            </div>
+
+            <div className="field">
+              <label>Dedução</label>
+              <select
+                value={form.modo_deducao}
+                onChange={e => updateField('modo_deducao', e.target.value)}
+              >
+                <option value="automatico">Automática (a mais vantajosa)</option>
+                <option value="legal">Deduções legais</option>
+                <option value="simplificado">Desconto simplificado</option>
+              </select>
+              <FieldError message={fieldErrors.modo_deducao} />
+            </div>
+
+            <div className="field">
+              <label>Competência</label>
+              <input
+                type="month"
+                value={form.competencia}
+                onChange={e => updateField('competencia', e.target.value)}
+              />
+              <FieldError message={fieldErrors.competencia} />
+            </div>
+
+            <div className="field">
+              <label>Previdência complementar (R$)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                placeholder="PGBL/Funpresp, até 12% do rendimento"
+                value={form.previdencia_complementar}
+                onChange={e => updateField('previdencia_complementar', e.target.value.replace(',', '.'))}
+                onKeyDown={handleNumberKeyDown}
+                step="0.01"
+                min="0"
+              />
+              <FieldError message={fieldErrors.previdencia_complementar} />
+            </div>
+
+            <label className="field checkbox">
+              <input
+                type="checkbox"
+                checked={form.aposentado_65_anos}
+                onChange={e => updateField('aposentado_65_anos', e.target.checked)}
+              />
+              <span>Aposentado com 65 anos ou mais</span>
+              <FieldError message={fieldErrors.aposentado_65_anos} />
+            </label>
+
+            <label className="field checkbox">
+              <input
+                type="checkbox"
+                checked={form.molestia_grave}
+                onChange={e => updateField('molestia_grave', e.target.checked)}
+              />
+              <span>Portador de moléstia grave (aposentadoria isenta)</span>
+              <FieldError message={fieldErrors.molestia_grave} />
+            </label>
+            </>
+          )}
 
           {error && <div className="alert error">{error}</div>}
 
@@ -195,19 +684,32 @@ function App() {
             <button className="btn secondary" type="button" onClick={handleClear}>
               Limpar
             </button>
-            <button className="btn primary" type="submit" disabled={loading || !isValid}>
+            <button className="btn primary" type="submit" disabled={loading}>
               {loading ? 'Calculando...' : 'Calcular'}
             </button>
             <button className="btn mem-btn" type="button" disabled={!result?.memoria_calculo} onClick={() => setShowMemoria(true)}>
               Memória de Cálculo
             </button>
+            <button className="btn link-btn" type="button" onClick={handleCopyLink}>
+              {linkCopied ? 'Link copiado!' : 'Copiar link'}
+            </button>
+            <button className="btn pdf-btn" type="button" disabled={!result || !resultPayload || pdfLoading} onClick={handleDownloadPdf}>
+              {pdfLoading ? 'Gerando PDF...' : 'Baixar PDF'}
+            </button>
           </div>
         </form>
 
         <section className="card result">
           {!result && <p className="placeholder">Preencha os dados e calcule para ver os resultados.</p>}
-          {result && (
+          {result && mode === 'salario' && <HoleriteResult result={result} />}
+          {result && mode === 'anual' && <AjusteAnualResult result={result} />}
+          {result && mode === 'irrf' && (
             <div className="result-grid">
+              {result.cenario_hipotetico && (
+                <div className="result-message hipotetico-msg">
+                  Cenário hipotético: redução da PL 1087/25 calculada com os parâmetros editados no card, não com a regra oficial.
+                </div>
+              )}
               <ResultItem label="Rendimento tributável" value={result.rendimento_tributavel} />
               {typeof result.previdencia_oficial === 'number' && (
                 <ResultItem label="Previdência oficial" value={result.previdencia_oficial} />
@@ -221,6 +723,15 @@ function App() {
               {typeof result.valor_deducoes_dependentes === 'number' && (
                 <ResultItem label="Deduções por dependentes" value={result.valor_deducoes_dependentes} />
               )}
+              {typeof result.previdencia_complementar_dedutivel === 'number' && (
+                <ResultItem label="Previdência complementar dedutível" value={result.previdencia_complementar_dedutivel} />
+              )}
+              {typeof result.parcela_isenta_65_anos === 'number' && (
+                <ResultItem label="Parcela isenta (65 anos ou mais)" value={result.parcela_isenta_65_anos} />
+              )}
+              {typeof result.isencao_molestia_grave === 'number' && (
+                <ResultItem label="Isenção por moléstia grave" value={result.isencao_molestia_grave} />
+              )}
               {typeof result.desconto_simplificado_aplicado === 'number' && (
                 <ResultItem label="Desconto simplificado aplicado" value={result.desconto_simplificado_aplicado} />
               )}
@@ -234,8 +745,9 @@ function App() {
               {typeof result.valor_irrf_apos_pl_1087_25 === 'number' && (
                 <ResultItem label="IRRF após PL 1087/25" value={result.valor_irrf_apos_pl_1087_25} emphasis variant="after" />
               )}
+              {result.comparativo_deducoes && <DeducaoComparativo comparativo={result.comparativo_deducoes} />}
               {result.mensagem && (
-                <div className={`result-message ${result.mensagem.startsWith('A dedução prevista na PL 1085/25') ? 'pl-msg' : ''}`}>
+                <div className={`result-message ${result.mensagem.startsWith('A dedução prevista na PL 1087/25') ? 'pl-msg' : ''}`}>
                   {result.mensagem}
                 </div>
               )}
@@ -244,16 +756,276 @@ function App() {
         </section>
       </div>
 
+      <CenariosWorkspace current={mode === 'irrf' && result ? { result, payload: resultPayload } : null} />
+
+      <HistoricoPanel refreshKey={result} onOpen={setHistoricoMemoria} />
+
       <section className="card table-card">
-        <div className="info-title">Tabela de IRRF (a partir de 05/2025)</div>
-        <IRRFTabela />
+        <div className="info-title">Tabela de IRRF (a partir de {vigenciaLabel(regrasVigentes)})</div>
+        <IRRFTabela tabela={regrasVigentes.tabela} />
+      </section>
+
+      <section className="card curva-card">
+        <div className="info-title">Curva de alíquotas efetiva e marginal</div>
+        <CurvaIRRF />
       </section>
 
-      <footer className="footer">API: {API_BASE}/calcular-irrf</footer>
+      <footer className="footer">API: {API_BASE}{ENDPOINTS[mode]}</footer>
 
       {showMemoria && result?.memoria_calculo && (
         <MemoriaModal memoria={result.memoria_calculo} onClose={() => setShowMemoria(false)} />)
       }
+      {historicoMemoria && (
+        <MemoriaModal memoria={historicoMemoria} onClose={() => setHistoricoMemoria(null)} />)
+      }
+    </div>
+  )
+}
+
+function SalarioLiquidoFields({ form, updateField, onNumberKeyDown, inputRef, fieldErrors }) {
+  const moneyFields = [
+    { name: 'salario_bruto', label: 'Salário bruto (R$)', placeholder: 'Ex.: 5000,00', required: true },
+    { name: 'outros_proventos', label: 'Outros proventos (R$)', placeholder: 'Ex.: 0,00' },
+    { name: 'pensao_alimenticia', label: 'Pensão alimentícia (R$)', placeholder: 'Ex.: 0,00' },
+    { name: 'plano_saude', label: 'Plano de saúde (R$)', placeholder: 'Ex.: 0,00' },
+    { name: 'adiantamento', label: 'Adiantamento (R$)', placeholder: 'Ex.: 0,00' },
+    { name: 'outros_descontos', label: 'Outros descontos (R$)', placeholder: 'Ex.: 0,00' }
+  ]
+  return (
+    <>
+      {moneyFields.map((f, i) => (
+        <div className="field" key={f.name}>
+          <label>{f.label}</label>
+          <input
+            type="number"
+            inputMode="decimal"
+            placeholder={f.placeholder}
+            autoFocus={i === 0}
+            ref={i === 0 ? inputRef : undefined}
+            value={form[f.name]}
+            onChange={e => updateField(f.name, e.target.value.replace(',', '.'))}
+            onKeyDown={onNumberKeyDown}
+            step="0.01"
+            min="0"
+            required={f.required}
+          />
+          <FieldError message={fieldErrors[f.name]} />
+        </div>
+      ))}
+
+      <div className="field">
+        <label>Quantidade de dependentes</label>
+        <input
+          inputMode="numeric"
+          placeholder="Ex.: 2"
+          value={form.quantidade_dependentes}
+          onChange={e => updateField('quantidade_dependentes', e.target.value.replace(/[^0-9]/g, ''))}
+          required
+        />
+        <FieldError message={fieldErrors.quantidade_dependentes} />
+      </div>
+
+      <label className="field checkbox">
+        <input
+          type="checkbox"
+          checked={form.vale_transporte}
+          onChange={e => updateField('vale_transporte', e.target.checked)}
+        />
+        <span>Vale-transporte (desconto de 6%)</span>
+        <FieldError message={fieldErrors.vale_transporte} />
+      </label>
+    </>
+  )
+}
+
+function AjusteAnualFields({ form, updateField, updateMes, onNumberKeyDown, inputRef, fieldErrors }) {
+  const colunas = [
+    { name: 'rendimento_tributavel', label: 'Rendimento' },
+    { name: 'previdencia_oficial', label: 'Previdência' },
+    { name: 'pensao_alimenticia', label: 'Pensão' },
+    { name: 'irrf_retido', label: 'IRRF retido' }
+  ]
+  return (
+    <>
+      <div className="field">
+        <label>Ano-calendário</label>
+        <select value={form.ano_calendario} onChange={e => updateField('ano_calendario', e.target.value)}>
+          {ANOS_CALENDARIO.map(ano => <option key={ano} value={ano}>{ano}</option>)}
+        </select>
+        <FieldError message={fieldErrors.ano_calendario} />
+      </div>
+
+      <div className="field">
+        <label>Quantidade de dependentes</label>
+        <input
+          inputMode="numeric"
+          placeholder="Ex.: 2"
+          value={form.quantidade_dependentes}
+          onChange={e => updateField('quantidade_dependentes', e.target.value.replace(/[^0-9]/g, ''))}
+          required
+        />
+        <FieldError message={fieldErrors.quantidade_dependentes} />
+      </div>
+
+      {[
+        { name: 'despesas_medicas', label: 'Despesas médicas no ano (R$)' },
+        { name: 'despesas_instrucao', label: 'Despesas com instrução no ano (R$)' }
+      ].map(f => (
+        <div className="field" key={f.name}>
+          <label>{f.label}</label>
+          <input
+            type="number"
+            inputMode="decimal"
+            placeholder="Ex.: 0,00"
+            value={form[f.name]}
+            onChange={e => updateField(f.name, e.target.value.replace(',', '.'))}
+            onKeyDown={onNumberKeyDown}
+            step="0.01"
+            min="0"
+          />
+          <FieldError message={fieldErrors[f.name]} />
+        </div>
+      ))}
+
+      <div className="anual-grid table-wrap">
+        <table className="data-table anual-table">
+          <thead>
+            <tr>
+              <th>Mês</th>
+              {colunas.map(c => <th key={c.name}>{c.label} (R$)</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {form.meses.map((m, i) => (
+              <tr key={NOMES_MESES[i]}>
+                <td>{NOMES_MESES[i]}</td>
+                {colunas.map((c, j) => (
+                  <td key={c.name}>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      aria-label={`${c.label} - ${NOMES_MESES[i]}`}
+                      placeholder={c.name === 'irrf_retido' ? 'calcular' : '0,00'}
+                      ref={i === 0 && j === 0 ? inputRef : undefined}
+                      value={m[c.name]}
+                      onChange={e => updateMes(i, c.name, e.target.value.replace(',', '.'))}
+                      onKeyDown={onNumberKeyDown}
+                      step="0.01"
+                      min="0"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="anual-hint">Meses sem rendimento são ignorados. Sem IRRF retido, o imposto do mês é calculado pela tabela mensal.</p>
+      </div>
+    </>
+  )
+}
+
+const MODELOS_DECLARACAO = [
+  { id: 'completa', titulo: 'Declaração completa', campo: 'declaracao_completa', deducao: 'total_deducoes', rotulo: 'Deduções legais' },
+  { id: 'simplificada', titulo: 'Declaração simplificada', campo: 'declaracao_simplificada', deducao: 'desconto_simplificado', rotulo: 'Desconto simplificado' }
+]
+
+function AjusteAnualResult({ result }) {
+  return (
+    <div className="result-grid">
+      <ResultItem label="Rendimentos tributáveis no ano" value={result.totais.rendimentos_tributaveis} />
+      <ResultItem label="IRRF retido no ano" value={result.irrf_retido} />
+      <div className="deducao-comparativo">
+        <span className="result-label">Declaração completa x simplificada ({result.tabela_anual})</span>
+        <div className="comparativo-grid">
+          {MODELOS_DECLARACAO.map(m => {
+            const modelo = result[m.campo]
+            return (
+              <div key={m.id} className={`comparativo-opcao ${result.modelo_escolhido === m.id ? 'escolhida' : ''}`}>
+                <div className="comparativo-titulo">
+                  {m.titulo}
+                  {result.modelo_escolhido === m.id && <span className="comparativo-badge">Mais vantajosa</span>}
+                </div>
+                <dl>
+                  <dt>{m.rotulo}</dt><dd>{formatCurrency(modelo[m.deducao])}</dd>
+                  <dt>Base de cálculo</dt><dd>{formatCurrency(modelo.base_calculo)}</dd>
+                  <dt>Alíquota</dt><dd>{formatPercent(modelo.aliquota)}</dd>
+                  <dt>Imposto devido</dt><dd className="comparativo-irrf">{formatCurrency(modelo.imposto_devido)}</dd>
+                </dl>
+              </div>
+            )
+          })}
+        </div>
+        <p className={`comparativo-resumo ${result.economia > 0 ? 'positivo' : ''}`}>
+          {result.economia > 0
+            ? `O modelo escolhido economiza ${formatCurrency(result.economia)} de imposto.`
+            : 'Os dois modelos resultam no mesmo imposto.'}
+        </p>
+      </div>
+      <ResultItem label="Imposto devido no ano" value={result.imposto_devido} emphasis />
+      {result.resultado === 'imposto_a_pagar'
+        ? <ResultItem label="Imposto a pagar" value={result.valor_a_pagar} emphasis variant="discount" />
+        : <ResultItem label="Imposto a restituir" value={result.valor_restituicao} emphasis variant="reduction" />}
+    </div>
+  )
+}
+
+function HoleriteResult({ result }) {
+  return (
+    <div className="result-grid">
+      {result.proventos.map(p => (
+        <ResultItem key={`p-${p.codigo}`} label={p.descricao} value={p.valor} />
+      ))}
+      <ResultItem label="Total de proventos" value={result.total_proventos} emphasis />
+      {result.descontos.map(d => (
+        <ResultItem key={`d-${d.codigo}`} label={d.descricao} value={d.valor} variant="discount" />
+      ))}
+      <ResultItem label="Total de descontos" value={result.total_descontos} emphasis variant="discount" />
+      {typeof result.irrf?.reducao_pl_1087_25 === 'number' && result.irrf.reducao_pl_1087_25 > 0 && (
+        <ResultItem label="Redução PL 1087/25 (já aplicada no IRRF)" value={result.irrf.reducao_pl_1087_25} variant="reduction" />
+      )}
+      <ResultItem label="Salário líquido" value={result.salario_liquido} emphasis variant="after" />
+    </div>
+  )
+}
+
+const OPCOES_DEDUCAO = [
+  { id: 'legal', titulo: 'Deduções legais' },
+  { id: 'simplificado', titulo: 'Desconto simplificado' }
+]
+
+// Os dois cenários de dedução lado a lado, destacando o aplicado e a economia frente ao outro
+function DeducaoComparativo({ comparativo }) {
+  const { opcao_escolhida, economia } = comparativo
+  const opcoes = OPCOES_DEDUCAO.filter(o => comparativo[o.id])
+  let resumo
+  if (!comparativo.simplificado) resumo = 'A vigência não prevê desconto simplificado; aplicam-se as deduções legais.'
+  else if (economia > 0) resumo = `A opção aplicada economiza ${formatCurrency(economia)} de IRRF.`
+  else if (economia < 0) resumo = `A opção informada resulta em ${formatCurrency(-economia)} a mais de IRRF que a outra.`
+  else resumo = 'As duas opções resultam no mesmo IRRF.'
+  return (
+    <div className="deducao-comparativo">
+      <span className="result-label">Deduções legais x desconto simplificado</span>
+      <div className="comparativo-grid">
+        {opcoes.map(o => {
+          const cenario = comparativo[o.id]
+          return (
+            <div key={o.id} className={`comparativo-opcao ${opcao_escolhida === o.id ? 'escolhida' : ''}`}>
+              <div className="comparativo-titulo">
+                {o.titulo}
+                {opcao_escolhida === o.id && <span className="comparativo-badge">Aplicada</span>}
+              </div>
+              <dl>
+                <dt>Dedução</dt><dd>{formatCurrency(cenario.deducao)}</dd>
+                <dt>Base líquida</dt><dd>{formatCurrency(cenario.base_liquida_irrf)}</dd>
+                <dt>Alíquota</dt><dd>{formatPercent(cenario.aliquota_irrf)}</dd>
+                <dt>IRRF</dt><dd className="comparativo-irrf">{formatCurrency(cenario.valor_irrf)}</dd>
+              </dl>
+            </div>
+          )
+        })}
+      </div>
+      <p className={`comparativo-resumo ${economia > 0 ? 'positivo' : ''}`}>{resumo}</p>
     </div>
   )
 }
@@ -279,14 +1051,73 @@ function formatPercent(value) {
   return `${Number(value).toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`
 }
 
-function IRRFTabela() {
-  const rows = [
-    { faixa: 'Faixa 1', base: 'Até R$ 2.428,80', aliquota: 0.0, deducao: 0.0 },
-    { faixa: 'Faixa 2', base: 'De R$ 2.428,81 até R$ 2.826,65', aliquota: 7.5, deducao: 182.16 },
-    { faixa: 'Faixa 3', base: 'De R$ 2.826,66 até R$ 3.751,05', aliquota: 15.0, deducao: 394.16 },
-    { faixa: 'Faixa 4', base: 'De R$ 3.751,06 até R$ 4.664,68', aliquota: 22.5, deducao: 675.49 },
-    { faixa: 'Faixa 5', base: 'Acima de R$ 4.664,68', aliquota: 27.5, deducao: 908.73 },
-  ]
+const REDUCAO_CAMPOS = [
+  { key: 'valor', label: 'Valor', step: '0.01' },
+  { key: 'fator', label: 'Fator', step: '0.000001' },
+  { key: 'limite_reducao_integral', label: 'Redução integral até (R$)', step: '0.01' },
+  { key: 'reducao_maxima', label: 'Redução máxima (R$)', step: '0.01' },
+  { key: 'limite_reducao', label: 'Redução decrescente até (R$)', step: '0.01' }
+]
+
+// Parâmetros da redução da PL 1087/25 na vigência exibida (reducao_pl_1087_25 de GET /tabelas). Os valores são
+// editáveis para simular emendas (parametros_reducao_pl_1087_25 no modo IRRF) sem alterar as regras oficiais.
+// efetiva: parâmetros aplicados pelo motor no cenário hipotético, com valor e fator recalculados quando não editados.
+function ReducaoInfo({ reducao, efetiva, overrides, onChange, erro }) {
+  const hipotetico = Object.keys(overrides).length > 0
+
+  function handleChange(key, raw) {
+    const value = raw.replace(',', '.')
+    const { [key]: _previous, ...rest } = overrides
+    onChange(value !== '' && Number(value) === reducao[key] ? rest : { ...rest, [key]: value })
+  }
+
+  return (
+    <div className={`card info-card ${hipotetico ? 'hipotetico' : ''}`}>
+      <div className="info-header">
+        <div className="info-title">PL 1087/2025</div>
+        {hipotetico && <span className="hipotetico-badge">Cenário hipotético</span>}
+      </div>
+      {reducao ? (
+        <>
+          <div className="info-grid editable">
+            {REDUCAO_CAMPOS.map(c => (
+              <label key={c.key} className={`info-item ${c.key in overrides ? 'alterado' : ''}`}>
+                <span className="info-label">{c.label}</span>
+                <input
+                  className="info-input"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step={c.step}
+                  value={overrides[c.key] ?? String((efetiva ?? reducao)[c.key])}
+                  onChange={e => handleChange(c.key, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="info-hint">
+            <span>Edite os valores para simular emendas no cálculo de IRRF; as regras oficiais não são alteradas. Valor e fator acompanham os limites e a redução máxima, para a redução não saltar nas bordas.</span>
+            {hipotetico && <button className="chip" type="button" onClick={() => onChange({})}>Restaurar valores oficiais</button>}
+          </div>
+          <FieldError message={erro} />
+        </>
+      ) : (
+        <span className="info-label">A redução não se aplica à vigência exibida.</span>
+      )}
+    </div>
+  )
+}
+
+function IRRFTabela({ tabela }) {
+  const rows = tabela.map((f, i) => {
+    const anterior = i > 0 ? tabela[i - 1].limite : null
+    const base = anterior === null
+      ? `Até ${formatCurrency(f.limite)}`
+      : f.limite === null
+        ? `Acima de ${formatCurrency(anterior)}`
+        : `De ${formatCurrency(anterior + 0.01)} até ${formatCurrency(f.limite)}`
+    return { faixa: `Faixa ${i + 1}`, base, aliquota: f.aliquota, deducao: f.deducao }
+  })
   return (
     <div className="table-wrap">
       <table className="data-table">
@@ -313,6 +1144,159 @@ function IRRFTabela() {
   )
 }
 
+// Gráfico da curva: dimensões do viewBox do SVG e quantidade de intervalos amostrados
+const CURVA_LARGURA = 720
+const CURVA_ALTURA = 280
+const CURVA_MARGEM = { top: 16, right: 16, bottom: 32, left: 44 }
+const CURVA_INTERVALOS = 400
+const CURVA_SERIES = [
+  { key: 'efetiva_antes', label: 'Efetiva antes da redução', className: 'serie-antes' },
+  { key: 'aliquota_efetiva', label: 'Efetiva após a redução', className: 'serie-efetiva' },
+  { key: 'aliquota_marginal', label: 'Marginal', className: 'serie-marginal' }
+]
+
+function CurvaIRRF() {
+  const [params, setParams] = useState({ quantidade_dependentes: '0', previdencia_oficial: '0', rendimento_final: '10000' })
+  const [hoverIndex, setHoverIndex] = useState(null)
+
+  // Mesmo motor da rota /calcular-curva-irrf, calculado no navegador a cada ajuste
+  const curva = useMemo(() => {
+    const rendimentoFinal = Number(params.rendimento_final)
+    return calcularCurvaIRRF({
+      rendimento_final: rendimentoFinal,
+      passo: Math.max(1, Math.round(rendimentoFinal / CURVA_INTERVALOS)),
+      quantidade_dependentes: Number(params.quantidade_dependentes),
+      previdencia_oficial: Number(params.previdencia_oficial)
+    })
+  }, [params])
+
+  function updateParam(key, value) {
+    setParams(prev => ({ ...prev, [key]: value.replace(',', '.') }))
+    setHoverIndex(null)
+  }
+
+  const pontos = curva.erro ? [] : curva.pontos.map(p => ({
+    ...p,
+    efetiva_antes: p.rendimento_tributavel > 0 ? (p.irrf_antes_reducao / p.rendimento_tributavel) * 100 : 0
+  }))
+  const largura = CURVA_LARGURA - CURVA_MARGEM.left - CURVA_MARGEM.right
+  const altura = CURVA_ALTURA - CURVA_MARGEM.top - CURVA_MARGEM.bottom
+  const maxY = Math.max(30, Math.ceil(Math.max(0, ...pontos.map(p => p.aliquota_marginal)) / 10) * 10)
+  const x = value => CURVA_MARGEM.left + (value / (curva.rendimento_final || 1)) * largura
+  const y = value => CURVA_MARGEM.top + altura - (value / maxY) * altura
+  const ticksY = Array.from({ length: maxY / 10 + 1 }, (_, i) => i * 10)
+  const ticksX = Array.from({ length: 6 }, (_, i) => ((curva.rendimento_final || 0) / 5) * i)
+  const janela = curva.janela_reducao_pl_1087_25
+  const hover = hoverIndex === null ? null : pontos[hoverIndex]
+
+  function linePath(key) {
+    return pontos.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.rendimento_tributavel).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ')
+  }
+
+  // Marginal constante entre dois pontos: desenhada em degraus
+  function stepPath(key) {
+    return pontos.map((p, i) => {
+      const px = x(p.rendimento_tributavel).toFixed(1)
+      const py = y(p[key]).toFixed(1)
+      return i === 0 ? `M${px},${py}` : `H${px} V${py}`
+    }).join(' ') + (pontos.length > 0 ? ` H${x(curva.rendimento_final).toFixed(1)}` : '')
+  }
+
+  function handleMouseMove(e) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const svgX = ((e.clientX - rect.left) / rect.width) * CURVA_LARGURA
+    const valor = ((svgX - CURVA_MARGEM.left) / largura) * curva.rendimento_final
+    const index = Math.round(valor / curva.passo)
+    setHoverIndex(index < 0 || index >= pontos.length ? null : index)
+  }
+
+  return (
+    <div className="curva">
+      <div className="curva-controles">
+        <div className="field">
+          <label>Dependentes</label>
+          <input type="number" min="0" step="1" value={params.quantidade_dependentes} onChange={e => updateParam('quantidade_dependentes', e.target.value)} />
+        </div>
+        <div className="field">
+          <label>Previdência oficial (R$)</label>
+          <input type="number" min="0" step="0.01" inputMode="decimal" value={params.previdencia_oficial} onChange={e => updateParam('previdencia_oficial', e.target.value)} />
+        </div>
+        <div className="field">
+          <label>Rendimento máximo (R$)</label>
+          <input type="number" min="1000" step="500" inputMode="decimal" value={params.rendimento_final} onChange={e => updateParam('rendimento_final', e.target.value)} />
+        </div>
+      </div>
+
+      {curva.erro && <p className="placeholder">{curva.erro}</p>}
+      {!curva.erro && (
+        <>
+          <svg
+            className="curva-grafico"
+            viewBox={`0 0 ${CURVA_LARGURA} ${CURVA_ALTURA}`}
+            role="img"
+            aria-label="Alíquotas efetiva e marginal do IRRF por rendimento tributável"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {janela && (
+              <>
+                <rect className="curva-janela integral" x={x(0)} y={CURVA_MARGEM.top} width={Math.max(0, x(Math.min(janela.reducao_integral_ate, curva.rendimento_final)) - x(0))} height={altura} />
+                <rect className="curva-janela" x={x(Math.min(janela.reducao_integral_ate, curva.rendimento_final))} y={CURVA_MARGEM.top} width={Math.max(0, x(Math.min(janela.reducao_ate, curva.rendimento_final)) - x(Math.min(janela.reducao_integral_ate, curva.rendimento_final)))} height={altura} />
+              </>
+            )}
+            {ticksY.map(t => (
+              <g key={`y${t}`}>
+                <line className="curva-grade" x1={CURVA_MARGEM.left} x2={CURVA_MARGEM.left + largura} y1={y(t)} y2={y(t)} />
+                <text className="curva-eixo" x={CURVA_MARGEM.left - 6} y={y(t) + 4} textAnchor="end">{t}%</text>
+              </g>
+            ))}
+            {ticksX.map(t => (
+              <text key={`x${t}`} className="curva-eixo" x={x(t)} y={CURVA_ALTURA - 10} textAnchor="middle">
+                {t.toLocaleString('pt-BR', { maximumFractionDigits: 0 })}
+              </text>
+            ))}
+            {curva.limites_faixas.map(l => (
+              <g key={l.faixa}>
+                <line className="curva-faixa" x1={x(l.rendimento_inicio)} x2={x(l.rendimento_inicio)} y1={CURVA_MARGEM.top} y2={CURVA_MARGEM.top + altura} />
+                <text className="curva-faixa-label" x={x(l.rendimento_inicio) + 3} y={CURVA_MARGEM.top + 10}>{formatPercent(l.aliquota)}</text>
+              </g>
+            ))}
+            {CURVA_SERIES.map(s => (
+              <path key={s.key} className={`curva-serie ${s.className}`} d={s.key === 'aliquota_marginal' ? stepPath(s.key) : linePath(s.key)} />
+            ))}
+            {hover && (
+              <line className="curva-cursor" x1={x(hover.rendimento_tributavel)} x2={x(hover.rendimento_tributavel)} y1={CURVA_MARGEM.top} y2={CURVA_MARGEM.top + altura} />
+            )}
+          </svg>
+
+          <div className="curva-legenda">
+            {CURVA_SERIES.map(s => (
+              <span key={s.key}><i className={s.className} />{s.label}</span>
+            ))}
+            <span><i className="curva-faixa" />Início de faixa</span>
+            {janela && <span><i className="curva-janela" />Redução PL 1087/25 (integral até {formatCurrency(janela.reducao_integral_ate)}, decrescente até {formatCurrency(janela.reducao_ate)})</span>}
+          </div>
+
+          <div className="curva-detalhe">
+            {hover ? (
+              <>
+                <span>Rendimento <strong>{formatCurrency(hover.rendimento_tributavel)}</strong></span>
+                <span>Faixa {hover.faixa} ({formatPercent(hover.aliquota_nominal)})</span>
+                <span>IRRF antes <strong>{formatCurrency(hover.irrf_antes_reducao)}</strong></span>
+                <span>IRRF após <strong>{formatCurrency(hover.irrf_apos_reducao)}</strong></span>
+                <span>Efetiva <strong>{formatPercent(hover.aliquota_efetiva)}</strong></span>
+                <span>Marginal <strong>{formatPercent(hover.aliquota_marginal)}</strong></span>
+              </>
+            ) : (
+              <span>Passe o mouse sobre o gráfico para ver os valores de cada rendimento ({curva.tabela_irrf}).</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
 const LABELS = {
   rendimento_tributavel: 'Rendimento tributável',
   previdencia_oficial: 'Previdência oficial',
@@ -332,7 +1316,23 @@ const LABELS = {
   valor_fixo: 'Valor fixo',
   reducao_pl_calculada: 'Redução PL (calculada)',
   reducao_pl_aplicada: 'Redução PL (aplicada)',
-  valor_irrf_apos_pl_1087_25: 'IRRF após PL 1087/25'
+  valor_irrf_apos_pl_1087_25: 'IRRF após PL 1087/25',
+  competencia: 'Competência',
+  tabela: 'Tabela',
+  salario_bruto: 'Salário bruto',
+  outros_proventos: 'Outros proventos',
+  plano_saude: 'Plano de saúde',
+  vale_transporte: 'Vale-transporte',
+  custo_vale_transporte: 'Custo do vale-transporte',
+  adiantamento: 'Adiantamento',
+  outros_descontos: 'Outros descontos',
+  total_proventos: 'Total de proventos',
+  total_descontos: 'Total de descontos',
+  inss: 'INSS',
+  irrf: 'IRRF',
+  teto_inss: 'Teto do INSS',
+  teto_atingido: 'Teto atingido',
+  parcela_salario: 'Parcela do salário na faixa'
 }
 
 function getLabel(key) {
@@ -345,7 +1345,7 @@ function formatByKey(key, value) {
   if (typeof value === 'boolean') return value ? 'Sim' : 'Não'
   if (typeof value === 'number') {
     if (key === 'aliquota') return formatPercent(value)
-    if (key === 'coeficiente') return Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 6 })
+    if (key === 'coeficiente' || key === 'fator') return Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 6 })
     if (key === 'quantidade_dependentes') return String(value)
     return formatCurrency(value)
   }
@@ -370,6 +1370,343 @@ function KeyValue({ data }) {
   )
 }
 
+// Comparativo de cenários (modo IRRF), salvo no localStorage entre sessões
+const CENARIOS_STORAGE_KEY = 'irrf-simulador:cenarios'
+const CENARIO_ITEMS = [
+  { key: 'rendimento_tributavel', label: 'Rendimento tributável' },
+  { key: 'previdencia_oficial', label: 'Previdência oficial' },
+  { key: 'quantidade_dependentes', label: 'Qtd. dependentes', format: 'int' },
+  { key: 'pensao_alimenticia', label: 'Pensão alimentícia' },
+  { key: 'base_liquida_irrf', label: 'Base líquida IRRF', emphasis: true },
+  { key: 'aliquota_irrf', label: 'Alíquota IRRF', format: 'percent' },
+  { key: 'valor_irrf', label: 'Valor do IRRF' },
+  { key: 'reducao_pl_1087_25', label: 'Redução PL 1087/25', variant: 'reduction' }
+]
+// Linhas de diferença contra o cenário base; favorable indica o sentido bom para o contribuinte
+const CENARIO_DIFFS = [
+  { label: 'Base líquida', value: r => r.base_liquida_irrf },
+  { label: 'Alíquota', value: r => r.aliquota_irrf, format: 'pp' },
+  { label: 'IRRF', value: r => r.valor_irrf },
+  { label: 'Redução PL 1087/25', value: r => r.reducao_pl_1087_25 ?? 0, favorable: 'up' },
+  { label: 'Imposto final', value: impostoFinal }
+]
+
+function impostoFinal(result) {
+  return result.valor_irrf_apos_pl_1087_25 ?? result.valor_irrf
+}
+
+function loadCenarios() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(CENARIOS_STORAGE_KEY))
+    if (saved && Array.isArray(saved.cenarios)) return saved
+  } catch {
+    // armazenamento corrompido ou indisponível: começa vazio
+  }
+  return { cenarios: [], baselineId: null }
+}
+
+function formatDiff(diff, format) {
+  if (Math.abs(diff) < 0.005) return 'sem diferença'
+  const sign = diff > 0 ? '+' : '−'
+  if (format === 'pp') return `${sign}${Math.abs(diff).toLocaleString('pt-BR', { maximumFractionDigits: 2 })} p.p.`
+  return `${sign}${formatCurrency(Math.abs(diff))}`
+}
+
+function CenariosWorkspace({ current }) {
+  const [state, setState] = useState(loadCenarios)
+  const [nome, setNome] = useState('')
+  const { cenarios } = state
+  const baseline = cenarios.find(c => c.id === state.baselineId) ?? cenarios[0]
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(CENARIOS_STORAGE_KEY, JSON.stringify(state))
+    } catch {
+      // sem localStorage (modo privado/cota): os cenários valem só nesta sessão
+    }
+  }, [state])
+
+  function handleAdd() {
+    // Memória fora do armazenamento: só os campos exibidos nas colunas
+    const { memoria_calculo: _memoria, ...result } = current.result
+    const cenario = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      nome: nome.trim() || `Cenário ${cenarios.length + 1}`,
+      payload: current.payload,
+      result
+    }
+    setState(prev => ({ cenarios: [...prev.cenarios, cenario], baselineId: prev.baselineId ?? cenario.id }))
+    setNome('')
+  }
+
+  function handleRemove(id) {
+    setState(prev => {
+      const restantes = prev.cenarios.filter(c => c.id !== id)
+      return { cenarios: restantes, baselineId: prev.baselineId === id ? (restantes[0]?.id ?? null) : prev.baselineId }
+    })
+  }
+
+  function handleRename(id, value) {
+    setState(prev => ({ ...prev, cenarios: prev.cenarios.map(c => (c.id === id ? { ...c, nome: value } : c)) }))
+  }
+
+  return (
+    <section className="card cenarios-card">
+      <div className="cenarios-header">
+        <div className="info-title">Comparar cenários</div>
+        <div className="cenarios-add">
+          <input
+            placeholder={`Nome (ex.: Cenário ${cenarios.length + 1})`}
+            value={nome}
+            onChange={e => setNome(e.target.value)}
+            aria-label="Nome do cenário"
+          />
+          <button className="btn secondary" type="button" disabled={!current} onClick={handleAdd}>
+            Adicionar resultado atual
+          </button>
+        </div>
+      </div>
+      {cenarios.length === 0 && (
+        <p className="placeholder">Calcule no modo IRRF e adicione o resultado para comparar cenários lado a lado (ex.: com mais um dependente).</p>
+      )}
+      {cenarios.length > 0 && (
+        <div className="table-wrap">
+          <div className="cenarios-grid" style={{ gridTemplateColumns: `repeat(${cenarios.length}, minmax(220px, 1fr))` }}>
+            {cenarios.map(c => (
+              <div key={c.id} className={`cenario-col ${c.id === baseline.id ? 'base' : ''}`}>
+                <div className="cenario-titulo">
+                  <input value={c.nome} onChange={e => handleRename(c.id, e.target.value)} aria-label="Nome do cenário" />
+                  <button className="chip" type="button" onClick={() => handleRemove(c.id)} aria-label={`Remover ${c.nome}`}>×</button>
+                </div>
+                <label className="cenario-base">
+                  <input
+                    type="radio"
+                    name="cenario-base"
+                    checked={c.id === baseline.id}
+                    onChange={() => setState(prev => ({ ...prev, baselineId: c.id }))}
+                  />
+                  <span>Cenário base</span>
+                </label>
+                {CENARIO_ITEMS.filter(item => typeof c.result[item.key] === 'number').map(item => (
+                  <ResultItem key={item.key} label={item.label} value={c.result[item.key]} format={item.format} emphasis={item.emphasis} variant={item.variant} />
+                ))}
+                <ResultItem label="Imposto final" value={impostoFinal(c.result)} emphasis variant="after" />
+                <div className="cenario-diffs">
+                  {CENARIO_DIFFS.map(d => {
+                    const diff = d.value(c.result) - d.value(baseline.result)
+                    const trend = c.id === baseline.id || Math.abs(diff) < 0.005 ? '' : (diff > 0) === (d.favorable === 'up') ? 'diff-good' : 'diff-bad'
+                    return (
+                      <div key={d.label} className="cenario-diff">
+                        <span>{d.label}</span>
+                        <span className={trend}>
+                          {c.id === baseline.id ? 'base' : formatDiff(diff, d.format)}
+                        </span>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
+
+// Tipos gravados pela API no histórico (GET /calculos)
+const TIPOS_CALCULO = {
+  irrf: 'IRRF',
+  'salario-liquido': 'Salário líquido',
+  'ajuste-anual': 'Ajuste anual',
+  inss: 'INSS',
+  ferias: 'Férias',
+  plr: 'PLR',
+  rra: 'RRA',
+  bruto: 'Salário bruto'
+}
+const HISTORICO_POR_PAGINA = 10
+
+async function fetchApiJson(path) {
+  const resp = await fetch(`${API_BASE}${path}`, { headers: API_HEADERS })
+  const data = await resp.json().catch(() => null)
+  if (!resp.ok) throw new Error(data?.erro || `Erro ${resp.status}`)
+  return data
+}
+
+function HistoricoPanel({ refreshKey, onOpen }) {
+  const [filters, setFilters] = useState({ tipo: '', competencia: '' })
+  const [pagina, setPagina] = useState(1)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+
+  // Recarrega ao mudar filtros/página e a cada novo resultado (que pode ter sido gravado)
+  useEffect(() => {
+    let cancelled = false
+    const params = new URLSearchParams({ pagina: String(pagina), por_pagina: String(HISTORICO_POR_PAGINA) })
+    if (filters.tipo) params.set('tipo', filters.tipo)
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(filters.competencia)) params.set('competencia', filters.competencia)
+    fetchApiJson(`/calculos?${params}`)
+      .then(page => {
+        if (cancelled) return
+        setData(page)
+        setError('')
+      })
+      .catch(err => {
+        if (cancelled) return
+        setData(null)
+        setError(err.message === 'Failed to fetch' ? 'Falha ao conectar à API.' : err.message)
+      })
+    return () => { cancelled = true }
+  }, [filters, pagina, refreshKey])
+
+  function updateFilter(name, value) {
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPagina(1)
+  }
+
+  async function handleOpen(id) {
+    try {
+      const calculo = await fetchApiJson(`/calculos/${id}`)
+      onOpen(calculo.resposta.memoria_calculo)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <section className="card historico-card">
+      <div className="historico-header">
+        <div className="info-title">Histórico de cálculos</div>
+        <div className="historico-filtros">
+          <select value={filters.tipo} onChange={e => updateFilter('tipo', e.target.value)} aria-label="Tipo de cálculo">
+            <option value="">Todos os tipos</option>
+            {Object.entries(TIPOS_CALCULO).map(([tipo, label]) => (
+              <option key={tipo} value={tipo}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="month"
+            value={filters.competencia}
+            onChange={e => updateFilter('competencia', e.target.value)}
+            aria-label="Competência"
+          />
+        </div>
+      </div>
+      {error && <p className="placeholder">{error}</p>}
+      {data && data.itens.length === 0 && <p className="placeholder">Nenhum cálculo encontrado.</p>}
+      {data && data.itens.length > 0 && (
+        <>
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Data</th>
+                  <th>Tipo</th>
+                  <th>Competência</th>
+                  <th>Funcionário</th>
+                  <th>Regras</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.itens.map(item => (
+                  <tr key={item.id}>
+                    <td>{new Date(item.criado_em).toLocaleString('pt-BR')}</td>
+                    <td>{TIPOS_CALCULO[item.tipo] || item.tipo}</td>
+                    <td>{item.competencia ? item.competencia.split('-').reverse().join('/') : '—'}</td>
+                    <td>{item.id_funcionario || '—'}</td>
+                    <td className="historico-regras">{item.versao_regras || '—'}</td>
+                    <td>
+                      <button className="chip" type="button" onClick={() => handleOpen(item.id)}>Memória</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="historico-paginacao">
+            <button className="btn secondary" type="button" disabled={pagina <= 1} onClick={() => setPagina(p => p - 1)}>Anterior</button>
+            <span>Página {data.pagina} de {data.total_paginas} ({data.total} cálculos)</span>
+            <button className="btn secondary" type="button" disabled={pagina >= data.total_paginas} onClick={() => setPagina(p => p + 1)}>Próxima</button>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+// Exportação da memória: valores brutos (números sem formatCurrency) para conciliação em planilhas
+const MEMORIA_FILE_NAME = 'memoria-calculo'
+const ENTRADAS_COLUMNS = ['campo', 'rotulo', 'valor']
+const ETAPAS_COLUMNS = ['ordem', 'titulo', 'descricao', 'formula', 'campo', 'rotulo', 'valor']
+
+// Objetos e arrays aninhados viram caminhos (ex.: meses[1].rendimento_tributavel)
+function flattenEntries(data, prefix = '') {
+  return Object.entries(data ?? {}).flatMap(([k, v]) => {
+    const path = Array.isArray(data) ? `${prefix}[${Number(k) + 1}]` : (prefix ? `${prefix}.${k}` : k)
+    if (v !== null && typeof v === 'object') return flattenEntries(v, path)
+    return [{ campo: path, rotulo: getLabel(Array.isArray(data) ? prefix : k), valor: v }]
+  })
+}
+
+function sortedEtapas(memoria) {
+  return [...(memoria.etapas || [])].sort((a, b) => a.ordem - b.ordem)
+}
+
+// Uma linha por valor de cada etapa, seguida da linha do resultado
+function etapasRows(memoria) {
+  return sortedEtapas(memoria).flatMap(et => {
+    const base = { ordem: et.ordem, titulo: et.titulo, descricao: et.descricao ?? '', formula: et.formula ?? '' }
+    const resultado = et.resultado !== null && typeof et.resultado === 'object'
+      ? flattenEntries(et.resultado, 'resultado')
+      : typeof et.resultado === 'undefined' ? [] : [{ campo: 'resultado', rotulo: 'Resultado', valor: et.resultado }]
+    return [...flattenEntries(et.valores), ...resultado].map(item => ({ ...base, ...item }))
+  })
+}
+
+function csvCell(value) {
+  if (value === null || typeof value === 'undefined') return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function memoriaToCsv(memoria) {
+  const columns = ['secao', ...ETAPAS_COLUMNS]
+  const rows = [
+    ...flattenEntries(memoria.entradas).map(item => ({ secao: 'entrada', ...item })),
+    ...etapasRows(memoria).map(item => ({ secao: 'etapa', ...item }))
+  ]
+  return [columns, ...rows.map(row => columns.map(c => row[c]))]
+    .map(line => line.map(csvCell).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+function toSheetRows(rows, columns) {
+  const header = columns.map(c => ({ value: c, fontWeight: 'bold' }))
+  // Infinity (limite da última faixa) não é um número válido na planilha
+  const cell = value => (value === '' ? null : (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value))
+  return [header, ...rows.map(row => columns.map(c => cell(row[c])))]
+}
+
+async function exportMemoria(memoria, format) {
+  if (format === 'json') {
+    const data = { entradas: memoria.entradas, etapas: sortedEtapas(memoria) }
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${MEMORIA_FILE_NAME}.json`)
+  } else if (format === 'csv') {
+    // BOM para o Excel abrir o UTF-8 com acentos
+    downloadBlob(new Blob(['\uFEFF' + memoriaToCsv(memoria)], { type: 'text/csv;charset=utf-8' }), `${MEMORIA_FILE_NAME}.csv`)
+  } else {
+    // Carregada sob demanda para não pesar no bundle inicial
+    const { default: writeXlsxFile } = await import('write-excel-file/browser')
+    const blob = await writeXlsxFile([
+      { sheet: 'Entradas', data: toSheetRows(flattenEntries(memoria.entradas), ENTRADAS_COLUMNS), stickyRowsCount: 1 },
+      { sheet: 'Etapas', data: toSheetRows(etapasRows(memoria), ETAPAS_COLUMNS), stickyRowsCount: 1 }
+    ]).toBlob()
+    downloadBlob(blob, `${MEMORIA_FILE_NAME}.xlsx`)
+  }
+}
+
 function MemoriaModal({ memoria, onClose }) {
   const [viewMode, setViewMode] = useState('timeline') // 'timeline' | 'cards' | 'table' | 'stepper'
   const [stepIndex, setStepIndex] = useState(0)
@@ -410,6 +1747,17 @@ function MemoriaModal({ memoria, onClose }) {
                 >Stepper</button>
               </div>
             </div>
+            <div className="mem-switch-panel mem-export-panel" role="group" aria-label="Exportar memória">
+              <div className="switch-title">Exportar</div>
+              <div className="switch-help">Entradas e etapas com valores numéricos</div>
+              <div className="switch-group">
+                {['csv', 'xlsx', 'json'].map(format => (
+                  <button key={format} className="chip export" onClick={() => exportMemoria(memoria, format)} type="button">
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
             <button className="btn close" onClick={onClose} type="button">Fechar</button>
           </div>
         </div>
@@ -4,6 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // irrf-engine é CommonJS e vem linkado de ../engine (file:), fora de node_modules
+  optimizeDeps: {
+    include: ['irrf-engine'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/[\\/]engine[\\/]/, /node_modules/],
+    },
+  },
   server: {
     proxy: {
       '/calcular-irrf': {
@@ -11,6 +20,26 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
       },
+      '/calcular-salario-liquido': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      '/calcular-ajuste-anual': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      '/calculos': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      '/tabelas': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
       '/openapi.json': {
         target: 'http://localhost:3000',
         changeOrigin: true,
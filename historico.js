@@ -0,0 +1,140 @@
+const { randomUUID } = require('node:crypto');
+const Database = require('better-sqlite3');
+
+// Histórico de cálculos em SQLite embutido: entrada, resposta completa, versão das regras e data/hora de cada cálculo
+
+const POR_PAGINA_PADRAO = 20;
+const POR_PAGINA_MAXIMO = 100;
+
+const ESQUEMA = `
+	CREATE TABLE IF NOT EXISTS calculos (
+		id TEXT PRIMARY KEY,
+		tipo TEXT NOT NULL,
+		criado_em TEXT NOT NULL,
+		versao_regras TEXT,
+		competencia TEXT,
+		id_funcionario TEXT,
+		entrada TEXT NOT NULL,
+		resposta TEXT NOT NULL
+	);
+	CREATE INDEX IF NOT EXISTS idx_calculos_criado_em ON calculos (criado_em);
+	CREATE INDEX IF NOT EXISTS idx_calculos_tipo_competencia ON calculos (tipo, competencia);
+	CREATE INDEX IF NOT EXISTS idx_calculos_funcionario ON calculos (id_funcionario);
+`;
+
+// Tabelas informadas na resposta (tabela_irrf, tabela_inss, tabela_plr, tabela_anual), em qualquer nível
+function versaoRegras(resultado, tabelas = new Set()) {
+	for (const [chave, valor] of Object.entries(resultado)) {
+		if (chave === 'memoria_calculo') continue;
+		if (chave.startsWith('tabela_') && typeof valor === 'string') tabelas.add(valor);
+		else if (valor !== null && typeof valor === 'object') versaoRegras(valor, tabelas);
+	}
+	return tabelas;
+}
+
+function isInteiroPositivo(valor) {
+	return /^\d+$/.test(valor) && Number(valor) > 0;
+}
+
+function isData(valor) {
+	return /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(valor);
+}
+
+function paraRegistro(linha) {
+	const { entrada, resposta, ...registro } = linha;
+	return { ...registro, entrada: JSON.parse(entrada), resposta: JSON.parse(resposta) };
+}
+
+/**
+ * Abre (ou cria) o histórico no arquivo SQLite informado.
+ * @param {string} caminho arquivo do banco (':memory:' para testes)
+ */
+function criarHistorico(caminho) {
+	const db = new Database(caminho);
+	db.pragma('journal_mode = WAL');
+	db.exec(ESQUEMA);
+
+	const inserir = db.prepare(`
+		INSERT INTO calculos (id, tipo, criado_em, versao_regras, competencia, id_funcionario, entrada, resposta)
+		VALUES (@id, @tipo, @criado_em, @versao_regras, @competencia, @id_funcionario, @entrada, @resposta)
+	`);
+	const buscar = db.prepare('SELECT * FROM calculos WHERE id = ?');
+
+	/**
+	 * Grava um cálculo bem-sucedido e devolve o id gerado.
+	 * @param {{ tipo: string, entrada: object, resultado: object, id_funcionario?: string }} dados
+	 */
+	function registrar({ tipo, entrada, resultado, id_funcionario }) {
+		const id = randomUUID();
+		inserir.run({
+			id,
+			tipo,
+			criado_em: new Date().toISOString(),
+			versao_regras: [...versaoRegras(resultado)].join('; ') || null,
+			competencia: resultado.competencia ?? resultado.irrf?.competencia ?? null,
+			id_funcionario: id_funcionario === undefined ? null : String(id_funcionario),
+			entrada: JSON.stringify(entrada),
+			resposta: JSON.stringify(resultado)
+		});
+		return id;
+	}
+
+	function obter(id) {
+		const linha = buscar.get(id);
+		return linha ? paraRegistro(linha) : null;
+	}
+
+	/**
+	 * Lista os cálculos mais recentes primeiro, sem entrada/resposta.
+	 * Filtros (query string): tipo, competencia, id_funcionario, de e ate (AAAA-MM-DD, pela data de criação em UTC), pagina e por_pagina.
+	 * @returns {{ erro: string } | { itens: object[], pagina: number, por_pagina: number, total: number, total_paginas: number }}
+	 */
+	function listar(filtros = {}, tiposValidos = []) {
+		const { tipo, competencia, id_funcionario, de, ate, pagina = '1', por_pagina = String(POR_PAGINA_PADRAO) } = filtros;
+		if (!isInteiroPositivo(pagina)) return { erro: 'pagina deve ser um inteiro positivo.' };
+		if (!isInteiroPositivo(por_pagina) || Number(por_pagina) > POR_PAGINA_MAXIMO) {
+			return { erro: `por_pagina deve ser um inteiro entre 1 e ${POR_PAGINA_MAXIMO}.` };
+		}
+		if (tipo !== undefined && !tiposValidos.includes(tipo)) {
+			return { erro: `tipo deve ser um de: ${tiposValidos.join(', ')}.` };
+		}
+		if (competencia !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(competencia)) {
+			return { erro: 'competencia deve estar no formato AAAA-MM.' };
+		}
+		if ((de !== undefined && !isData(de)) || (ate !== undefined && !isData(ate))) {
+			return { erro: 'de e ate devem estar no formato AAAA-MM-DD.' };
+		}
+
+		const condicoes = [];
+		const parametros = {};
+		if (tipo !== undefined) { condicoes.push('tipo = @tipo'); parametros.tipo = tipo; }
+		if (competencia !== undefined) { condicoes.push('competencia = @competencia'); parametros.competencia = competencia; }
+		if (id_funcionario !== undefined) { condicoes.push('id_funcionario = @id_funcionario'); parametros.id_funcionario = String(id_funcionario); }
+		if (de !== undefined) { condicoes.push('criado_em >= @de'); parametros.de = de; }
+		// ate inclusivo: compara com o dia seguinte
+		if (ate !== undefined) { condicoes.push("criado_em < strftime('%Y-%m-%d', @ate, '+1 day')"); parametros.ate = ate; }
+		const where = condicoes.length > 0 ? `WHERE ${condicoes.join(' AND ')}` : '';
+
+		const limite = Number(por_pagina);
+		const paginaAtual = Number(pagina);
+		const { total } = db.prepare(`SELECT COUNT(*) AS total FROM calculos ${where}`).get(parametros);
+		const itens = db.prepare(`
+			SELECT id, tipo, criado_em, versao_regras, competencia, id_funcionario
+			FROM calculos ${where}
+			ORDER BY criado_em DESC, rowid DESC
+			LIMIT @limite OFFSET @deslocamento
+		`).all({ ...parametros, limite, deslocamento: (paginaAtual - 1) * limite });
+
+		return {
+			itens,
+			pagina: paginaAtual,
+			por_pagina: limite,
+			total,
+			total_paginas: Math.ceil(total / limite)
+		};
+	}
+
+	return { registrar, obter, listar, fechar: () => db.close() };
+}
+
+module.exports = { criarHistorico, POR_PAGINA_MAXIMO };
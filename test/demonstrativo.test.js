@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatarValor } = require('../demonstrativo');
+
+test('formatarValor: coeficientes e o fator da PL 1087/25 com até 6 casas, não em R$', () => {
+	assert.equal(formatarValor('fator', 0.133145), '0,133145');
+	assert.equal(formatarValor('coeficiente', 0.16913), '0,16913');
+	assert.equal(formatarValor('valor', 978.62), formatarValor('reducao_maxima', 978.62));
+	assert.match(formatarValor('valor', 978.62), /^R\$\s978,62$/);
+	assert.equal(formatarValor('aliquota', 27.5), '27,5%');
+});
@@ -0,0 +1,89 @@
+const Ajv = require('ajv');
+
+// Validação de entradas pelo JSON Schema publicado na especificação OpenAPI.
+// Cada violação vira um erro de campo { campo, codigo, mensagem }.
+
+// strict: false aceita as palavras-chave do OpenAPI (example, nullable...) nos schemas
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+
+const DESCRICAO_TIPOS = {
+	number: 'um número',
+	integer: 'um número inteiro',
+	string: 'um texto',
+	boolean: 'true ou false',
+	array: 'uma lista',
+	object: 'um objeto'
+};
+
+// '/pagamentos_anteriores/0/irrf_retido' -> 'pagamentos_anteriores[0].irrf_retido' (null para o corpo inteiro)
+function caminhoCampo(instancePath, propriedade) {
+	const partes = instancePath.split('/').slice(1).map(parte => parte.replace(/~1/g, '/').replace(/~0/g, '~'));
+	if (propriedade !== undefined) partes.push(propriedade);
+	const caminho = partes.reduce((atual, parte) => {
+		if (/^\d+$/.test(parte)) return `${atual}[${parte}]`;
+		return atual ? `${atual}.${parte}` : parte;
+	}, '');
+	return caminho || null;
+}
+
+function erroDeCampo({ keyword, instancePath, params, parentSchema, message }) {
+	const campo = caminhoCampo(instancePath);
+	const nome = campo ?? 'O corpo da requisição';
+	switch (keyword) {
+		case 'required': {
+			const obrigatorio = caminhoCampo(instancePath, params.missingProperty);
+			return { campo: obrigatorio, codigo: 'obrigatorio', mensagem: `${obrigatorio} é obrigatório.` };
+		}
+		case 'additionalProperties': {
+			const desconhecido = caminhoCampo(instancePath, params.additionalProperty);
+			// Chaves com espaços ou maiúsculas acidentais ('pensao_alimenticia ') ganham uma sugestão
+			const normalizado = params.additionalProperty.trim().toLowerCase();
+			const sugestao = Object.keys(parentSchema.properties ?? {}).find(propriedade => propriedade === normalizado);
+			return {
+				campo: desconhecido,
+				codigo: 'campo_desconhecido',
+				mensagem: `Campo desconhecido "${desconhecido}"${sugestao ? ` (quis dizer ${sugestao}?)` : ''}.`
+			};
+		}
+		case 'type':
+			return { campo, codigo: 'tipo_invalido', mensagem: `${nome} deve ser ${DESCRICAO_TIPOS[params.type] ?? params.type}.` };
+		case 'minimum':
+			return { campo, codigo: 'valor_minimo', mensagem: `${nome} deve ser maior ou igual a ${params.limit}.` };
+		case 'minProperties':
+			return { campo, codigo: 'valor_minimo', mensagem: `${nome} deve ter ao menos ${params.limit} campo(s).` };
+		case 'enum':
+			return { campo, codigo: 'valor_nao_permitido', mensagem: `${nome} deve ser um de: ${params.allowedValues.join(', ')}.` };
+		case 'pattern':
+			return {
+				campo,
+				codigo: 'formato_invalido',
+				mensagem: `${nome} está em formato inválido${parentSchema.example !== undefined ? ` (ex.: ${parentSchema.example})` : ''}.`
+			};
+		default:
+			return { campo, codigo: 'valor_invalido', mensagem: `${nome} ${message}.` };
+	}
+}
+
+/**
+ * Compila o schema de uma entrada.
+ * @param {object} schema schema do corpo da requisição
+ * @param {object} [schemas] components.schemas da especificação, para resolver os $ref
+ * @returns {(entrada: unknown) => { campo: string | null, codigo: string, mensagem: string }[]} erros (vazio quando válida)
+ */
+function criarValidador(schema, schemas = {}) {
+	const validar = ajv.compile({ ...schema, components: { schemas } });
+	return entrada => {
+		if (validar(entrada)) return [];
+		const erros = [];
+		const vistos = new Set();
+		for (const erro of validar.errors.map(erroDeCampo)) {
+			const chave = `${erro.campo}|${erro.codigo}`;
+			if (vistos.has(chave)) continue;
+			vistos.add(chave);
+			erros.push(erro);
+		}
+		return erros;
+	};
+}
+
+module.exports = { criarValidador };